@@ -0,0 +1,83 @@
+// auth.js
+
+const jwt = require('jsonwebtoken');
+
+// Токени підписуються або спільним секретом (HS256), або приватним ключем (RS256).
+// Під serverless-offline без налаштованого ключа діє відомий локальний секрет OFFLINE_JWT_SECRET,
+// щоб маршрути працювали одразу після запуску. У розгорнутому сервісі ключ обов'язковий.
+const OFFLINE_JWT_SECRET = 'offline-jwt-secret';
+const JWT_SECRET = process.env.JWT_SECRET || (process.env.IS_OFFLINE ? OFFLINE_JWT_SECRET : undefined);
+// PEM-ключ у змінній середовища зазвичай зберігається з екранованими переносами рядків
+const JWT_PUBLIC_KEY = process.env.JWT_PUBLIC_KEY ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : undefined;
+const JWT_ISSUER = process.env.JWT_ISSUER || undefined;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || undefined;
+
+// Ролі в організації від найнижчої до найвищої
+const ROLES = ['member', 'admin', 'owner'];
+
+// Помилка автентифікації: токен відсутній, недійсний або прострочений (HTTP 401)
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthenticationError';
+    }
+}
+
+// Чи достатньо ролі role для дії, що вимагає requiredRole
+const hasRole = (role, requiredRole) => {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+};
+
+const getBearerToken = (event) => {
+    const headers = event.headers || {};
+    const authorization = headers.authorization || headers.Authorization;
+    const match = authorization ? /^Bearer\s+(\S+)$/i.exec(authorization.trim()) : null;
+    return match ? match[1] : null;
+};
+
+// Перевіряє bearer-токен із заголовка Authorization та повертає дані викликача:
+//  - userId - claim sub. Це й userId профілю в Users та членств у Memberships: профіль з userId = sub
+//    належить власнику токена, тому створити його може лише сам власник;
+//  - email - claim email (якщо є);
+//  - isPlatformAdmin - claim platformAdmin: true (доступ до всіх організацій та службових маршрутів).
+const authenticate = (event) => {
+    const token = getBearerToken(event);
+    if (!token) {
+        throw new AuthenticationError('Відсутній заголовок Authorization: Bearer <token>.');
+    }
+
+    const key = JWT_PUBLIC_KEY || JWT_SECRET;
+    if (!key) {
+        // Помилка конфігурації сервісу, а не клієнта
+        throw new Error('Не налаштовано JWT_SECRET або JWT_PUBLIC_KEY.');
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, key, {
+            algorithms: [JWT_PUBLIC_KEY ? 'RS256' : 'HS256'],
+            issuer: JWT_ISSUER,
+            audience: JWT_AUDIENCE,
+        });
+    } catch (error) {
+        throw new AuthenticationError('Недійсний або прострочений токен.');
+    }
+
+    if (typeof claims.sub !== 'string' || claims.sub.length === 0 || claims.sub.length > 128) {
+        throw new AuthenticationError('Токен не містить коректного claim sub.');
+    }
+
+    return {
+        userId: claims.sub,
+        email: typeof claims.email === 'string' ? claims.email : null,
+        isPlatformAdmin: claims.platformAdmin === true,
+    };
+};
+
+module.exports = {
+    OFFLINE_JWT_SECRET,
+    ROLES,
+    AuthenticationError,
+    authenticate,
+    hasRole,
+};
@@ -0,0 +1,106 @@
+// csv.js
+
+// Мінімальний розбір та формування CSV (RFC 4180) для масового імпорту користувачів та експорту організацій:
+// роздільник - кома, значення можуть бути в лапках, "" всередині лапок означає одну лапку.
+
+// Розбиває текст на рядки таблиці. Кидає помилку, якщо лапки не закриті.
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Незакриті лапки в CSV.');
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // Порожні рядки (наприклад, в кінці файлу) пропускаємо
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Перетворює CSV з рядком заголовків на масив об'єктів { колонка: значення }.
+// Назви колонок нормалізуються (trim, нижній регістр), порожні значення пропускаються.
+const parseCsv = (text) => {
+    const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map((column) => column.trim().toLowerCase());
+
+    return rows.map((cells) => {
+        const record = {};
+        columns.forEach((column, i) => {
+            const cell = (cells[i] || '').trim();
+            if (column && cell !== '') {
+                record[column] = cell;
+            }
+        });
+        return record;
+    });
+};
+
+// Значення, що починаються з цих символів, табличні редактори виконують як формули (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+// Значення з комою, лапками або переносом рядка беремо в лапки. null та undefined стають порожнім значенням.
+// Перед значенням, схожим на формулу, додається апостроф, щоб редактор показав його як текст.
+const formatValue = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Прибирає апостроф, доданий formatValue, щоб знімок після експорту та імпорту не змінювався
+const restoreFormulaValue = (value) => {
+    return typeof value === 'string' && value.startsWith('\'') && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+};
+
+// Формує CSV з рядком заголовків columns та рядками з об'єктів records
+const formatCsv = (columns, records) => {
+    const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+    return lines.map((cells) => cells.map(formatValue).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseCsv,
+    formatCsv,
+    restoreFormulaValue,
+};
@@ -1,484 +1,4879 @@
 // handler.js
 
-const AWS = require('aws-sdk');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid'); // Для генерації унікальних ID
+const { schemas, validate } = require('./validation');
+const { authenticate, AuthenticationError, hasRole } = require('./auth');
+const { parseCsv, formatCsv, restoreFormulaValue } = require('./csv');
+const webhooks = require('./webhooks');
+const { logger, putMetrics, resolveCorrelationId, runWithContext, updateContext, getCorrelationId } = require('./logger');
+const { createDynamoDbClient, getMemoryDocumentClient } = require('./storage');
+const { createSqsClient, offlineQueue } = require('./queue');
 
 // Ця змінна встановлюється плагіном serverless-offline.
 const IS_OFFLINE = process.env.IS_OFFLINE;
 // Порт DynamoDB Local
 const DYNAMODB_LOCAL_PORT = process.env.DYNAMODB_LOCAL_PORT || 8000;
-const ORGANIZATION_USER_QUEUE_URL = process.env.ORGANIZATION_USER_QUEUE_URL;
 
+// Адаптери сховища та черги (storage.js, queue.js):
+//  - STORAGE_ADAPTER: dynamodb (за замовчуванням; офлайн - DynamoDB Local) або memory - сховище в пам'яті процесу;
+//  - QUEUE_ADAPTER: sqs або offline - черга в пам'яті процесу, що доставляє повідомлення споживачам з цього файлу.
+//    Офлайн за замовчуванням offline, тож асинхронний запис працює лише з serverless-offline.
+//    SQS_ENDPOINT - адреса SQS-сумісної черги для QUEUE_ADAPTER=sqs (наприклад, ElasticMQ).
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'dynamodb';
+const QUEUE_ADAPTER = process.env.QUEUE_ADAPTER || (IS_OFFLINE ? 'offline' : 'sqs');
+const SQS_ENDPOINT = process.env.SQS_ENDPOINT;
+const USE_OFFLINE_QUEUE = QUEUE_ADAPTER === 'offline';
 
-let dynamoDb;
-let sqs;
-
-// Якщо ми працюємо офлайн, явно вказуємо ендпоінт та фіктивні облікові дані.
-// Це примусить AWS SDK використовувати локальний DynamoDB без валідації реальних credentials.
-if (IS_OFFLINE) {
-    dynamoDb = new AWS.DynamoDB.DocumentClient({
-        region: 'localhost', 
-        endpoint: `http://localhost:${DYNAMODB_LOCAL_PORT}`,
-        // Явно вказуємо фіктивні облікові дані, щоб AWS SDK не скаржився
-        accessKeyId: 'test',
-        secretAccessKey: 'test',
-    });
-    sqs = new AWS.SQS({
-        region: 'localhost',
-        endpoint: `http://localhost:9324`, // Типовий порт для localstack/elasticmq SQS
-        accessKeyId: 'test',
-        secretAccessKey: 'test',
-    });
-} else {
-    // Для розгортання в AWS, AWS SDK автоматично підтягне конфігурацію з середовища Lambda
-    dynamoDb = new AWS.DynamoDB.DocumentClient();
-    sqs = new AWS.SQS();
-}
+// serverless-offline не розв'язує Ref на черги, тому офлайн-черга розрізняє черги за назвами ресурсів
+const ORGANIZATION_USER_QUEUE_URL = USE_OFFLINE_QUEUE ? 'OrganizationUserQueue' : process.env.ORGANIZATION_USER_QUEUE_URL;
+const DEAD_LETTER_QUEUE_URL = USE_OFFLINE_QUEUE ? 'OrganizationUserDeadLetterQueue' : process.env.DEAD_LETTER_QUEUE_URL;
+// Має збігатися з maxReceiveCount у RedrivePolicy черги (serverless.yml)
+const MAX_RECEIVE_COUNT = Number(process.env.MAX_RECEIVE_COUNT) || 5;
+const WEBHOOK_QUEUE_URL = USE_OFFLINE_QUEUE ? 'WebhookDeliveryQueue' : process.env.WEBHOOK_QUEUE_URL;
+// Скільки разів намагаємося доставити подію на вебхук, перш ніж позначити доставку як 'failed'
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Через скільки днів архівована організація видаляється остаточно
+const ARCHIVED_ORGANIZATION_RETENTION_DAYS = Number(process.env.ARCHIVED_ORGANIZATION_RETENTION_DAYS) || 30;
+// Міграція на членства ще не завершена: записи Users можуть містити orgId (етапи step1 та step2, serverless.yml)
+const USERS_MIGRATION_PENDING = process.env.USERS_MIGRATION_PENDING === 'true';
 
 // Назви таблиць з environment variables (або значення за замовчуванням)
 const ORGANIZATIONS_TABLE = process.env.ORGANIZATIONS_TABLE || 'Organizations';
 const USERS_TABLE = process.env.USERS_TABLE || 'Users';
+const OPERATIONS_TABLE = process.env.OPERATIONS_TABLE || 'Operations';
+const UNIQUE_VALUES_TABLE = process.env.UNIQUE_VALUES_TABLE || 'UniqueValues';
+const MEMBERSHIPS_TABLE = process.env.MEMBERSHIPS_TABLE || 'Memberships';
+const IMPORTS_TABLE = process.env.IMPORTS_TABLE || 'Imports';
+const IMPORT_ROWS_TABLE = process.env.IMPORT_ROWS_TABLE || 'ImportRows';
+const AUDIT_LOG_TABLE = process.env.AUDIT_LOG_TABLE || 'AuditLog';
+const WEBHOOKS_TABLE = process.env.WEBHOOKS_TABLE || 'Webhooks';
+const WEBHOOK_DELIVERIES_TABLE = process.env.WEBHOOK_DELIVERIES_TABLE || 'WebhookDeliveries';
+const IDEMPOTENCY_KEYS_TABLE = process.env.IDEMPOTENCY_KEYS_TABLE || 'IdempotencyKeys';
+const INVITATIONS_TABLE = process.env.INVITATIONS_TABLE || 'Invitations';
+
+// Ключі таблиць та GSI для сховища в пам'яті. Мають збігатися з KeySchema у serverless.yml.
+const MEMORY_TABLES = {
+    [ORGANIZATIONS_TABLE]: { keys: ['orgId'], indexes: { 'EntityTypeCreatedAt-index': ['entityType', 'createdAt'] } },
+    [USERS_TABLE]: {
+        keys: ['userId'],
+        indexes: {
+            'Email-index': ['email'],
+            // OrgId-index існує, лише поки записи Users переносяться в членства (USERS_MIGRATION_PENDING)
+            ...(USERS_MIGRATION_PENDING && { 'OrgId-index': ['orgId'] }),
+        },
+    },
+    [OPERATIONS_TABLE]: { keys: ['operationId'], ttlAttribute: 'expiresAt' },
+    [UNIQUE_VALUES_TABLE]: { keys: ['uniqueKey'] },
+    [MEMBERSHIPS_TABLE]: {
+        keys: ['userId', 'orgId'],
+        indexes: {
+            'OrgId-index': ['orgId', 'userId'],
+            'OrgIdJoinedAt-index': ['orgId', 'joinedAt'],
+            'OrgIdNameSearch-index': ['orgId', 'nameSearch'],
+        },
+    },
+    [IMPORTS_TABLE]: { keys: ['importId'], ttlAttribute: 'expiresAt' },
+    [IMPORT_ROWS_TABLE]: { keys: ['importId', 'row'], ttlAttribute: 'expiresAt' },
+    [AUDIT_LOG_TABLE]: { keys: ['orgId', 'entryId'], indexes: { 'UserId-index': ['userId', 'entryId'] } },
+    [WEBHOOKS_TABLE]: { keys: ['orgId', 'webhookId'] },
+    [WEBHOOK_DELIVERIES_TABLE]: { keys: ['webhookId', 'deliveryId'], ttlAttribute: 'expiresAt' },
+    [IDEMPOTENCY_KEYS_TABLE]: { keys: ['idempotencyKey'], ttlAttribute: 'expiresAt' },
+    [INVITATIONS_TABLE]: { keys: ['invitationId'], indexes: { 'OrgIdCreatedAt-index': ['orgId', 'createdAt'] }, ttlAttribute: 'expiresAt' },
+};
+
+const createStorage = () => {
+    switch (STORAGE_ADAPTER) {
+        case 'dynamodb':
+            return createDynamoDbClient({ endpoint: IS_OFFLINE ? `http://localhost:${DYNAMODB_LOCAL_PORT}` : undefined });
+        case 'memory':
+            return getMemoryDocumentClient(MEMORY_TABLES);
+        default:
+            throw new Error(`Невідомий STORAGE_ADAPTER '${STORAGE_ADAPTER}'. Допустимі значення: dynamodb, memory.`);
+    }
+};
+
+const createQueue = () => {
+    switch (QUEUE_ADAPTER) {
+        case 'sqs':
+            return createSqsClient({ endpoint: SQS_ENDPOINT });
+        case 'offline':
+            return offlineQueue;
+        default:
+            throw new Error(`Невідомий QUEUE_ADAPTER '${QUEUE_ADAPTER}'. Допустимі значення: sqs, offline.`);
+    }
+};
+
+const dynamoDb = createStorage();
+const sqs = createQueue();
+
+// Скільки днів зберігаємо записи про операції (DynamoDB TTL видаляє їх автоматично)
+const OPERATION_TTL_DAYS = 7;
+// Причина невдачі операції через неочікувану помилку. Текст самої помилки (наприклад, повідомлення aws-sdk)
+// клієнту не показуємо - він є лише в логах.
+const INTERNAL_FAILURE_REASON = 'Внутрішня помилка під час обробки операції.';
 
 // Допоміжна функція для створення відповіді API Gateway
-const buildResponse = (statusCode, body) => {
+const buildResponse = (statusCode, body, headers = {}) => {
     return {
         statusCode: statusCode,
         headers: {
             'Content-Type': 'application/json',
+            ...headers,
         },
         body: JSON.stringify(body),
     };
 };
 
-// 1. Функція для створення організації (POST /organizations)
-module.exports.createOrganization = async (event) => {
-    console.log('Виклик createOrganization');
-    console.log('Отримано подію:', JSON.stringify(event));
+// Єдиний формат помилок API: { error: { code, message, field } }.
+// field - назва поля або параметра, що не пройшов перевірку (null, якщо помилка не стосується поля).
+const buildErrorResponse = (statusCode, code, message, field = null, headers = {}) => {
+    return buildResponse(statusCode, { error: { code, message, field } }, headers);
+};
 
-    try {
-        const data = JSON.parse(event.body);
-        const { name, description } = data;
+// Текст внутрішніх винятків не повертаємо клієнту - він лише логується
+const buildInternalErrorResponse = () => {
+    return buildErrorResponse(500, 'INTERNAL_ERROR', 'Внутрішня помилка сервера.');
+};
 
-        // Валідація вхідних даних
-        if (!name || !description) {
-            return buildResponse(400, { message: 'Назва та опис організації є обов\'язковими.' });
-        }
+const buildValidationErrorResponse = (validationError) => {
+    return buildErrorResponse(400, 'VALIDATION_ERROR', validationError.message, validationError.field);
+};
 
-        // Перевірка на унікальність назви організації (синхронно, щоб уникнути дублікатів в черзі)
-        const scanParams = {
-            TableName: ORGANIZATIONS_TABLE,
-            FilterExpression: '#name = :name',
-            ExpressionAttributeNames: { '#name': 'name' },
-            ExpressionAttributeValues: { ':name': name },
-        };
-        const result = await dynamoDb.scan(scanParams).promise();
+// Тіло запиту як текст (API Gateway передає бінарні типи вмісту, наприклад text/csv, у base64)
+const decodeRequestBody = (event) => {
+    return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+};
 
-        if (result.Items && result.Items.length > 0) {
-            return buildResponse(409, { message: 'Організація з такою назвою вже існує.' });
+// Розбирає JSON-тіло запиту та перевіряє його за схемою. Повертає { data } або { errorResponse }.
+// Якщо optional = true, відсутнє тіло вважається порожнім об'єктом.
+const parseRequestBody = (event, schema, optional = false) => {
+    if (!event.body) {
+        if (optional) {
+            return { data: {} };
         }
+        return { errorResponse: buildErrorResponse(400, 'MISSING_BODY', 'Тіло запиту є обов\'язковим.') };
+    }
 
-        const orgId = uuidv4(); // Генеруємо унікальний ID для організації
-
-        // Створюємо повідомлення для SQS
-        const message = {
-            operation: 'createOrganization', // Тип операції для споживача
-            data: { orgId, name, description, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() }
-        };
+    let data;
+    try {
+        data = JSON.parse(decodeRequestBody(event));
+    } catch (error) {
+        return { errorResponse: buildErrorResponse(400, 'INVALID_JSON', 'Тіло запиту не є коректним JSON.') };
+    }
 
-        const sqsParams = {
-            QueueUrl: ORGANIZATION_USER_QUEUE_URL,
-            MessageBody: JSON.stringify(message)
-        };
+    const validationError = validate(schema, data);
+    if (validationError) {
+        return { errorResponse: buildValidationErrorResponse(validationError) };
+    }
+    return { data };
+};
 
-        await sqs.sendMessage(sqsParams).promise();
+// Перевіряє параметри шляху за схемою. Повертає { parameters } або { errorResponse }.
+const parsePathParameters = (event, schema) => {
+    const parameters = event.pathParameters || {};
+    const validationError = validate(schema, parameters);
 
-        console.log('Повідомлення про створення організації відправлено в SQS:', message);
-        return buildResponse(202, { message: 'Запит на створення організації прийнято, обробляється асинхронно.', orgId: orgId });
+    if (validationError) {
+        return { errorResponse: buildValidationErrorResponse(validationError) };
+    }
+    return { parameters };
+};
 
+// Перевіряє bearer-токен запиту. Повертає { principal } або { errorResponse } з кодом 401.
+const authenticateRequest = (event) => {
+    try {
+        return { principal: authenticate(event) };
     } catch (error) {
-        console.error('Помилка при створенні організації:', error);
-        return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
+        if (error instanceof AuthenticationError) {
+            return { errorResponse: buildErrorResponse(401, 'UNAUTHORIZED', error.message, null, { 'WWW-Authenticate': 'Bearer' }) };
+        }
+        throw error;
     }
 };
 
-// 2. Функція для створення/оновлення користувача (POST/PUT /organizations/{orgId}/users)
-module.exports.createOrUpdateUser = async (event) => {
-    console.log('Виклик createOrUpdateUser');
-    console.log('Отримано подію:', JSON.stringify(event));
+// Членство користувача в організації (userId, orgId, role, joinedAt) або undefined
+const getMembership = async (userId, orgId) => {
+    const result = await dynamoDb.get({ TableName: MEMBERSHIPS_TABLE, Key: { userId, orgId } }).promise();
+    return result.Item;
+};
 
-    try {
-        const { orgId } = event.pathParameters;
-        const data = JSON.parse(event.body);
-        const { userId, name, email } = data;
+// Перевіряє, що викликач має в організації роль не нижчу за requiredRole.
+// Повертає null, якщо доступ дозволено, або відповідь 403. Адміністратор платформи має доступ до всіх організацій.
+// Перевірка виконується до перевірки існування організації, щоб не розкривати чужі orgId.
+const authorizeOrganizationAccess = async (principal, orgId, requiredRole) => {
+    // До завершення міграції на членства користувачі організації переносяться перед першим зверненням до неї
+    await ensureOrganizationUsersMigrated(orgId);
 
-        // Валідація вхідних даних
-        if (!orgId || !name || !email) {
-            return buildResponse(400, { message: 'orgId у шляху, ім\'я та email користувача є обов\'язковими.' });
-        }
+    if (principal.isPlatformAdmin) {
+        return null;
+    }
 
-        // Перевіряємо, чи існує організація з таким orgId (синхронно, перед відправкою в SQS)
-        const orgGetParams = {
-            TableName: ORGANIZATIONS_TABLE,
-            Key: { orgId: orgId },
-        };
-        const orgResult = await dynamoDb.get(orgGetParams).promise();
+    const membership = await getMembership(principal.userId, orgId);
+    if (membership && hasRole(membership.role, requiredRole)) {
+        return null;
+    }
+    return buildErrorResponse(403, 'FORBIDDEN', `Недостатньо прав: потрібна роль '${requiredRole}' в організації '${orgId}'.`, 'orgId');
+};
 
-        if (!orgResult.Item) {
-            return buildResponse(404, { message: `Організація з ID '${orgId}' не знайдена.` });
-        }
+// Службові маршрути (DLQ) доступні лише адміністраторам платформи
+const authorizePlatformAdmin = (principal) => {
+    if (principal.isPlatformAdmin) {
+        return null;
+    }
+    return buildErrorResponse(403, 'FORBIDDEN', 'Недостатньо прав: маршрут доступний лише адміністраторам платформи.');
+};
 
-        const newUserId = userId || uuidv4(); // Використовуємо існуючий userId або генеруємо новий
+// Заголовок з correlation id: клієнт може передати власний, інакше він генерується. Сервіс повертає його
+// у відповіді, передає в повідомленнях SQS (атрибут correlationId) і додає до кожного запису логів.
+const CORRELATION_ID_HEADER = 'X-Correlation-Id';
 
-        // Перевірка на унікальність email в межах організації
-        // Це робимо синхронно, щоб уникнути створення дублікатів в черзі
-        const queryParams = {
-            TableName: USERS_TABLE,
-            IndexName: 'OrgId-index',
-            KeyConditionExpression: 'orgId = :orgId',
-            FilterExpression: 'email = :email',
-            ExpressionAttributeValues: {
-                ':orgId': orgId,
-                ':email': email
-            },
-        };
-        const queryResult = await dynamoDb.query(queryParams).promise();
+// Обгортка кожного обробника Lambda (застосовується в кінці файлу). Виконує обробник у контексті логування
+// з correlation id, логує виклик (без заголовків і тіла запиту) та відповідь, записує метрики
+// Latency і Failures (виняток або статус 5xx) з виміром Handler.
+const withRequestContext = (handlerName, handler) => async (event, ...args) => {
+    const correlationId = resolveCorrelationId(getHeader(event, CORRELATION_ID_HEADER));
 
-        if (queryResult.Items && queryResult.Items.length > 0) {
-            const existingUser = queryResult.Items[0];
-            if (event.requestContext.http.method === 'POST' || (event.requestContext.http.method === 'PUT' && existingUser.userId !== newUserId)) {
-                 return buildResponse(409, { message: `Користувач з email '${email}' вже зареєстрований в цій організації.` });
+    return runWithContext({ correlationId, handler: handlerName }, async () => {
+        const startedAt = Date.now();
+        const http = event && event.requestContext && event.requestContext.http;
+        logger.info(`Виклик ${handlerName}`, {
+            ...(http && { method: http.method, path: event.rawPath }),
+            ...(event && event.pathParameters && { pathParameters: event.pathParameters }),
+            ...(event && event.queryStringParameters && { queryStringParameters: event.queryStringParameters }),
+            ...(event && Array.isArray(event.Records) && { recordCount: event.Records.length }),
+        });
+
+        let isFailed = true;
+        try {
+            const response = await handler(event, ...args);
+            if (!response || !response.statusCode) {
+                isFailed = false;
+                return response;
             }
+            isFailed = response.statusCode >= 500;
+            logger.info(`Відповідь ${handlerName}: ${response.statusCode}`, { statusCode: response.statusCode, durationMs: Date.now() - startedAt });
+            return { ...response, headers: { ...response.headers, [CORRELATION_ID_HEADER]: correlationId } };
+        } catch (error) {
+            logger.error(`Необроблена помилка в ${handlerName}`, { error });
+            throw error;
+        } finally {
+            // Споживачі SQS змінюють correlation id для кожного запису - метрика виклику належить самому виклику
+            updateContext({ correlationId });
+            putMetrics({ Handler: handlerName }, {
+                Latency: { value: Date.now() - startedAt, unit: 'Milliseconds' },
+                Failures: { value: isFailed ? 1 : 0, unit: 'Count' },
+            });
         }
-        
-        // Створюємо повідомлення для SQS
-        const message = {
-            operation: event.requestContext.http.method === 'POST' ? 'createUser' : 'updateUser',
-            data: { orgId, userId: newUserId, name, email, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() }
-        };
+    });
+};
 
-        const sqsParams = {
-            QueueUrl: ORGANIZATION_USER_QUEUE_URL,
-            MessageBody: JSON.stringify(message)
-        };
+// Correlation id запису SQS: з атрибута повідомлення або новий (повідомлення, відправлені до появи атрибута)
+const getRecordCorrelationId = (record) => {
+    const attribute = record.messageAttributes && record.messageAttributes.correlationId;
+    return resolveCorrelationId(attribute && attribute.stringValue);
+};
 
-        await sqs.sendMessage(sqsParams).promise();
+// Додає до параметрів sendMessage (або елемента sendMessageBatch) атрибут з correlation id поточного запиту
+const withCorrelationId = (params) => {
+    const correlationId = getCorrelationId();
+    if (!correlationId) {
+        return params;
+    }
+    return {
+        ...params,
+        MessageAttributes: { ...params.MessageAttributes, correlationId: { DataType: 'String', StringValue: correlationId } },
+    };
+};
 
-        console.log('Повідомлення про користувача відправлено в SQS:', message);
-        return buildResponse(202, { message: `Запит на ${event.requestContext.http.method === 'POST' ? 'створення' : 'оновлення'} користувача прийнято, обробляється асинхронно.`, userId: newUserId });
+// Скільки годин зберігаємо відповіді для Idempotency-Key (DynamoDB TTL видаляє їх автоматично)
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+// Скільки секунд ключ вважається зайнятим запитом, що виконується. Якщо запит впав, не зберігши
+// відповідь, після цього часу повтор з тим самим ключем виконається заново.
+const IDEMPOTENCY_LOCK_SECONDS = 60;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
 
-    } catch (error) {
-        console.error('Помилка при створенні/оновленні користувача:', error);
-        return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
-    }
+// Відбиток запиту: повтор з тим самим ключем, але іншим тілом чи шляхом - помилка клієнта
+const getRequestHash = (event) => {
+    const method = event.requestContext && event.requestContext.http ? event.requestContext.http.method : '';
+    const body = event.body ? decodeRequestBody(event) : '';
+    return crypto.createHash('sha256').update(JSON.stringify([method, event.rawPath || '', body])).digest('hex');
 };
 
-// 3. Функція для оновлення організації (PUT /organizations)
-module.exports.updateOrganization = async (event) => {
-    console.log('Виклик updateOrganization');
-    console.log('Отримано подію:', JSON.stringify(event));
+// Обгортка для обробників, що створюють ресурси. Якщо клієнт передав заголовок Idempotency-Key,
+// перший запит виконується як зазвичай, а його відповідь зберігається в таблиці IdempotencyKeys.
+// Повтор з тим самим ключем (для того ж викликача та обробника) повертає збережену відповідь
+// з заголовком Idempotent-Replayed: true, не створюючи нового ресурсу.
+// Відповіді 5xx не зберігаються, щоб клієнт міг повторити запит.
+const withIdempotencyKey = (scope, handler) => async (event) => {
+    const idempotencyKey = getHeader(event, 'Idempotency-Key');
+    if (idempotencyKey === undefined) {
+        return handler(event);
+    }
 
+    let principal;
     try {
-        const data = JSON.parse(event.body);
-        const { orgId, name, description } = data;
+        principal = authenticate(event);
+    } catch (error) {
+        // Відповідь 401 (або 500 при помилці конфігурації) поверне сам обробник
+        return handler(event);
+    }
 
-        // Валідація вхідних даних
-        if (!orgId) {
-            return buildResponse(400, { message: 'orgId є обов\'язковим для оновлення організації.' });
-        }
-        if (!name && !description) {
-            return buildResponse(400, { message: 'Назва або опис організації є обов\'язковими для оновлення.' });
-        }
+    if (idempotencyKey.trim().length === 0 || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return buildValidationErrorResponse({
+            field: 'Idempotency-Key',
+            message: `Заголовок Idempotency-Key має містити від 1 до ${MAX_IDEMPOTENCY_KEY_LENGTH} символів.`,
+        });
+    }
 
-        // Перевіряємо, чи існує організація з таким orgId (синхронно, перед відправкою в SQS)
-        const orgGetParams = {
-            TableName: ORGANIZATIONS_TABLE,
-            Key: { orgId: orgId },
-        };
-        const orgResult = await dynamoDb.get(orgGetParams).promise();
+    const key = { idempotencyKey: `${principal.userId}#${scope}#${idempotencyKey}` };
+    const requestHash = getRequestHash(event);
 
-        if (!orgResult.Item) {
-            return buildResponse(404, { message: `Організація з ID '${orgId}' не знайдена для оновлення.` });
+    try {
+        const now = Math.floor(Date.now() / 1000);
+        await dynamoDb.put({
+            TableName: IDEMPOTENCY_KEYS_TABLE,
+            Item: {
+                ...key,
+                requestHash,
+                status: 'in_progress',
+                lockExpiresAt: now + IDEMPOTENCY_LOCK_SECONDS,
+                expiresAt: now + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60,
+            },
+            // Ключ вільний або попередній запит з цим ключем завис і його блокування минуло
+            ConditionExpression: 'attribute_not_exists(idempotencyKey) OR (#status = :inProgress AND lockExpiresAt < :now)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':inProgress': 'in_progress', ':now': now },
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            logger.error('Помилка при перевірці Idempotency-Key', { error });
+            return buildInternalErrorResponse();
         }
 
-        // Створюємо повідомлення для SQS
-        const message = {
-            operation: 'updateOrganization', // Тип операції для споживача
-            data: { orgId, name, description, updatedAt: new Date().toISOString() }
-        };
+        const existing = await getItemConsistently(IDEMPOTENCY_KEYS_TABLE, key);
+        if (!existing) {
+            // Запис щойно видалено (TTL або невдалий запит) - просимо клієнта повторити
+            return buildErrorResponse(409, 'IDEMPOTENCY_KEY_IN_PROGRESS', 'Запит з цим Idempotency-Key ще виконується. Повторіть пізніше.', 'Idempotency-Key');
+        }
+        if (existing.requestHash !== requestHash) {
+            return buildErrorResponse(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key вже використано для іншого запиту.', 'Idempotency-Key');
+        }
+        if (existing.status !== 'completed') {
+            return buildErrorResponse(409, 'IDEMPOTENCY_KEY_IN_PROGRESS', 'Запит з цим Idempotency-Key ще виконується. Повторіть пізніше.', 'Idempotency-Key');
+        }
 
-        const sqsParams = {
-            QueueUrl: ORGANIZATION_USER_QUEUE_URL,
-            MessageBody: JSON.stringify(message)
+        logger.info(`Повтор запиту з Idempotency-Key '${idempotencyKey}': повертаємо збережену відповідь.`);
+        return {
+            ...existing.response,
+            headers: { ...existing.response.headers, 'Idempotent-Replayed': 'true' },
         };
+    }
 
-        await sqs.sendMessage(sqsParams).promise();
-
-        console.log('Повідомлення про оновлення організації відправлено в SQS:', message);
-        return buildResponse(202, { message: 'Запит на оновлення організації прийнято, обробляється асинхронно.', orgId: orgId });
+    const response = await handler(event);
 
+    try {
+        if (response.statusCode >= 500) {
+            await dynamoDb.delete({ TableName: IDEMPOTENCY_KEYS_TABLE, Key: key }).promise();
+        } else {
+            await dynamoDb.update({
+                TableName: IDEMPOTENCY_KEYS_TABLE,
+                Key: key,
+                UpdateExpression: 'SET #status = :completed, #response = :response REMOVE lockExpiresAt',
+                ExpressionAttributeNames: { '#status': 'status', '#response': 'response' },
+                ExpressionAttributeValues: { ':completed': 'completed', ':response': response },
+            }).promise();
+        }
     } catch (error) {
-        console.error('Помилка при оновленні організації:', error);
-        return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
+        // Запит вже виконано - повертаємо відповідь, а ключ звільниться після IDEMPOTENCY_LOCK_SECONDS
+        logger.error(`Не вдалося зберегти відповідь для Idempotency-Key '${idempotencyKey}'`, { error });
     }
+
+    return response;
 };
 
-// 4. Функція для отримання організації за ID (GET /organizations/{orgId})
-module.exports.getOrganization = async (event) => {
-  console.log('Виклик getOrganization');
-  console.log('Отримано подію:', JSON.stringify(event));
+const IF_MATCH_ERROR_MESSAGE = 'Заголовок If-Match має містити версію у вигляді ETag, наприклад "3".';
 
-  try {
-      const { orgId } = event.pathParameters; // Отримуємо orgId з URL шляху
+// Помилка, яка означає, що операцію неможливо застосувати (наприклад, конфлікт версій).
+// Повторна обробка нічого не змінить, тому споживач SQS не повторює такі повідомлення,
+// а одразу позначає операцію як 'failed' з відповідним failureCode.
+class OperationRejectedError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'OperationRejectedError';
+        this.code = code;
+    }
+}
 
-      if (!orgId) {
-          return buildResponse(400, { message: 'orgId є обов\'язковим параметром шляху.' });
-      }
+// Версія елемента. Елементи, створені до появи версій, мають версію 0.
+const getVersion = (item) => item.version || 0;
 
-      const params = {
-          TableName: ORGANIZATIONS_TABLE,
-          Key: { orgId: orgId },
-      };
+// Версія у вигляді ETag (GET /organizations/{orgId}, GET /organizations/{orgId}/users/{userId})
+const buildEtag = (item) => `"${getVersion(item)}"`;
 
-      const result = await dynamoDb.get(params).promise();
+// Значення заголовка без урахування регістру назви
+const getHeader = (event, name) => {
+    const headers = (event && event.headers) || {};
+    const entry = Object.entries(headers).find(([header]) => header.toLowerCase() === name.toLowerCase());
+    return entry ? entry[1] : undefined;
+};
 
-      if (!result.Item) {
-          return buildResponse(404, { message: `Організація з ID '${orgId}' не знайдена.` });
-      }
+// Розбирає заголовок If-Match. Повертає:
+//  - undefined, якщо заголовок відсутній або дорівнює '*' (перевірка версії не потрібна);
+//  - ціле число - очікувану версію;
+//  - null, якщо значення заголовка некоректне.
+const parseIfMatch = (event) => {
+    const ifMatch = getHeader(event, 'If-Match');
 
-      console.log('Організація успішно отримана:', result.Item);
-      return buildResponse(200, { organization: result.Item });
+    if (ifMatch === undefined || ifMatch.trim() === '*') {
+        return undefined;
+    }
 
-  } catch (error) {
-      console.error('Помилка при отриманні організації:', error);
-      return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
-  }
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(ifMatch.trim());
+    return match ? Number(match[1]) : null;
 };
 
-// 5. Функція для отримання користувача за ID (GET /organizations/{orgId}/users/{userId})
-module.exports.getUser = async (event) => {
-  console.log('Виклик getUser');
-  console.log('Отримано подію:', JSON.stringify(event));
+// Додає до параметрів update збільшення версії та, якщо передано expectedVersion,
+// умову, що елемент не змінився з моменту читання клієнтом. Умова з params.ConditionExpression зберігається.
+const withVersionCheck = (params, expectedVersion) => {
+    const conditions = params.ConditionExpression ? [params.ConditionExpression] : [];
+    const expressionAttributeValues = { ...params.ExpressionAttributeValues, ':zero': 0, ':one': 1 };
 
-  try {
-      const { orgId, userId } = event.pathParameters; // Отримуємо orgId та userId з URL шляху
+    if (expectedVersion === 0) {
+        conditions.push('attribute_not_exists(version)');
+    } else if (expectedVersion !== undefined) {
+        conditions.push('version = :expectedVersion');
+        expressionAttributeValues[':expectedVersion'] = expectedVersion;
+    }
 
-      if (!orgId || !userId) {
-          return buildResponse(400, { message: 'orgId та userId є обов\'язковими параметрами шляху.' });
-      }
+    return {
+        ...params,
+        UpdateExpression: `${params.UpdateExpression}, version = if_not_exists(version, :zero) + :one`,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ...(conditions.length > 0 && {
+            ConditionExpression: conditions.length === 1 ? conditions[0] : conditions.map((condition) => `(${condition})`).join(' AND '),
+        }),
+    };
+};
 
-      const params = {
-          TableName: USERS_TABLE,
-          Key: { userId: userId }, // DynamoDB працює з partition key, який є userId
-      };
+// Помилка для випадку, коли умова update не виконалась: елемент змінили або видалили паралельно
+const buildConflictError = (expectedVersion) => {
+    if (expectedVersion === undefined) {
+        return new OperationRejectedError('Елемент було видалено або змінено іншим запитом.', 'NOT_FOUND');
+    }
+    return new OperationRejectedError(`Елемент було змінено іншим запитом (очікувана версія ${expectedVersion}).`, 'VERSION_CONFLICT');
+};
 
-      const result = await dynamoDb.get(params).promise();
+// Унікальні значення (назви організацій, email користувачів у межах організації) закріплюються
+// окремими елементами таблиці UniqueValues в тій самій транзакції, що й запис організації/користувача.
+// Значення нормалізуються, тому 'Acme' і ' acme ' вважаються однаковими.
+const normalizeUniqueValue = (value) => value.trim().toLowerCase();
+const orgNameUniqueKey = (name) => `ORG_NAME#${normalizeUniqueValue(name)}`;
+// Email унікальний глобально: одна особа - один запис у Users, скільки б організацій вона не мала
+const userEmailUniqueKey = (email) => `USER_EMAIL#${normalizeUniqueValue(email)}`;
+// Запрошення, що очікує на прийняття: на один email в організації - одне чинне запрошення
+const invitationUniqueKey = (orgId, email) => `INVITATION#${orgId}#${normalizeUniqueValue(email)}`;
+// Ключ email записів, створених до переходу на членства (унікальність у межах організації). Лише для міграції.
+const legacyUserEmailUniqueKey = (orgId, email) => `USER_EMAIL#${orgId}#${normalizeUniqueValue(email)}`;
 
-      // Перевіряємо, чи користувач існує і чи належить він до вказаної організації
-      if (!result.Item || result.Item.orgId !== orgId) {
-          return buildResponse(404, { message: `Користувач з ID '${userId}' не знайдений в організації '${orgId}'.` });
-      }
+// Елемент транзакції, що закріплює унікальне значення за власником.
+// Повторне закріплення тим самим власником (повторна доставка повідомлення) не є конфліктом.
+const claimUniqueValue = (uniqueKey, ownerId) => ({
+    Put: {
+        TableName: UNIQUE_VALUES_TABLE,
+        Item: { uniqueKey, ownerId, createdAt: new Date().toISOString() },
+        ConditionExpression: 'attribute_not_exists(uniqueKey) OR ownerId = :ownerId',
+        ExpressionAttributeValues: { ':ownerId': ownerId },
+    },
+});
 
-      console.log('Користувач успішно отриманий:', result.Item);
-      return buildResponse(200, { user: result.Item });
+// Елемент транзакції, що звільняє унікальне значення. Значення іншого власника не видаляємо,
+// а відсутнє значення (дані, створені до появи UniqueValues) не вважаємо помилкою.
+const releaseUniqueValue = (uniqueKey, ownerId) => ({
+    Delete: {
+        TableName: UNIQUE_VALUES_TABLE,
+        Key: { uniqueKey },
+        ConditionExpression: 'attribute_not_exists(uniqueKey) OR ownerId = :ownerId',
+        ExpressionAttributeValues: { ':ownerId': ownerId },
+    },
+});
 
-  } catch (error) {
-      console.error('Помилка при отриманні користувача:', error);
-      return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
-  }
+// Повертає власника унікального значення або null. Використовується HTTP-обробниками для швидкої
+// відповіді 409; остаточно унікальність гарантує транзакція в споживачі SQS.
+const getUniqueValueOwner = async (uniqueKey) => {
+    const params = {
+        TableName: UNIQUE_VALUES_TABLE,
+        Key: { uniqueKey },
+    };
+    const result = await dynamoDb.get(params).promise();
+    return result.Item ? result.Item.ownerId : null;
 };
 
-// 6. Функція для отримання ВСІХ організацій (GET /organizations)
-module.exports.getAllOrganizations = async (event) => {
-  console.log('Виклик getAllOrganizations');
-  console.log('Отримано подію:', JSON.stringify(event));
+// Причини скасування транзакції. aws-sdk v2 передає їх лише в тексті помилки:
+// "Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]"
+const getCancellationReasons = (error) => {
+    if (Array.isArray(error.CancellationReasons)) {
+        return error.CancellationReasons.map((reason) => reason.Code);
+    }
+    const match = /\[(.*)\]/.exec(error.message || '');
+    return match ? match[1].split(',').map((reason) => reason.trim()) : [];
+};
 
-  try {
-      const params = {
-          TableName: ORGANIZATIONS_TABLE,
-      };
+// Виконує transactWrite. Повертає індекси елементів, умови яких не виконались (порожній масив - успіх).
+// Інші причини скасування (наприклад, TransactionConflict) перекидаються далі, щоб повідомлення повторилось.
+const transactWrite = async (transactItems) => {
+    try {
+        await dynamoDb.transactWrite({ TransactItems: transactItems }).promise();
+        return [];
+    } catch (error) {
+        if (error.code !== 'TransactionCanceledException') {
+            throw error;
+        }
+        const failedIndexes = getCancellationReasons(error)
+            .map((reason, index) => (reason === 'ConditionalCheckFailed' ? index : -1))
+            .filter((index) => index >= 0);
+        if (failedIndexes.length === 0) {
+            throw error;
+        }
+        return failedIndexes;
+    }
+};
 
-      // Використовуємо метод scan для отримання всіх елементів.
-      // Увага: scan може бути неефективним для великих таблиць!
-      const result = await dynamoDb.scan(params).promise();
+// Перетворює параметри update на елемент транзакції (ReturnValues в транзакціях не підтримується)
+const toTransactUpdate = ({ ReturnValues, ...params }) => ({ Update: params });
 
-      if (!result.Items || result.Items.length === 0) {
-          return buildResponse(200, { message: 'Жодної організації не знайдено.', organizations: [] });
-      }
+// Запис про операцію зі статусом 'pending' для таблиці Operations
+const buildOperationItem = (operationId, message, now) => ({
+    operationId,
+    operation: message.operation,
+    status: 'pending',
+    ...(message.data.orgId && { orgId: message.data.orgId }),
+    ...(message.data.userId && { userId: message.data.userId }),
+    ...(message.requestedBy && { requestedBy: message.requestedBy }),
+    // Операції масового імпорту: результат рядка зараховується до прогресу імпорту
+    ...(message.importId && { importId: message.importId, importRow: message.importRow }),
+    // Дозволяє знайти логи HTTP-запиту та споживача SQS для операції
+    ...(getCorrelationId() && { correlationId: getCorrelationId() }),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + OPERATION_TTL_DAYS * 24 * 60 * 60,
+});
 
-      console.log('Усі організації успішно отримані:', result.Items);
-      return buildResponse(200, { organizations: result.Items });
+// Реєструє асинхронну операцію зі статусом 'pending' та відправляє повідомлення в SQS.
+// message.requestedBy - userId викликача; лише він може переглядати статус операції.
+// Повертає operationId, за яким клієнт може перевірити статус через GET /operations/{operationId}.
+const enqueueOperation = async (message) => {
+    const operationId = uuidv4();
 
-  } catch (error) {
-      console.error('Помилка при отриманні всіх організацій:', error);
-      return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
-  }
-};
+    const operationParams = {
+        TableName: OPERATIONS_TABLE,
+        Item: buildOperationItem(operationId, message, new Date()),
+    };
+    await dynamoDb.put(operationParams).promise();
 
-// 7. Функція для отримання всіх користувачів в межах однієї організації (GET /organizations/{orgId}/users)
-module.exports.getAllUsersByOrganization = async (event) => {
-  console.log('Виклик getAllUsersByOrganization');
-  console.log('Отримано подію:', JSON.stringify(event));
+    const sqsParams = withCorrelationId({
+        QueueUrl: ORGANIZATION_USER_QUEUE_URL,
+        MessageBody: JSON.stringify({ ...message, operationId }),
+    });
 
-  try {
-      const { orgId } = event.pathParameters; // Отримуємо orgId з URL шляху
+    try {
+        await sqs.sendMessage(sqsParams).promise();
+    } catch (error) {
+        // Повідомлення не потрапило в чергу, тому операцію ніхто не обробить
+        await updateOperationStatus(operationId, 'failed', 'Не вдалося відправити повідомлення в чергу.', 'ENQUEUE_FAILED');
+        throw error;
+    }
 
-      if (!orgId) {
-          return buildResponse(400, { message: 'orgId є обов\'язковим параметром шляху.' });
-      }
+    return operationId;
+};
 
-      // Перевіряємо, чи існує організація з таким orgId
-      const orgGetParams = {
-          TableName: ORGANIZATIONS_TABLE,
-          Key: { orgId: orgId },
-      };
-      const orgResult = await dynamoDb.get(orgGetParams).promise();
+// Максимальна кількість повідомлень в одному sendMessageBatch (обмеження SQS)
+const SQS_SEND_BATCH_LIMIT = 10;
 
-      if (!orgResult.Item) {
-          return buildResponse(404, { message: `Організація з ID '${orgId}' не знайдена.` });
-      }
+// Пакетний варіант enqueueOperation для масового імпорту: записи про операції зберігаються через batchWrite,
+// а повідомлення відправляються пачками по SQS_SEND_BATCH_LIMIT.
+// Повертає масив { operationId, enqueued } у тому ж порядку, що й messages.
+const enqueueOperations = async (messages) => {
+    const now = new Date();
+    const results = messages.map(() => ({ operationId: uuidv4(), enqueued: true }));
 
-      // Використовуємо Query на OrgId-index для отримання всіх користувачів за orgId
-      const params = {
-          TableName: USERS_TABLE,
-          IndexName: 'OrgId-index', // Використовуємо наш GSI
-          KeyConditionExpression: 'orgId = :orgId',
-          ExpressionAttributeValues: {
-              ':orgId': orgId,
-          },
-      };
+    for (let i = 0; i < messages.length; i += BATCH_WRITE_LIMIT) {
+        await batchWriteWithRetry({
+            [OPERATIONS_TABLE]: messages.slice(i, i + BATCH_WRITE_LIMIT).map((message, j) => ({
+                PutRequest: { Item: buildOperationItem(results[i + j].operationId, message, now) },
+            })),
+        });
+    }
 
-      const result = await dynamoDb.query(params).promise();
+    for (let i = 0; i < messages.length; i += SQS_SEND_BATCH_LIMIT) {
+        const entries = messages.slice(i, i + SQS_SEND_BATCH_LIMIT).map((message, j) => withCorrelationId({
+            Id: String(j),
+            MessageBody: JSON.stringify({ ...message, operationId: results[i + j].operationId }),
+        }));
 
-      if (!result.Items || result.Items.length === 0) {
-          return buildResponse(200, { message: `Користувачів в організації '${orgId}' не знайдено.`, users: [] });
-      }
+        let failedIds;
+        try {
+            const result = await sqs.sendMessageBatch({ QueueUrl: ORGANIZATION_USER_QUEUE_URL, Entries: entries }).promise();
+            failedIds = (result.Failed || []).map((entry) => entry.Id);
+        } catch (error) {
+            logger.error('Не вдалося відправити пачку повідомлень в SQS', { error });
+            failedIds = entries.map((entry) => entry.Id);
+        }
 
-      console.log(`Усі користувачі організації '${orgId}' успішно отримані:`, result.Items);
-      return buildResponse(200, { users: result.Items });
+        // Повідомлення не потрапили в чергу, тому ці операції ніхто не обробить
+        for (const id of failedIds) {
+            const result = results[i + Number(id)];
+            result.enqueued = false;
+            await updateOperationStatus(result.operationId, 'failed', 'Не вдалося відправити повідомлення в чергу.', 'ENQUEUE_FAILED');
+        }
+    }
 
-  } catch (error) {
-      console.error('Помилка при отриманні користувачів за організацією:', error);
-      return buildResponse(500, { message: 'Внутрішня помилка сервера.', error: error.message });
-  }
+    return results;
 };
 
+// Оновлює статус операції після обробки повідомлення споживачем SQS.
+// Статус 'pending' разом з failureReason означає, що спроба не вдалась і повідомлення буде повторене.
+const updateOperationStatus = async (operationId, status, failureReason, failureCode) => {
+    const params = {
+        TableName: OPERATIONS_TABLE,
+        Key: { operationId },
+        UpdateExpression: failureReason
+            ? 'SET #status = :status, failureReason = :failureReason, failureCode = :failureCode, updatedAt = :updatedAt'
+            : 'SET #status = :status, updatedAt = :updatedAt REMOVE failureReason, failureCode',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+            ':status': status,
+            ':updatedAt': new Date().toISOString(),
+            ...(failureReason && { ':failureReason': failureReason, ':failureCode': failureCode || 'PROCESSING_ERROR' }),
+        },
+        ReturnValues: 'ALL_NEW',
+    };
+    const result = await dynamoDb.update(params).promise();
 
-// 8. Функція для обробки повідомлень з SQS (Consumer Lambda)
-module.exports.processSqsMessages = async (event) => {
-    console.log('Виклик processSqsMessages - Отримано повідомлення з SQS');
-    console.log('Подія SQS:', JSON.stringify(event, null, 2));
+    // Остаточний результат рядка масового імпорту зараховуємо до прогресу імпорту
+    const operation = result.Attributes;
+    if (status !== 'pending' && operation && operation.importId) {
+        await recordImportProgress(operation);
+    }
+};
 
-    for (const record of event.Records) {
-        try {
-            const messageBody = JSON.parse(record.body);
-            const { operation, data } = messageBody;
+// Скільки днів зберігаємо записи про масові імпорти (DynamoDB TTL видаляє їх автоматично)
+const IMPORT_TTL_DAYS = 7;
 
-            console.log(`Обробка повідомлення: Операція=${operation}, Дані=`, data);
+// Результати рядків імпорту зберігаються окремими елементами ImportRows (importId, row), а не в записі Imports:
+// звіт на 1000 рядків разом з помилками обробки перевищив би ліміт розміру елемента DynamoDB (400 КБ).
+// status рядка: 'rejected' (не пройшов перевірку), 'accepted' (відправлений у чергу), 'succeeded' або 'failed'.
+const saveImportRows = async (importId, rows, expiresAt) => {
+    for (let i = 0; i < rows.length; i += BATCH_WRITE_LIMIT) {
+        await batchWriteWithRetry({
+            [IMPORT_ROWS_TABLE]: rows.slice(i, i + BATCH_WRITE_LIMIT).map((row) => ({ PutRequest: { Item: { importId, ...row, expiresAt } } })),
+        });
+    }
+};
 
-            let params;
-            let result;
+// Враховує остаточний результат однієї операції імпорту. Рядок переходить зі статусу 'accepted' в остаточний
+// в одній транзакції зі збільшенням лічильника, тож повторна доставка повідомлення не спотворює лічильники.
+// Коли оброблено всі прийняті рядки, імпорт переходить у статус 'completed'.
+const recordImportProgress = async (operation) => {
+    const isSucceeded = operation.status === 'succeeded';
+    const updatedAt = new Date().toISOString();
+    const failedIndexes = await transactWrite([
+        {
+            Update: {
+                TableName: IMPORT_ROWS_TABLE,
+                Key: { importId: operation.importId, row: operation.importRow },
+                UpdateExpression: 'SET #status = :status, operationId = :operationId, userId = :userId, updatedAt = :updatedAt'
+                    + (isSucceeded ? '' : ', failureCode = :failureCode, failureReason = :failureReason'),
+                ConditionExpression: '#status = :accepted',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':status': isSucceeded ? 'succeeded' : 'failed',
+                    ':accepted': 'accepted',
+                    ':operationId': operation.operationId,
+                    ':userId': operation.userId,
+                    ':updatedAt': updatedAt,
+                    ...(!isSucceeded && { ':failureCode': operation.failureCode, ':failureReason': operation.failureReason }),
+                },
+            },
+        },
+        {
+            Update: {
+                TableName: IMPORTS_TABLE,
+                Key: { importId: operation.importId },
+                UpdateExpression: `SET updatedAt = :updatedAt ADD ${isSucceeded ? 'succeededCount' : 'failedCount'} :one`,
+                ConditionExpression: 'attribute_exists(importId)',
+                ExpressionAttributeValues: { ':updatedAt': updatedAt, ':one': 1 },
+            },
+        },
+    ]);
+    if (failedIndexes.length > 0) {
+        logger.warn(`Операцію '${operation.operationId}' вже враховано в імпорті '${operation.importId}' або імпорт не знайдено.`);
+        return;
+    }
 
-            switch (operation) {
-                case 'createOrganization':
-                    params = {
-                        TableName: ORGANIZATIONS_TABLE,
-                        Item: {
-                            orgId: data.orgId,
-                            name: data.name,
-                            description: data.description,
-                            createdAt: data.createdAt,
-                            updatedAt: data.updatedAt,
-                        },
-                    };
-                    await dynamoDb.put(params).promise();
-                    console.log('Організація успішно створена з SQS:', data);
-                    break;
+    const importRecord = await getItemConsistently(IMPORTS_TABLE, { importId: operation.importId });
+    const processedCount = (importRecord.succeededCount || 0) + (importRecord.failedCount || 0);
+    if (processedCount < importRecord.acceptedCount) {
+        return;
+    }
 
-                case 'updateOrganization':
-                    const updateOrgExpressionParts = [];
-                    const updateOrgExpressionAttributeValues = {};
-                    const updateOrgExpressionAttributeNames = {};
-
-                    if (data.name) {
-                        updateOrgExpressionParts.push('#orgName = :orgName');
-                        updateOrgExpressionAttributeValues[':orgName'] = data.name;
-                        updateOrgExpressionAttributeNames['#orgName'] = 'name';
-                    }
-                    if (data.description) {
-                        updateOrgExpressionParts.push('description = :description');
-                        updateOrgExpressionAttributeValues[':description'] = data.description;
-                    }
+    try {
+        await dynamoDb.update({
+            TableName: IMPORTS_TABLE,
+            Key: { importId: operation.importId },
+            UpdateExpression: 'SET #status = :completed, updatedAt = :updatedAt',
+            ConditionExpression: '#status = :pending',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':completed': 'completed', ':pending': 'pending', ':updatedAt': new Date().toISOString() },
+        }).promise();
+    } catch (error) {
+        // Імпорт вже позначено як завершений
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+};
 
-                    updateOrgExpressionParts.push('updatedAt = :updatedAt');
-                    updateOrgExpressionAttributeValues[':updatedAt'] = data.updatedAt;
-
-                    params = {
-                        TableName: ORGANIZATIONS_TABLE,
-                        Key: { orgId: data.orgId },
-                        UpdateExpression: `SET ${updateOrgExpressionParts.join(', ')}`,
-                        ExpressionAttributeValues: updateOrgExpressionAttributeValues,
-                        ...(Object.keys(updateOrgExpressionAttributeNames).length > 0 && { ExpressionAttributeNames: updateOrgExpressionAttributeNames }),
-                        ReturnValues: 'UPDATED_NEW',
-                    };
-                    await dynamoDb.update(params).promise();
-                    console.log('Організація успішно оновлена з SQS:', data);
-                    break;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
-                case 'createUser':
-                    params = {
-                        TableName: USERS_TABLE,
-                        Item: {
-                            userId: data.userId,
-                            orgId: data.orgId,
-                            name: data.name,
-                            email: data.email,
-                            createdAt: data.createdAt,
-                            updatedAt: data.updatedAt,
-                        },
-                    };
-                    await dynamoDb.put(params).promise();
-                    console.log('Користувач успішно створений з SQS:', data);
-                    break;
+// Переміщує повідомлення, яке неможливо обробити (некоректний JSON, невідома операція), прямо в DLQ.
+// Повторна обробка таких повідомлень нічого не змінить, тому не чекаємо maxReceiveCount.
+const sendToDeadLetterQueue = async (record, failureReason) => {
+    const params = withCorrelationId({
+        QueueUrl: DEAD_LETTER_QUEUE_URL,
+        MessageBody: record.body,
+        MessageAttributes: {
+            failureReason: { DataType: 'String', StringValue: failureReason },
+            sourceMessageId: { DataType: 'String', StringValue: record.messageId },
+        },
+    });
+    await sqs.sendMessage(params).promise();
+    logger.warn(`Повідомлення '${record.messageId}' переміщено в DLQ: ${failureReason}`);
+};
 
-                case 'updateUser':
-                    // Для оновлення користувача ми припускаємо, що userId є в `data`
-                    const updateUserExpressionParts = [];
-                    const updateUserExpressionAttributeValues = {};
-                    const updateUserExpressionAttributeNames = {};
-
-                    if (data.name) {
-                        updateUserExpressionParts.push('#userName = :userName');
-                        updateUserExpressionAttributeValues[':userName'] = data.name;
-                        updateUserExpressionAttributeNames['#userName'] = 'name';
-                    }
-                    if (data.email) {
-                        updateUserExpressionParts.push('email = :email');
-                        updateUserExpressionAttributeValues[':email'] = data.email;
-                    }
+// Розмір сторінки для списків за замовчуванням та максимально допустимий
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
 
-                    updateUserExpressionParts.push('updatedAt = :updatedAt');
-                    updateUserExpressionAttributeValues[':updatedAt'] = data.updatedAt;
-
-                    params = {
-                        TableName: USERS_TABLE,
-                        Key: { userId: data.userId },
-                        UpdateExpression: `SET ${updateUserExpressionParts.join(', ')}`,
-                        ExpressionAttributeValues: updateUserExpressionAttributeValues,
-                        ...(Object.keys(updateUserExpressionAttributeNames).length > 0 && { ExpressionAttributeNames: updateUserExpressionAttributeNames }),
-                        ReturnValues: 'UPDATED_NEW',
-                    };
-                    await dynamoDb.update(params).promise();
-                    console.log('Користувач успішно оновлений з SQS:', data);
-                    break;
+// Значення атрибуту entityType, за яким організації потрапляють в EntityTypeCreatedAt-index
+const ORGANIZATION_ENTITY_TYPE = 'ORGANIZATION';
 
-                default:
-                    console.warn(`Невідома операція: ${operation}. Пропускаємо повідомлення.`);
-            }
-        } catch (error) {
-            console.error('Помилка при обробці SQS повідомлення:', record.body, error);
+// Кодує LastEvaluatedKey у непрозорий для клієнта курсор nextToken
+const encodeNextToken = (lastEvaluatedKey) => {
+    return lastEvaluatedKey ? Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url') : null;
+};
+
+// Декодує nextToken назад у ExclusiveStartKey. Повертає null, якщо курсор пошкоджений
+// або належить іншому списку (набір атрибутів ключа не збігається з keyAttributes).
+const decodeNextToken = (nextToken, keyAttributes) => {
+    try {
+        const key = JSON.parse(Buffer.from(nextToken, 'base64url').toString('utf8'));
+        const attributes = Object.keys(key || {}).sort();
+        const isValid = attributes.length === keyAttributes.length
+            && [...keyAttributes].sort().every((attribute, i) => attribute === attributes[i] && typeof key[attribute] === 'string');
+        return isValid ? key : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Розбирає параметри limit, nextToken, order та namePrefix з query string.
+// Повертає { errorResponse }, якщо параметри некоректні.
+const parseListParameters = (event, keyAttributes) => {
+    const queryParameters = event.queryStringParameters || {};
+    const limit = queryParameters.limit !== undefined ? Number(queryParameters.limit) : DEFAULT_PAGE_LIMIT;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        return { errorResponse: buildValidationErrorResponse({ field: 'limit', message: `limit має бути цілим числом від 1 до ${MAX_PAGE_LIMIT}.` }) };
+    }
 
-            throw error; // Перекидаємо помилку, щоб SQS не видалив повідомлення з черги
+    let exclusiveStartKey;
+    if (queryParameters.nextToken) {
+        exclusiveStartKey = decodeNextToken(queryParameters.nextToken, keyAttributes);
+        if (!exclusiveStartKey) {
+            return { errorResponse: buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' }) };
         }
     }
-    return { statusCode: 200, body: 'SQS повідомлення оброблені успішно.' };
-};
\ No newline at end of file
+
+    const order = queryParameters.order;
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+        return { errorResponse: buildValidationErrorResponse({ field: 'order', message: 'order може мати значення \'asc\' або \'desc\' (сортування за createdAt).' }) };
+    }
+
+    const namePrefix = queryParameters.namePrefix;
+    if (namePrefix !== undefined && namePrefix.length > 100) {
+        return { errorResponse: buildValidationErrorResponse({ field: 'namePrefix', message: 'Максимальна довжина - 100 символів.' }) };
+    }
+
+    return { limit, exclusiveStartKey, order, namePrefix };
+};
+
+// Читає одну сторінку з query/scan. Оскільки FilterExpression застосовується після Limit,
+// DynamoDB може повернути менше елементів, ніж потрібно, тому дочитуємо, доки сторінка не заповниться.
+// Limit на кожен запит дорівнює залишку, тож LastEvaluatedKey завжди вказує на останній повернутий елемент.
+const fetchPage = async (method, params, limit, exclusiveStartKey) => {
+    const items = [];
+    let lastEvaluatedKey = exclusiveStartKey;
+
+    do {
+        const result = await dynamoDb[method]({
+            ...params,
+            Limit: limit - items.length,
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        items.push(...(result.Items || []));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey && items.length < limit);
+
+    return { items, nextToken: encodeNextToken(lastEvaluatedKey) };
+};
+
+// Додає до параметрів запиту фільтр за префіксом назви (атрибут name)
+const withNamePrefixFilter = (params, namePrefix) => {
+    if (!namePrefix) {
+        return params;
+    }
+    return {
+        ...params,
+        FilterExpression: 'begins_with(#name, :namePrefix)',
+        ExpressionAttributeNames: { ...params.ExpressionAttributeNames, '#name': 'name' },
+        ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':namePrefix': namePrefix },
+    };
+};
+
+// Приховує архівовані організації (з атрибутом archivedAt), зберігаючи вже наявний FilterExpression
+const withoutArchivedFilter = (params) => ({
+    ...params,
+    FilterExpression: params.FilterExpression
+        ? `(${params.FilterExpression}) AND attribute_not_exists(archivedAt)`
+        : 'attribute_not_exists(archivedAt)',
+});
+
+// Максимальна кількість запитів в одному batchWrite (обмеження DynamoDB)
+const BATCH_WRITE_LIMIT = 25;
+// Скільки разів повторюємо відправку UnprocessedItems, перш ніж здатися
+const BATCH_WRITE_MAX_RETRIES = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Допоміжна функція для пакетного запису з повторною відправкою UnprocessedItems.
+// DynamoDB може обробити пакет частково (наприклад, при тротлінгу), тому
+// необроблені елементи відправляємо ще раз з експоненційною затримкою.
+const batchWriteWithRetry = async (requestItems) => {
+    let unprocessedItems = requestItems;
+
+    for (let attempt = 0; attempt <= BATCH_WRITE_MAX_RETRIES; attempt++) {
+        const result = await dynamoDb.batchWrite({ RequestItems: unprocessedItems }).promise();
+        unprocessedItems = result.UnprocessedItems || {};
+
+        if (Object.keys(unprocessedItems).length === 0) {
+            return;
+        }
+
+        logger.warn(`batchWrite обробив пакет частково, повторна спроба ${attempt + 1}`, { unprocessedItems });
+        await sleep(Math.min(100 * 2 ** attempt, 3000));
+    }
+
+    throw new Error(`Не вдалося записати пакет після ${BATCH_WRITE_MAX_RETRIES} повторних спроб.`);
+};
+
+// Кожен користувач займає в пакеті два запити: видалення самого користувача та його email з UniqueValues
+const USERS_PER_DELETE_BATCH = Math.floor(BATCH_WRITE_LIMIT / 2);
+
+// Чи має користувач членство в іншій організації, крім orgId
+const hasOtherMembership = async (userId, orgId) => {
+    const result = await dynamoDb.query({
+        TableName: MEMBERSHIPS_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ProjectionExpression: 'orgId',
+        Limit: 2,
+        ConsistentRead: true,
+    }).promise();
+    return (result.Items || []).some((membership) => membership.orgId !== orgId);
+};
+
+// Видаляє профілі учасників організації, для яких вона єдина, пакетами по USERS_PER_DELETE_BATCH.
+// Учасники інших організацій залишаються - їх членство видалить deleteMembershipsByOrganization.
+// Операція ідемпотентна: членства видаляються після профілів, тож повторна обробка повідомлення
+// знайде тих самих учасників, а вже видалені профілі просто не будуть прочитані.
+const deleteUsersByOrganization = async (orgId) => {
+    let deletedCount = 0;
+    let lastEvaluatedKey;
+
+    do {
+        const queryParams = {
+            TableName: MEMBERSHIPS_TABLE,
+            IndexName: 'OrgId-index',
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+            ProjectionExpression: 'userId',
+            ExclusiveStartKey: lastEvaluatedKey,
+        };
+        const result = await dynamoDb.query(queryParams).promise();
+
+        const userIds = [];
+        for (const { userId } of result.Items || []) {
+            if (!(await hasOtherMembership(userId, orgId))) {
+                userIds.push(userId);
+            }
+        }
+        const users = await batchGetWithRetry(USERS_TABLE, userIds.map((userId) => ({ userId })));
+
+        for (let i = 0; i < users.length; i += USERS_PER_DELETE_BATCH) {
+            const chunk = users.slice(i, i + USERS_PER_DELETE_BATCH);
+            const emailKeys = chunk.filter((user) => user.email).map((user) => userEmailUniqueKey(user.email));
+
+            await batchWriteWithRetry({
+                [USERS_TABLE]: chunk.map((user) => ({ DeleteRequest: { Key: { userId: user.userId } } })),
+                ...(emailKeys.length > 0 && {
+                    [UNIQUE_VALUES_TABLE]: emailKeys.map((uniqueKey) => ({ DeleteRequest: { Key: { uniqueKey } } })),
+                }),
+            });
+            deletedCount += chunk.length;
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return deletedCount;
+};
+
+// Видаляє всі членства в організації, знайдені через OrgId-index таблиці Memberships.
+// Як і deleteUsersByOrganization, операція ідемпотентна.
+const deleteMembershipsByOrganization = async (orgId) => {
+    let deletedCount = 0;
+    let lastEvaluatedKey;
+
+    do {
+        const queryParams = {
+            TableName: MEMBERSHIPS_TABLE,
+            IndexName: 'OrgId-index',
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+            ProjectionExpression: 'userId, orgId',
+            ExclusiveStartKey: lastEvaluatedKey,
+        };
+        const result = await dynamoDb.query(queryParams).promise();
+        const memberships = result.Items || [];
+
+        for (let i = 0; i < memberships.length; i += BATCH_WRITE_LIMIT) {
+            const chunk = memberships.slice(i, i + BATCH_WRITE_LIMIT);
+            await batchWriteWithRetry({
+                [MEMBERSHIPS_TABLE]: chunk.map(({ userId }) => ({ DeleteRequest: { Key: { userId, orgId } } })),
+            });
+            deletedCount += chunk.length;
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return deletedCount;
+};
+
+// Максимальна кількість ключів в одному batchGet (обмеження DynamoDB)
+const BATCH_GET_LIMIT = 100;
+
+// Читає елементи за ключами пакетами по BATCH_GET_LIMIT з повторним читанням UnprocessedKeys.
+// Відсутні елементи просто не потрапляють у результат.
+const batchGetWithRetry = async (tableName, keys) => {
+    const items = [];
+
+    for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+        let unprocessedKeys = { [tableName]: { Keys: keys.slice(i, i + BATCH_GET_LIMIT) } };
+
+        for (let attempt = 0; Object.keys(unprocessedKeys).length > 0; attempt++) {
+            if (attempt > BATCH_WRITE_MAX_RETRIES) {
+                throw new Error(`Не вдалося прочитати пакет після ${BATCH_WRITE_MAX_RETRIES} повторних спроб.`);
+            }
+            if (attempt > 0) {
+                await sleep(Math.min(100 * 2 ** (attempt - 1), 3000));
+            }
+
+            const result = await dynamoDb.batchGet({ RequestItems: unprocessedKeys }).promise();
+            items.push(...((result.Responses || {})[tableName] || []));
+            unprocessedKeys = result.UnprocessedKeys || {};
+        }
+    }
+
+    return items;
+};
+
+// Повертає всі членства користувача { orgId, role, joinedAt }
+const getMembershipsForUser = async (userId) => {
+    const memberships = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.query({
+            TableName: MEMBERSHIPS_TABLE,
+            KeyConditionExpression: 'userId = :userId',
+            ExpressionAttributeNames: { '#role': 'role' },
+            ExpressionAttributeValues: { ':userId': userId },
+            ProjectionExpression: 'orgId, #role, joinedAt',
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        memberships.push(...(result.Items || []));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return memberships;
+};
+
+// Ідентифікатори всіх організацій, в яких користувач має членство
+const getMemberOrganizationIds = async (userId) => {
+    return (await getMembershipsForUser(userId)).map((membership) => membership.orgId);
+};
+
+// Максимальна кількість організацій одного користувача. Зміна імені оновлює nameSearch в усіх його
+// членствах однією транзакцією, а вона обмежена 100 елементами.
+const MAX_MEMBERSHIPS_PER_USER = 50;
+
+// Профілі користувачів для сторінки членств. Результат - у порядку членств, з роллю та датою приєднання.
+// Членства без профілю (наприклад, власник, що ще не створив свій профіль) пропускаються.
+const resolveMemberUsers = async (memberships) => {
+    const userIds = [...new Set(memberships.map((membership) => membership.userId))];
+    const users = new Map((await batchGetWithRetry(USERS_TABLE, userIds.map((userId) => ({ userId }))))
+        .map((user) => [user.userId, user]));
+
+    return memberships
+        .filter((membership) => users.has(membership.userId))
+        .map((membership) => ({
+            ...users.get(membership.userId),
+            orgId: membership.orgId,
+            role: membership.role,
+            joinedAt: membership.joinedAt,
+        }));
+};
+
+// Власники вже зайнятих email (UniqueValues): нормалізований email -> userId
+const getEmailOwners = async (emails) => {
+    const keys = [...new Set(emails.map(userEmailUniqueKey))].map((uniqueKey) => ({ uniqueKey }));
+    const owners = new Map((await batchGetWithRetry(UNIQUE_VALUES_TABLE, keys)).map((item) => [item.uniqueKey, item.ownerId]));
+    return new Map(emails
+        .filter((email) => owners.has(userEmailUniqueKey(email)))
+        .map((email) => [normalizeUniqueValue(email), owners.get(userEmailUniqueKey(email))]));
+};
+
+// Сторінка зі списку, вже прочитаного в пам'ять. Елементи сортуються за атрибутами keyAttributes,
+// а курсор, як і для DynamoDB, містить ключ останнього повернутого елемента.
+const paginateInMemory = (items, keyAttributes, limit, exclusiveStartKey, descending = false) => {
+    const compare = (a, b) => {
+        for (const attribute of keyAttributes) {
+            if (a[attribute] !== b[attribute]) {
+                const result = a[attribute] < b[attribute] ? -1 : 1;
+                return descending ? -result : result;
+            }
+        }
+        return 0;
+    };
+
+    const sortedItems = [...items].sort(compare);
+    const remainingItems = exclusiveStartKey ? sortedItems.filter((item) => compare(item, exclusiveStartKey) > 0) : sortedItems;
+    const pageItems = remainingItems.slice(0, limit);
+    const lastItem = pageItems[pageItems.length - 1];
+
+    const nextToken = remainingItems.length > limit
+        ? encodeNextToken(Object.fromEntries(keyAttributes.map((attribute) => [attribute, lastItem[attribute]])))
+        : null;
+
+    return { items: pageItems, nextToken };
+};
+
+// 1. Функція для створення організації (POST /organizations)
+module.exports.createOrganization = withIdempotencyKey('createOrganization', async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { data, errorResponse } = parseRequestBody(event, schemas.createOrganizationBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { name, description } = data;
+
+        // Швидка перевірка унікальності назви. Остаточно її гарантує транзакція в споживачі SQS.
+        if (await getUniqueValueOwner(orgNameUniqueKey(name))) {
+            return buildErrorResponse(409, 'NAME_TAKEN', 'Організація з такою назвою вже існує.', 'name');
+        }
+
+        const orgId = uuidv4(); // Генеруємо унікальний ID для організації
+
+        // Створюємо повідомлення для SQS
+        const message = {
+            operation: 'createOrganization', // Тип операції для споживача
+            requestedBy: principal.userId,
+            // Творець організації стає її власником (owner)
+            data: { orgId, name, description, ownerId: principal.userId, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() }
+        };
+
+        // Реєструємо операцію та відправляємо повідомлення в SQS
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про створення організації відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: 'Запит на створення організації прийнято, обробляється асинхронно.', orgId: orgId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при створенні організації', { error });
+        return buildInternalErrorResponse();
+    }
+});
+
+// 2. Функція для створення/оновлення користувача (POST/PUT /organizations/{orgId}/users)
+module.exports.createOrUpdateUser = withIdempotencyKey('createOrUpdateUser', async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { data, errorResponse } = parseRequestBody(event, schemas.userBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+        const { userId, name, email, role } = data;
+
+        // Оновлення (PUT) можливе лише для існуючого користувача
+        if (event.requestContext.http.method === 'PUT' && !userId) {
+            return buildValidationErrorResponse({ field: 'userId', message: 'Поле \'userId\' є обов\'язковим для оновлення користувача.' });
+        }
+
+        // Керувати користувачами можуть адміністратори організації. Призначати роль admin
+        // та змінювати роль існуючого користувача може лише власник.
+        const isRoleManaged = role === 'admin' || (event.requestContext.http.method === 'PUT' && role !== undefined);
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, isRoleManaged ? 'owner' : 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Перевіряємо, чи існує організація з таким orgId (синхронно, перед відправкою в SQS)
+        const orgGetParams = {
+            TableName: ORGANIZATIONS_TABLE,
+            Key: { orgId: orgId },
+        };
+        const orgResult = await dynamoDb.get(orgGetParams).promise();
+
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+        if (orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'ORGANIZATION_ARCHIVED', `Організація з ID '${orgId}' архівована. Відновіть її, щоб керувати користувачами.`, 'orgId');
+        }
+
+        // Профіль з userId = claim sub належить власнику токена, тож при створенні чужий userId не приймаємо:
+        // інакше адміністратор міг би зайняти профіль іншої людини. Без userId генерується UUID.
+        if (event.requestContext.http.method === 'POST' && userId && userId !== principal.userId) {
+            return buildErrorResponse(403, 'FORBIDDEN', 'При створенні користувача userId може бути лише ідентифікатором викликача (claim sub).', 'userId');
+        }
+        const newUserId = userId || uuidv4();
+
+        // Оновлювати через організацію можна лише її учасника. Додати існуючого користувача
+        // до іншої організації можна через POST /organizations/{orgId}/members.
+        if (event.requestContext.http.method === 'PUT' && !(await getMembership(newUserId, orgId))) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Користувач з ID '${newUserId}' не є учасником організації '${orgId}'.`, 'userId');
+        }
+
+        // If-Match має сенс лише для оновлення (PUT)
+        const expectedVersion = event.requestContext.http.method === 'PUT' ? parseIfMatch(event) : undefined;
+        if (expectedVersion === null) {
+            return buildErrorResponse(400, 'VALIDATION_ERROR', IF_MATCH_ERROR_MESSAGE, 'If-Match');
+        }
+
+        if (expectedVersion !== undefined) {
+            // Швидка перевірка версії. Остаточно її виконує споживач SQS умовою при записі.
+            const userGetParams = {
+                TableName: USERS_TABLE,
+                Key: { userId: newUserId },
+            };
+            const userResult = await dynamoDb.get(userGetParams).promise();
+
+            if (!userResult.Item || getVersion(userResult.Item) !== expectedVersion) {
+                return buildErrorResponse(
+                    412,
+                    'VERSION_CONFLICT',
+                    'Користувача було змінено або не знайдено. Отримайте актуальну версію та повторіть запит.',
+                    'If-Match',
+                    userResult.Item ? { ETag: buildEtag(userResult.Item) } : {}
+                );
+            }
+        }
+
+        // Швидка перевірка глобальної унікальності email.
+        // Остаточно її гарантує транзакція в споживачі SQS.
+        const emailOwnerId = await getUniqueValueOwner(userEmailUniqueKey(email));
+
+        if (emailOwnerId) {
+            if (event.requestContext.http.method === 'POST' || (event.requestContext.http.method === 'PUT' && emailOwnerId !== newUserId)) {
+                 return buildErrorResponse(409, 'EMAIL_TAKEN', `Користувач з email '${email}' вже зареєстрований. Додайте його до організації через POST /organizations/${orgId}/members.`, 'email');
+            }
+        }
+        
+        // Створюємо повідомлення для SQS
+        const message = {
+            operation: event.requestContext.http.method === 'POST' ? 'createUser' : 'updateUser',
+            requestedBy: principal.userId,
+            data: { orgId, userId: newUserId, name, email, role, expectedVersion, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() }
+        };
+
+        // Реєструємо операцію та відправляємо повідомлення в SQS
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про користувача відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: `Запит на ${event.requestContext.http.method === 'POST' ? 'створення' : 'оновлення'} користувача прийнято, обробляється асинхронно.`, userId: newUserId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при створенні/оновленні користувача', { error });
+        return buildInternalErrorResponse();
+    }
+});
+
+// 3. Функція для оновлення організації (PUT /organizations)
+module.exports.updateOrganization = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { data, errorResponse } = parseRequestBody(event, schemas.updateOrganizationBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, name, description } = data;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const expectedVersion = parseIfMatch(event);
+        if (expectedVersion === null) {
+            return buildErrorResponse(400, 'VALIDATION_ERROR', IF_MATCH_ERROR_MESSAGE, 'If-Match');
+        }
+
+        // Перевіряємо, чи існує організація з таким orgId (синхронно, перед відправкою в SQS)
+        const orgGetParams = {
+            TableName: ORGANIZATIONS_TABLE,
+            Key: { orgId: orgId },
+        };
+        const orgResult = await dynamoDb.get(orgGetParams).promise();
+
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена для оновлення.`, 'orgId');
+        }
+
+        if (name) {
+            const nameOwnerId = await getUniqueValueOwner(orgNameUniqueKey(name));
+            if (nameOwnerId && nameOwnerId !== orgId) {
+                return buildErrorResponse(409, 'NAME_TAKEN', 'Організація з такою назвою вже існує.', 'name');
+            }
+        }
+
+        // Швидка перевірка версії. Остаточно її виконує споживач SQS умовою при записі.
+        if (expectedVersion !== undefined && getVersion(orgResult.Item) !== expectedVersion) {
+            return buildErrorResponse(
+                412,
+                'VERSION_CONFLICT',
+                'Організацію було змінено. Отримайте актуальну версію та повторіть запит.',
+                'If-Match',
+                { ETag: buildEtag(orgResult.Item) }
+            );
+        }
+
+        // Створюємо повідомлення для SQS
+        const message = {
+            operation: 'updateOrganization', // Тип операції для споживача
+            requestedBy: principal.userId,
+            data: { orgId, name, description, expectedVersion, updatedAt: new Date().toISOString() }
+        };
+
+        // Реєструємо операцію та відправляємо повідомлення в SQS
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про оновлення організації відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: 'Запит на оновлення організації прийнято, обробляється асинхронно.', orgId: orgId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при оновленні організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 4. Функція для отримання організації за ID (GET /organizations/{orgId})
+module.exports.getOrganization = async (event) => {
+  try {
+      const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+      if (authErrorResponse) {
+          return authErrorResponse;
+      }
+      const { parameters, errorResponse } = parsePathParameters(event, schemas.orgPath);
+      if (errorResponse) {
+          return errorResponse;
+      }
+      const { orgId } = parameters; // Отримуємо orgId з URL шляху
+
+      const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'member');
+      if (forbiddenResponse) {
+          return forbiddenResponse;
+      }
+
+      const params = {
+          TableName: ORGANIZATIONS_TABLE,
+          Key: { orgId: orgId },
+      };
+
+      const result = await dynamoDb.get(params).promise();
+
+      if (!result.Item) {
+          return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+      }
+
+      logger.info('Організація успішно отримана', { organization: result.Item });
+      return buildResponse(200, { organization: result.Item }, { ETag: buildEtag(result.Item) });
+
+  } catch (error) {
+      logger.error('Помилка при отриманні організації', { error });
+      return buildInternalErrorResponse();
+  }
+};
+
+// 5. Функція для отримання користувача за ID (GET /organizations/{orgId}/users/{userId})
+module.exports.getUser = async (event) => {
+  try {
+      const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+      if (authErrorResponse) {
+          return authErrorResponse;
+      }
+      const { parameters, errorResponse } = parsePathParameters(event, schemas.userPath);
+      if (errorResponse) {
+          return errorResponse;
+      }
+      const { orgId, userId } = parameters; // Отримуємо orgId та userId з URL шляху
+
+      const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'member');
+      if (forbiddenResponse) {
+          return forbiddenResponse;
+      }
+
+      // Користувач належить до організації, якщо в ній є його членство
+      const membership = await getMembership(userId, orgId);
+      const result = membership ? await dynamoDb.get({ TableName: USERS_TABLE, Key: { userId } }).promise() : {};
+
+      if (!result.Item) {
+          return buildErrorResponse(404, 'NOT_FOUND', `Користувач з ID '${userId}' не знайдений в організації '${orgId}'.`, 'userId');
+      }
+
+      // Профіль користувача спільний для всіх його організацій, роль та дата приєднання - з членства
+      const user = { ...result.Item, orgId, role: membership.role, joinedAt: membership.joinedAt };
+      logger.info('Користувач успішно отриманий', { user });
+      return buildResponse(200, { user }, { ETag: buildEtag(result.Item) });
+
+  } catch (error) {
+      logger.error('Помилка при отриманні користувача', { error });
+      return buildInternalErrorResponse();
+  }
+};
+
+// 6. Функція для отримання ВСІХ організацій (GET /organizations)
+module.exports.getAllOrganizations = async (event) => {
+  try {
+      const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+      if (authErrorResponse) {
+          return authErrorResponse;
+      }
+      const { order, includeArchived: includeArchivedParameter } = event.queryStringParameters || {};
+      if (includeArchivedParameter !== undefined && includeArchivedParameter !== 'true' && includeArchivedParameter !== 'false') {
+          return buildValidationErrorResponse({ field: 'includeArchived', message: 'includeArchived може мати значення \'true\' або \'false\'.' });
+      }
+      // Архівовані організації приховані за замовчуванням. З includeArchived=true адміністратор платформи
+      // бачить усі архівовані організації, а звичайний користувач - ті, де він адміністратор або власник.
+      const includeArchived = includeArchivedParameter === 'true';
+      // Курсор для scan містить лише orgId, для EntityTypeCreatedAt-index - ще й атрибути індексу.
+      // Звичайний користувач бачить лише свої організації, їх список будується в пам'яті.
+      let keyAttributes;
+      if (!principal.isPlatformAdmin) {
+          keyAttributes = order ? ['createdAt', 'orgId'] : ['orgId'];
+      } else {
+          keyAttributes = order ? ['orgId', 'entityType', 'createdAt'] : ['orgId'];
+      }
+      const { errorResponse, limit, exclusiveStartKey, namePrefix } = parseListParameters(event, keyAttributes);
+      if (errorResponse) {
+          return errorResponse;
+      }
+
+      let page;
+      if (!principal.isPlatformAdmin) {
+          // Організації, в яких викликач має членство (кількість членств одного користувача невелика)
+          const memberships = await getMembershipsForUser(principal.userId);
+          const roles = new Map(memberships.map((membership) => [membership.orgId, membership.role]));
+          const organizations = (await batchGetWithRetry(ORGANIZATIONS_TABLE, memberships.map(({ orgId }) => ({ orgId }))))
+              .filter((organization) => !organization.archivedAt || (includeArchived && hasRole(roles.get(organization.orgId), 'admin')))
+              .filter((organization) => !namePrefix || organization.name.startsWith(namePrefix));
+          page = paginateInMemory(organizations, keyAttributes, limit, exclusiveStartKey, order === 'desc');
+      } else if (order) {
+          // Сортування за createdAt забезпечує EntityTypeCreatedAt-index. Організації, створені до появи
+          // entityType, потрапляють в індекс після backfillOrganizations.
+          const params = {
+              TableName: ORGANIZATIONS_TABLE,
+              IndexName: 'EntityTypeCreatedAt-index',
+              KeyConditionExpression: 'entityType = :entityType',
+              ExpressionAttributeValues: { ':entityType': ORGANIZATION_ENTITY_TYPE },
+              ScanIndexForward: order === 'asc',
+          };
+          const filteredParams = withNamePrefixFilter(params, namePrefix);
+          page = await fetchPage('query', includeArchived ? filteredParams : withoutArchivedFilter(filteredParams), limit, exclusiveStartKey);
+      } else {
+          // Без сортування використовуємо scan посторінково.
+          // Увага: scan може бути неефективним для великих таблиць!
+          const params = {
+              TableName: ORGANIZATIONS_TABLE,
+          };
+          const filteredParams = withNamePrefixFilter(params, namePrefix);
+          page = await fetchPage('scan', includeArchived ? filteredParams : withoutArchivedFilter(filteredParams), limit, exclusiveStartKey);
+      }
+
+      if (page.items.length === 0 && !page.nextToken) {
+          return buildResponse(200, { message: 'Жодної організації не знайдено.', organizations: [], nextToken: null });
+      }
+
+      logger.info(`Отримано ${page.items.length} організацій.`);
+      return buildResponse(200, { organizations: page.items, nextToken: page.nextToken });
+
+  } catch (error) {
+      logger.error('Помилка при отриманні всіх організацій', { error });
+      return buildInternalErrorResponse();
+  }
+};
+
+// 7. Функція для отримання всіх користувачів в межах однієї організації (GET /organizations/{orgId}/users)
+module.exports.getAllUsersByOrganization = async (event) => {
+  try {
+      const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+      if (authErrorResponse) {
+          return authErrorResponse;
+      }
+      const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+      if (pathErrorResponse) {
+          return pathErrorResponse;
+      }
+      const { orgId } = parameters; // Отримуємо orgId з URL шляху
+
+      const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'member');
+      if (forbiddenResponse) {
+          return forbiddenResponse;
+      }
+
+      // Перевіряємо, чи існує організація з таким orgId
+      const orgGetParams = {
+          TableName: ORGANIZATIONS_TABLE,
+          Key: { orgId: orgId },
+      };
+      const orgResult = await dynamoDb.get(orgGetParams).promise();
+
+      if (!orgResult.Item) {
+          return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+      }
+
+      // Без namePrefix учасники йдуть у порядку приєднання (OrgIdJoinedAt-index),
+      // з namePrefix - за іменем без урахування регістру (OrgIdNameSearch-index)
+      const sortKey = event.queryStringParameters && event.queryStringParameters.namePrefix ? 'nameSearch' : 'joinedAt';
+      const { errorResponse, limit, exclusiveStartKey, order, namePrefix } = parseListParameters(event, ['userId', 'orgId', sortKey]);
+      if (errorResponse) {
+          return errorResponse;
+      }
+      // Курсор від списку іншої організації DynamoDB відхилить з ValidationException
+      if (exclusiveStartKey && exclusiveStartKey.orgId !== orgId) {
+          return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+      }
+
+      // Користувачі організації - це її членства, профілі читаються пакетно для кожної сторінки
+      const params = namePrefix ? {
+          TableName: MEMBERSHIPS_TABLE,
+          IndexName: 'OrgIdNameSearch-index',
+          KeyConditionExpression: 'orgId = :orgId AND begins_with(nameSearch, :namePrefix)',
+          ExpressionAttributeValues: { ':orgId': orgId, ':namePrefix': normalizeUniqueValue(namePrefix) },
+          ScanIndexForward: order !== 'desc',
+      } : {
+          TableName: MEMBERSHIPS_TABLE,
+          IndexName: 'OrgIdJoinedAt-index',
+          KeyConditionExpression: 'orgId = :orgId',
+          ExpressionAttributeValues: { ':orgId': orgId },
+          ScanIndexForward: order !== 'desc',
+      };
+
+      const page = await fetchPage('query', params, limit, exclusiveStartKey);
+      const users = await resolveMemberUsers(page.items);
+
+      if (users.length === 0 && !page.nextToken) {
+          return buildResponse(200, { message: `Користувачів в організації '${orgId}' не знайдено.`, users: [], nextToken: null });
+      }
+
+      logger.info(`Отримано ${users.length} користувачів організації '${orgId}'.`);
+      return buildResponse(200, { users, nextToken: page.nextToken });
+
+  } catch (error) {
+      logger.error('Помилка при отриманні користувачів за організацією', { error });
+      return buildInternalErrorResponse();
+  }
+};
+
+
+// Застосування операцій споживачем SQS.
+// Запис організації/користувача та закріплення його унікальних значень виконуються однією транзакцією,
+// тому два паралельні запити з однаковою назвою чи email не можуть обидва бути застосовані.
+
+// Будує UpdateExpression лише для переданих полів
+const buildUpdateParams = (tableName, key, data, fields) => {
+    const expressionParts = [];
+    const expressionAttributeValues = {};
+    const expressionAttributeNames = {};
+
+    for (const field of fields) {
+        if (data[field]) {
+            expressionParts.push(`#${field} = :${field}`);
+            expressionAttributeValues[`:${field}`] = data[field];
+            expressionAttributeNames[`#${field}`] = field;
+        }
+    }
+
+    expressionParts.push('updatedAt = :updatedAt');
+    expressionAttributeValues[':updatedAt'] = data.updatedAt;
+
+    return {
+        TableName: tableName,
+        Key: key,
+        UpdateExpression: `SET ${expressionParts.join(', ')}`,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames }),
+        ReturnValues: 'UPDATED_NEW',
+    };
+};
+
+const getItemConsistently = async (tableName, key) => {
+    const result = await dynamoDb.get({ TableName: tableName, Key: key, ConsistentRead: true }).promise();
+    return result.Item;
+};
+
+// Елемент транзакції, що змінює існуюче членство: роль (крім ролі власника) та/або nameSearch -
+// копію імені користувача для пошуку за префіксом в OrgIdNameSearch-index таблиці Memberships
+const updateMembership = (userId, orgId, { role, nameSearch }) => {
+    const assignments = [];
+    const expressionAttributeValues = {};
+    if (role) {
+        assignments.push('#role = :role');
+        Object.assign(expressionAttributeValues, { ':role': role, ':owner': 'owner' });
+    }
+    if (nameSearch) {
+        assignments.push('nameSearch = :nameSearch');
+        expressionAttributeValues[':nameSearch'] = nameSearch;
+    }
+
+    return {
+        Update: {
+            TableName: MEMBERSHIPS_TABLE,
+            Key: { userId, orgId },
+            UpdateExpression: `SET ${assignments.join(', ')}`,
+            ConditionExpression: role ? 'attribute_exists(userId) AND #role <> :owner' : 'attribute_exists(userId)',
+            ...(role && { ExpressionAttributeNames: { '#role': 'role' } }),
+            ExpressionAttributeValues: expressionAttributeValues,
+        },
+    };
+};
+
+// Поля, зміни яких потрапляють у журнал змін
+const AUDITED_FIELDS = {
+    organization: ['name', 'description', 'archivedAt'],
+    user: ['name', 'email', 'role'],
+};
+
+// Ключ запису журналу змін: час з повідомлення та operationId. Він однаковий для всіх доставок
+// одного повідомлення, тож запис не дублюється, а за entryId записи сортуються за часом.
+const buildAuditEntryId = (audit) => `${audit.timestamp}#${audit.operationId}`;
+
+// Елемент транзакції, що додає запис у журнал змін (AuditLog). Записується в тій самій транзакції,
+// що й зміна, тому журнал містить лише застосовані операції. Записи ніколи не змінюються і не видаляються.
+// before/after - значення полів до та після операції (null для створення/видалення).
+const buildAuditEntry = (audit, { orgId, userId, entityType, operation, before, after }) => {
+    const changes = {};
+    for (const field of AUDITED_FIELDS[entityType]) {
+        const beforeValue = before && before[field] !== undefined ? before[field] : null;
+        // Поле, не передане в операції оновлення, не змінюється
+        let afterValue = null;
+        if (after) {
+            afterValue = after[field] !== undefined ? after[field] : beforeValue;
+        }
+        if (beforeValue !== afterValue) {
+            changes[field] = { before: beforeValue, after: afterValue };
+        }
+    }
+
+    return {
+        Put: {
+            TableName: AUDIT_LOG_TABLE,
+            Item: {
+                orgId,
+                entryId: buildAuditEntryId(audit),
+                ...(userId && { userId }),
+                entityType,
+                operation,
+                operationId: audit.operationId,
+                // Повідомлення, відправлені до появи автентифікації, та автоматичне видалення архівованих організацій не мають автора
+                actor: audit.actor || null,
+                changes,
+                timestamp: audit.timestamp,
+            },
+            ConditionExpression: 'attribute_not_exists(entryId)',
+        },
+    };
+};
+
+// Чи операцію вже застосовано: запис журналу створюється в одній транзакції з самою зміною
+const isOperationAudited = async (orgId, audit) => {
+    return Boolean(await getItemConsistently(AUDIT_LOG_TABLE, { orgId, entryId: buildAuditEntryId(audit) }));
+};
+
+// Тип події вебхука для кожної операції, що потрапляє в журнал змін
+const WEBHOOK_EVENT_TYPES = {
+    createOrganization: 'organization.created',
+    updateOrganization: 'organization.updated',
+    deleteOrganization: 'organization.deleted',
+    archiveOrganization: 'organization.archived',
+    restoreOrganization: 'organization.restored',
+    createUser: 'user.created',
+    updateUser: 'user.updated',
+    deleteUser: 'user.deleted',
+    addMembership: 'member.added',
+    removeMembership: 'member.removed',
+};
+
+// Скільки днів зберігаємо журнал доставок (DynamoDB TTL видаляє записи автоматично)
+const WEBHOOK_DELIVERY_TTL_DAYS = 30;
+
+// Активні вебхуки організації, підписані на тип події
+const getWebhooksForEvent = async (orgId, eventType) => {
+    const result = await dynamoDb.query({
+        TableName: WEBHOOKS_TABLE,
+        KeyConditionExpression: 'orgId = :orgId',
+        ExpressionAttributeValues: { ':orgId': orgId },
+    }).promise();
+
+    return (result.Items || []).filter((webhook) => webhook.events.includes('*') || webhook.events.includes(eventType));
+};
+
+// Оновлює запис журналу доставок. attempt (якщо передано) додається до списку спроб.
+const updateWebhookDelivery = async (webhookId, deliveryId, { status, attempt, lastError = null, nextAttemptAt = null }) => {
+    const expressionParts = ['#status = :status', 'lastError = :lastError', 'nextAttemptAt = :nextAttemptAt', 'updatedAt = :updatedAt'];
+    const expressionAttributeValues = {
+        ':status': status,
+        ':lastError': lastError,
+        ':nextAttemptAt': nextAttemptAt,
+        ':updatedAt': new Date().toISOString(),
+    };
+
+    if (attempt) {
+        expressionParts.push('attempts = list_append(if_not_exists(attempts, :emptyList), :attempt)', 'lastStatusCode = :lastStatusCode');
+        expressionAttributeValues[':emptyList'] = [];
+        expressionAttributeValues[':attempt'] = [attempt];
+        expressionAttributeValues[':lastStatusCode'] = attempt.statusCode;
+    }
+
+    await dynamoDb.update({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        Key: { webhookId, deliveryId },
+        UpdateExpression: `SET ${expressionParts.join(', ')}`,
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: expressionAttributeValues,
+    }).promise();
+};
+
+// Створює запис доставки зі статусом 'pending' та відправляє її в WebhookDeliveryQueue. Повертає deliveryId.
+// deliveryId детермінований (час та id події), тому повторна публікація тієї ж події не дублює доставку.
+const enqueueWebhookDelivery = async (webhook, event) => {
+    const now = new Date();
+    const deliveryId = `${event.occurredAt}#${event.id}`;
+
+    try {
+        await dynamoDb.put({
+            TableName: WEBHOOK_DELIVERIES_TABLE,
+            Item: {
+                webhookId: webhook.webhookId,
+                deliveryId,
+                orgId: webhook.orgId,
+                eventType: event.type,
+                event,
+                status: 'pending',
+                attempts: [],
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                expiresAt: Math.floor(now.getTime() / 1000) + WEBHOOK_DELIVERY_TTL_DAYS * 24 * 60 * 60,
+            },
+            ConditionExpression: 'attribute_not_exists(deliveryId)',
+        }).promise();
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            logger.warn(`Подію '${event.id}' вже відправлено на вебхук '${webhook.webhookId}'. Пропускаємо.`);
+            return deliveryId;
+        }
+        throw error;
+    }
+
+    try {
+        await sqs.sendMessage(withCorrelationId({
+            QueueUrl: WEBHOOK_QUEUE_URL,
+            MessageBody: JSON.stringify({ webhookId: webhook.webhookId, deliveryId, attempt: 1 }),
+        })).promise();
+    } catch (error) {
+        // Зміна вже застосована, тому не повторюємо операцію, а фіксуємо невдачу в журналі доставок
+        logger.error(`Не вдалося відправити доставку '${deliveryId}' в чергу вебхуків`, { error });
+        await updateWebhookDelivery(webhook.webhookId, deliveryId, { status: 'failed', lastError: 'Не вдалося відправити повідомлення в чергу.' });
+    }
+
+    return deliveryId;
+};
+
+// Публікує подію про застосовану операцію на вебхуки організації.
+// Дані події беруться із запису журналу змін, тож подія містить ті самі before/after значення.
+const publishWebhookEvent = async (orgId, audit) => {
+    const entry = await getItemConsistently(AUDIT_LOG_TABLE, { orgId, entryId: buildAuditEntryId(audit) });
+    if (!entry) {
+        return;
+    }
+
+    const event = {
+        id: entry.operationId,
+        type: WEBHOOK_EVENT_TYPES[entry.operation],
+        occurredAt: entry.timestamp,
+        data: {
+            orgId: entry.orgId,
+            ...(entry.userId && { userId: entry.userId }),
+            actor: entry.actor,
+            changes: entry.changes,
+        },
+    };
+
+    for (const webhook of await getWebhooksForEvent(orgId, event.type)) {
+        await enqueueWebhookDelivery(webhook, event);
+    }
+};
+
+// Прийняті рядки знімка разом з даними користувачів, яких потрібно створити після створення організації
+const getSnapshotImportUsers = async (importId) => {
+    const users = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.query({
+            TableName: IMPORT_ROWS_TABLE,
+            KeyConditionExpression: 'importId = :importId',
+            FilterExpression: 'attribute_exists(#data)',
+            ExpressionAttributeNames: { '#data': 'data' },
+            ExpressionAttributeValues: { ':importId': importId },
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+        users.push(...(result.Items || []).map(({ row, data }) => ({ row, ...data })));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return users;
+};
+
+// Користувачі знімка організації (POST /organizations/import) чекають у рядках імпорту (ImportRows),
+// доки споживач не створить саму організацію (awaitingOrganization в записі імпорту): порядок обробки
+// повідомлень SQS не гарантований, а до неіснуючої організації користувачів не додаємо.
+// Повторний виклик нічого не відправляє.
+const enqueueSnapshotUsers = async (importId) => {
+    const importRecord = await getItemConsistently(IMPORTS_TABLE, { importId });
+    if (!importRecord || !importRecord.awaitingOrganization) {
+        return;
+    }
+
+    const messages = (await getSnapshotImportUsers(importId)).map(({ row, ...data }) => ({
+        operation: 'createUser',
+        requestedBy: importRecord.requestedBy,
+        importId,
+        importRow: row,
+        data,
+    }));
+    if (messages.length > 0) {
+        await enqueueOperations(messages);
+    }
+
+    try {
+        await dynamoDb.update({
+            TableName: IMPORTS_TABLE,
+            Key: { importId },
+            // Знімок без користувачів завершується разом зі створенням організації
+            UpdateExpression: `SET updatedAt = :updatedAt${messages.length === 0 ? ', #status = :completed' : ''} REMOVE awaitingOrganization`,
+            ConditionExpression: 'attribute_exists(awaitingOrganization)',
+            ...(messages.length === 0 && { ExpressionAttributeNames: { '#status': 'status' } }),
+            ExpressionAttributeValues: {
+                ':updatedAt': new Date().toISOString(),
+                ...(messages.length === 0 && { ':completed': 'completed' }),
+            },
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+    logger.info(`Імпорт '${importId}': відправлено ${messages.length} користувачів знімка.`);
+};
+
+// Імпорт знімка завершується невдало, якщо організацію створити не вдалося
+const failSnapshotImport = async (importId, failureReason) => {
+    try {
+        await dynamoDb.update({
+            TableName: IMPORTS_TABLE,
+            Key: { importId },
+            UpdateExpression: 'SET #status = :failed, failureReason = :failureReason, updatedAt = :updatedAt REMOVE awaitingOrganization',
+            ConditionExpression: '#status = :pending',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':failed': 'failed',
+                ':pending': 'pending',
+                ':failureReason': failureReason,
+                ':updatedAt': new Date().toISOString(),
+            },
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+};
+
+const applyCreateOrganization = async (data, audit) => {
+    const failedIndexes = await transactWrite([
+        {
+            Put: {
+                TableName: ORGANIZATIONS_TABLE,
+                Item: {
+                    orgId: data.orgId,
+                    entityType: ORGANIZATION_ENTITY_TYPE, // Для сортування за createdAt в EntityTypeCreatedAt-index
+                    name: data.name,
+                    description: data.description,
+                    createdAt: data.createdAt,
+                    updatedAt: data.updatedAt,
+                    version: 1,
+                },
+                ConditionExpression: 'attribute_not_exists(orgId)',
+            },
+        },
+        claimUniqueValue(orgNameUniqueKey(data.name), data.orgId),
+        // Повідомлення, відправлені до появи автентифікації, не містять ownerId
+        ...(data.ownerId ? [{
+            Put: {
+                TableName: MEMBERSHIPS_TABLE,
+                Item: { userId: data.ownerId, orgId: data.orgId, role: 'owner', joinedAt: data.createdAt },
+            },
+        }] : []),
+        buildAuditEntry(audit, { orgId: data.orgId, entityType: 'organization', operation: 'createOrganization', before: null, after: data }),
+    ]);
+
+    if (failedIndexes.includes(1)) {
+        const reason = `Організація з назвою '${data.name}' вже існує.`;
+        if (data.importId) {
+            await failSnapshotImport(data.importId, reason);
+        }
+        throw new OperationRejectedError(reason, 'NAME_TAKEN');
+    }
+    if (failedIndexes.includes(0)) {
+        // orgId генерується при кожному запиті, тож існуюча організація означає повторну доставку
+        logger.warn(`Організація '${data.orgId}' вже створена. Пропускаємо повторне повідомлення.`);
+    }
+};
+
+const applyUpdateOrganization = async (data, audit) => {
+    const organization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+
+    if (!organization) {
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' не знайдена.`, 'NOT_FOUND');
+    }
+
+    const params = {
+        ...buildUpdateParams(ORGANIZATIONS_TABLE, { orgId: data.orgId }, data, ['name', 'description']),
+        ConditionExpression: 'attribute_exists(orgId)',
+    };
+    const isRenamed = data.name && normalizeUniqueValue(data.name) !== normalizeUniqueValue(organization.name);
+    const auditEntry = buildAuditEntry(audit, {
+        orgId: data.orgId, entityType: 'organization', operation: 'updateOrganization', before: organization, after: data,
+    });
+
+    // Якщо клієнт передав If-Match, оновлюємо лише ту версію, яку він бачив
+    if (!isRenamed) {
+        const failedIndexes = await transactWrite([toTransactUpdate(withVersionCheck(params, data.expectedVersion)), auditEntry]);
+        if (failedIndexes.includes(0)) {
+            throw buildConflictError(data.expectedVersion);
+        }
+        if (failedIndexes.length > 0) {
+            throw new Error(`Запис журналу змін для операції '${audit.operationId}' вже існує.`);
+        }
+        return;
+    }
+
+    // Перейменування: звільняємо стару назву та закріплюємо нову в одній транзакції.
+    // Умова на поточну назву гарантує, що ми звільняємо саме ту назву, яку прочитали.
+    const renameParams = withVersionCheck({
+        ...params,
+        ConditionExpression: 'attribute_exists(orgId) AND #name = :currentName',
+        ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':currentName': organization.name },
+    }, data.expectedVersion);
+
+    const failedIndexes = await transactWrite([
+        toTransactUpdate(renameParams),
+        releaseUniqueValue(orgNameUniqueKey(organization.name), data.orgId),
+        claimUniqueValue(orgNameUniqueKey(data.name), data.orgId),
+        auditEntry,
+    ]);
+
+    if (failedIndexes.includes(2)) {
+        throw new OperationRejectedError(`Організація з назвою '${data.name}' вже існує.`, 'NAME_TAKEN');
+    }
+    if (failedIndexes.includes(0) && data.expectedVersion !== undefined) {
+        throw buildConflictError(data.expectedVersion);
+    }
+    if (failedIndexes.length > 0) {
+        // Організацію змінили паралельно - повторна обробка прочитає актуальну назву
+        throw new Error(`Не вдалося перейменувати організацію '${data.orgId}': її змінено паралельно.`);
+    }
+};
+
+const applyArchiveOrganization = async (data, audit) => {
+    const organization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+
+    if (!organization) {
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' не знайдена.`, 'NOT_FOUND');
+    }
+    if (organization.archivedAt) {
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' вже архівована.`, 'ALREADY_ARCHIVED');
+    }
+
+    const archiveData = { ...data, archivedAt: data.updatedAt };
+    const params = {
+        ...buildUpdateParams(ORGANIZATIONS_TABLE, { orgId: data.orgId }, archiveData, ['archivedAt']),
+        ConditionExpression: 'attribute_exists(orgId) AND attribute_not_exists(archivedAt)',
+    };
+
+    const failedIndexes = await transactWrite([
+        toTransactUpdate(withVersionCheck(params)),
+        buildAuditEntry(audit, {
+            orgId: data.orgId, entityType: 'organization', operation: 'archiveOrganization', before: organization, after: archiveData,
+        }),
+    ]);
+
+    if (failedIndexes.length > 0) {
+        // Повторна обробка прочитає актуальний стан організації
+        throw new Error(`Не вдалося архівувати організацію '${data.orgId}': її змінено паралельно.`);
+    }
+};
+
+const applyRestoreOrganization = async (data, audit) => {
+    const organization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+
+    if (!organization) {
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' не знайдена.`, 'NOT_FOUND');
+    }
+    if (!organization.archivedAt) {
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' не архівована.`, 'NOT_ARCHIVED');
+    }
+
+    // Умова на archivedAt гарантує, що відновлюємо саме той стан, який прочитали
+    const params = {
+        TableName: ORGANIZATIONS_TABLE,
+        Key: { orgId: data.orgId },
+        UpdateExpression: 'REMOVE archivedAt SET updatedAt = :updatedAt',
+        ConditionExpression: 'archivedAt = :archivedAt',
+        ExpressionAttributeValues: { ':updatedAt': data.updatedAt, ':archivedAt': organization.archivedAt },
+    };
+
+    const failedIndexes = await transactWrite([
+        toTransactUpdate(withVersionCheck(params)),
+        buildAuditEntry(audit, {
+            orgId: data.orgId, entityType: 'organization', operation: 'restoreOrganization', before: organization, after: { ...data, archivedAt: null },
+        }),
+    ]);
+
+    if (failedIndexes.length > 0) {
+        throw new Error(`Не вдалося відновити організацію '${data.orgId}': її змінено паралельно.`);
+    }
+};
+
+// Дані користувача для запису: email зберігається нормалізованим (як і ключі UniqueValues),
+// а nameSearch - ім'я в нижньому регістрі для пошуку за префіксом (копіюється в членства)
+const normalizeUserData = (data) => ({
+    ...data,
+    ...(data.email && { email: normalizeUniqueValue(data.email) }),
+    ...(data.name && { nameSearch: normalizeUniqueValue(data.name) }),
+});
+
+const applyCreateUser = async (data, audit) => {
+    const failedIndexes = await transactWrite([
+        {
+            Put: {
+                TableName: USERS_TABLE,
+                Item: {
+                    userId: data.userId,
+                    name: data.name,
+                    nameSearch: data.nameSearch,
+                    email: data.email,
+                    createdAt: data.createdAt,
+                    updatedAt: data.updatedAt,
+                    version: 1,
+                },
+                ConditionExpression: 'attribute_not_exists(userId)',
+            },
+        },
+        claimUniqueValue(userEmailUniqueKey(data.email), data.userId),
+        // Існуюче членство (наприклад, власника, що створює свій профіль) не понижуємо
+        {
+            Update: {
+                TableName: MEMBERSHIPS_TABLE,
+                Key: { userId: data.userId, orgId: data.orgId },
+                UpdateExpression: 'SET #role = if_not_exists(#role, :role), joinedAt = if_not_exists(joinedAt, :joinedAt), nameSearch = :nameSearch',
+                ExpressionAttributeNames: { '#role': 'role' },
+                ExpressionAttributeValues: { ':role': data.role || 'member', ':joinedAt': data.createdAt, ':nameSearch': data.nameSearch },
+            },
+        },
+        buildAuditEntry(audit, {
+            orgId: data.orgId, userId: data.userId, entityType: 'user', operation: 'createUser', before: null, after: { ...data, role: data.role || 'member' },
+        }),
+        // До архівованої або видаленої організації нових користувачів не додаємо
+        {
+            ConditionCheck: {
+                TableName: ORGANIZATIONS_TABLE,
+                Key: { orgId: data.orgId },
+                ConditionExpression: 'attribute_exists(orgId) AND attribute_not_exists(archivedAt)',
+            },
+        },
+    ]);
+
+    if (failedIndexes.includes(4)) {
+        const organization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+        if (!organization) {
+            throw new OperationRejectedError(`Організація з ID '${data.orgId}' не знайдена.`, 'NOT_FOUND');
+        }
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' архівована.`, 'ORGANIZATION_ARCHIVED');
+    }
+    if (failedIndexes.includes(1)) {
+        throw new OperationRejectedError(
+            `Користувач з email '${data.email}' вже зареєстрований. Додайте його до організації через POST /organizations/${data.orgId}/members.`,
+            'EMAIL_TAKEN'
+        );
+    }
+    if (failedIndexes.includes(0)) {
+        // userId може прийти від клієнта, тож існуючий користувач - це або повторна доставка, або зайнятий ID
+        const user = await getItemConsistently(USERS_TABLE, { userId: data.userId });
+        const isRedelivery = user && normalizeUniqueValue(user.email) === normalizeUniqueValue(data.email)
+            && Boolean(await getItemConsistently(MEMBERSHIPS_TABLE, { userId: data.userId, orgId: data.orgId }));
+
+        if (!isRedelivery) {
+            throw new OperationRejectedError(`Користувач з ID '${data.userId}' вже існує.`, 'USER_EXISTS');
+        }
+        logger.warn(`Користувач '${data.userId}' вже створений. Пропускаємо повторне повідомлення.`);
+    }
+};
+
+const applyUpdateUser = async (data, audit) => {
+    const user = await getItemConsistently(USERS_TABLE, { userId: data.userId });
+    // Роль зберігається в членстві, її попереднє значення потрібне для журналу змін
+    const membership = await getItemConsistently(MEMBERSHIPS_TABLE, { userId: data.userId, orgId: data.orgId });
+
+    // Оновлення не створює користувача і доступне лише через організацію, учасником якої він є
+    if (!user || !membership) {
+        throw new OperationRejectedError(`Користувач з ID '${data.userId}' не є учасником організації '${data.orgId}'.`, 'NOT_FOUND');
+    }
+
+    const params = {
+        ...buildUpdateParams(USERS_TABLE, { userId: data.userId }, data, ['name', 'nameSearch', 'email']),
+        ConditionExpression: 'attribute_exists(userId)',
+    };
+
+    const isEmailChanged = data.email && normalizeUniqueValue(data.email) !== normalizeUniqueValue(user.email);
+    const auditEntry = buildAuditEntry(audit, {
+        orgId: data.orgId,
+        userId: data.userId,
+        entityType: 'user',
+        operation: 'updateUser',
+        before: { ...user, role: membership.role },
+        after: data,
+    });
+
+    // Користувач, його унікальний email, членства та запис журналу змінюються в одній транзакції
+    const transactItems = [];
+    if (isEmailChanged) {
+        transactItems.push(
+            toTransactUpdate(withVersionCheck({
+                ...params,
+                ConditionExpression: 'attribute_exists(userId) AND #email = :currentEmail',
+                ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':currentEmail': user.email },
+            }, data.expectedVersion)),
+            releaseUniqueValue(userEmailUniqueKey(user.email), data.userId),
+            claimUniqueValue(userEmailUniqueKey(data.email), data.userId)
+        );
+    } else {
+        transactItems.push(toTransactUpdate(withVersionCheck(params, data.expectedVersion)));
+    }
+
+    // Нове ім'я копіюється в усі членства користувача, роль змінюється лише в членстві data.orgId.
+    // Транзакція не може змінювати один елемент двічі, тож обидві зміни членства data.orgId об'єднуються.
+    const isNameChanged = data.nameSearch && data.nameSearch !== user.nameSearch;
+    const membershipOrgIds = isNameChanged ? await getMemberOrganizationIds(data.userId) : [];
+    if (data.role && !membershipOrgIds.includes(data.orgId)) {
+        membershipOrgIds.push(data.orgId);
+    }
+    let roleIndex = -1;
+    for (const orgId of membershipOrgIds) {
+        const role = orgId === data.orgId ? data.role : undefined;
+        if (role) {
+            roleIndex = transactItems.length;
+        }
+        transactItems.push(updateMembership(data.userId, orgId, { role, nameSearch: isNameChanged ? data.nameSearch : undefined }));
+    }
+    transactItems.push(auditEntry);
+
+    const failedIndexes = await transactWrite(transactItems);
+
+    if (isEmailChanged && failedIndexes.includes(2)) {
+        throw new OperationRejectedError(`Користувач з email '${data.email}' вже зареєстрований.`, 'EMAIL_TAKEN');
+    }
+    if (failedIndexes.includes(roleIndex)) {
+        const currentMembership = await getItemConsistently(MEMBERSHIPS_TABLE, { userId: data.userId, orgId: data.orgId });
+        if (currentMembership && currentMembership.role === 'owner') {
+            throw new OperationRejectedError('Роль власника організації не можна змінити.', 'FORBIDDEN');
+        }
+    }
+    if (failedIndexes.includes(0) && (data.expectedVersion !== undefined || !isEmailChanged)) {
+        // Без зміни email умова стосується лише версії та існування користувача
+        throw buildConflictError(data.expectedVersion);
+    }
+    if (failedIndexes.length > 0) {
+        // Повторна обробка прочитає актуальний стан користувача та його членств
+        throw new Error(`Не вдалося оновити користувача '${data.userId}': його змінено паралельно.`);
+    }
+};
+
+// Видаляє користувача з організації. Профіль та глобальний email видаляються разом з останнім членством.
+const applyDeleteUser = async (data, audit) => {
+    const membership = await getItemConsistently(MEMBERSHIPS_TABLE, { userId: data.userId, orgId: data.orgId });
+
+    if (!membership) {
+        // Повторна доставка або користувача вже видалено разом з організацією
+        logger.warn(`Користувач '${data.userId}' вже відсутній в організації '${data.orgId}'. Пропускаємо.`);
+        return;
+    }
+
+    const user = await getItemConsistently(USERS_TABLE, { userId: data.userId });
+    const isLastMembership = !(await hasOtherMembership(data.userId, data.orgId));
+
+    const failedIndexes = await transactWrite([
+        {
+            Delete: {
+                TableName: MEMBERSHIPS_TABLE,
+                Key: { userId: data.userId, orgId: data.orgId },
+                ConditionExpression: 'attribute_exists(userId)',
+            },
+        },
+        buildAuditEntry(audit, {
+            orgId: data.orgId, userId: data.userId, entityType: 'user', operation: 'deleteUser', before: { ...user, role: membership.role }, after: null,
+        }),
+        ...(user && isLastMembership ? [
+            {
+                Delete: {
+                    TableName: USERS_TABLE,
+                    Key: { userId: data.userId },
+                    ConditionExpression: 'attribute_exists(userId)',
+                },
+            },
+            releaseUniqueValue(userEmailUniqueKey(user.email), data.userId),
+        ] : []),
+    ]);
+
+    if (failedIndexes.length > 0) {
+        throw new Error(`Не вдалося видалити користувача '${data.userId}': його змінено паралельно.`);
+    }
+};
+
+// Додає існуючого користувача до організації. nameSearch копіюється з профілю для пошуку за іменем.
+const applyAddMembership = async (data, audit) => {
+    const user = await getItemConsistently(USERS_TABLE, { userId: data.userId });
+    if (!user) {
+        throw new OperationRejectedError(`Користувач з ID '${data.userId}' не знайдений.`, 'NOT_FOUND');
+    }
+    if ((await getMembershipsForUser(data.userId)).length >= MAX_MEMBERSHIPS_PER_USER) {
+        throw new OperationRejectedError(`Користувач може бути учасником не більше ${MAX_MEMBERSHIPS_PER_USER} організацій.`, 'MEMBERSHIP_LIMIT');
+    }
+
+    const failedIndexes = await transactWrite([
+        {
+            Put: {
+                TableName: MEMBERSHIPS_TABLE,
+                Item: {
+                    userId: data.userId,
+                    orgId: data.orgId,
+                    role: data.role,
+                    joinedAt: data.requestedAt,
+                    ...(user.nameSearch && { nameSearch: user.nameSearch }),
+                },
+                ConditionExpression: 'attribute_not_exists(userId)',
+            },
+        },
+        // Перейменування після читання профілю не оновило б nameSearch нового членства
+        {
+            ConditionCheck: {
+                TableName: USERS_TABLE,
+                Key: { userId: data.userId },
+                ConditionExpression: user.version !== undefined ? 'version = :version' : 'attribute_exists(userId) AND attribute_not_exists(version)',
+                ...(user.version !== undefined && { ExpressionAttributeValues: { ':version': user.version } }),
+            },
+        },
+        {
+            ConditionCheck: {
+                TableName: ORGANIZATIONS_TABLE,
+                Key: { orgId: data.orgId },
+                ConditionExpression: 'attribute_exists(orgId) AND attribute_not_exists(archivedAt)',
+            },
+        },
+        buildAuditEntry(audit, {
+            orgId: data.orgId, userId: data.userId, entityType: 'user', operation: 'addMembership', before: user, after: { ...user, role: data.role },
+        }),
+    ]);
+
+    if (failedIndexes.includes(2)) {
+        const organization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+        if (!organization) {
+            throw new OperationRejectedError(`Організація з ID '${data.orgId}' не знайдена.`, 'NOT_FOUND');
+        }
+        throw new OperationRejectedError(`Організація з ID '${data.orgId}' архівована.`, 'ORGANIZATION_ARCHIVED');
+    }
+    if (failedIndexes.includes(0)) {
+        throw new OperationRejectedError(`Користувач '${data.userId}' вже є учасником організації '${data.orgId}'.`, 'ALREADY_MEMBER');
+    }
+    if (failedIndexes.length > 0) {
+        throw new Error(`Не вдалося додати користувача '${data.userId}' до організації: його змінено паралельно.`);
+    }
+};
+
+// Видаляє членство, залишаючи профіль користувача (на відміну від applyDeleteUser)
+const applyRemoveMembership = async (data, audit) => {
+    const membership = await getItemConsistently(MEMBERSHIPS_TABLE, { userId: data.userId, orgId: data.orgId });
+    if (!membership) {
+        logger.warn(`Користувач '${data.userId}' вже відсутній в організації '${data.orgId}'. Пропускаємо.`);
+        return;
+    }
+    const user = await getItemConsistently(USERS_TABLE, { userId: data.userId });
+
+    const failedIndexes = await transactWrite([
+        {
+            Delete: {
+                TableName: MEMBERSHIPS_TABLE,
+                Key: { userId: data.userId, orgId: data.orgId },
+                ConditionExpression: 'attribute_exists(userId) AND #role <> :owner',
+                ExpressionAttributeNames: { '#role': 'role' },
+                ExpressionAttributeValues: { ':owner': 'owner' },
+            },
+        },
+        buildAuditEntry(audit, {
+            orgId: data.orgId,
+            userId: data.userId,
+            entityType: 'user',
+            operation: 'removeMembership',
+            before: { ...user, role: membership.role },
+            after: { ...user, role: null },
+        }),
+    ]);
+
+    if (failedIndexes.includes(0) && membership.role === 'owner') {
+        throw new OperationRejectedError('Власника організації не можна видалити.', 'FORBIDDEN');
+    }
+    if (failedIndexes.length > 0) {
+        throw new Error(`Не вдалося видалити користувача '${data.userId}' з організації: членство змінено паралельно.`);
+    }
+};
+
+const applyDeleteOrganization = async (data, audit) => {
+    // Остаточне видалення архівованої організації (data.archivedAt) скасовується, якщо її відновили
+    if (data.archivedAt) {
+        const archivedOrganization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+        if (!archivedOrganization || archivedOrganization.archivedAt !== data.archivedAt) {
+            logger.warn(`Організацію '${data.orgId}' відновлено або вже видалено. Пропускаємо остаточне видалення.`);
+            return;
+        }
+    }
+
+    // Спочатку видаляємо користувачів, а потім саму організацію:
+    // якщо каскад впаде посередині, організація залишиться і повідомлення буде оброблене повторно.
+    // У журнал змін потрапляє один запис про видалення організації, без окремих записів для її користувачів.
+    const deletedUsersCount = await deleteUsersByOrganization(data.orgId);
+    logger.info(`Видалено ${deletedUsersCount} користувачів організації '${data.orgId}'.`);
+    const deletedMembershipsCount = await deleteMembershipsByOrganization(data.orgId);
+    logger.info(`Видалено ${deletedMembershipsCount} членств в організації '${data.orgId}'.`);
+
+    const organization = await getItemConsistently(ORGANIZATIONS_TABLE, { orgId: data.orgId });
+    if (!organization) {
+        logger.warn(`Організація '${data.orgId}' вже видалена. Пропускаємо.`);
+        return;
+    }
+
+    const failedIndexes = await transactWrite([
+        {
+            Delete: {
+                TableName: ORGANIZATIONS_TABLE,
+                Key: { orgId: data.orgId },
+                ConditionExpression: data.archivedAt ? '#name = :name AND archivedAt = :archivedAt' : '#name = :name',
+                ExpressionAttributeNames: { '#name': 'name' },
+                ExpressionAttributeValues: { ':name': organization.name, ...(data.archivedAt && { ':archivedAt': data.archivedAt }) },
+            },
+        },
+        releaseUniqueValue(orgNameUniqueKey(organization.name), data.orgId),
+        buildAuditEntry(audit, { orgId: data.orgId, entityType: 'organization', operation: 'deleteOrganization', before: organization, after: null }),
+    ]);
+
+    if (failedIndexes.length > 0) {
+        throw new Error(`Не вдалося видалити організацію '${data.orgId}': її змінено паралельно.`);
+    }
+};
+
+// 8. Функція для обробки повідомлень з SQS (Consumer Lambda)
+module.exports.processSqsMessages = async (event) => {
+    // Ідентифікатори повідомлень, які треба повторити. Решта пачки вважається обробленою
+    // і не буде застосована повторно (functionResponseType: ReportBatchItemFailures).
+    const batchItemFailures = [];
+
+    for (const record of event.Records) {
+        updateContext({ correlationId: getRecordCorrelationId(record), messageId: record.messageId });
+        const startedAt = Date.now();
+        let operationId;
+        // Для метрик операції: відхилені, некоректні та невдалі спроби вважаються збоями
+        let operation;
+        let isFailed = true;
+        try {
+            let messageBody;
+            try {
+                messageBody = JSON.parse(record.body);
+            } catch (parseError) {
+                await sendToDeadLetterQueue(record, 'Тіло повідомлення не є коректним JSON.');
+                continue;
+            }
+            // Коректний JSON може бути й null, рядком чи масивом - повтор такого повідомлення теж нічого не змінить
+            if (!isObject(messageBody) || !isObject(messageBody.data)) {
+                await sendToDeadLetterQueue(record, 'Тіло повідомлення має бути об\'єктом з полем data.');
+                continue;
+            }
+            const { data } = messageBody;
+            operation = messageBody.operation;
+            operationId = messageBody.operationId;
+            updateContext({ operationId });
+
+            logger.info(`Обробка операції ${operation}`, { operationId, data });
+
+            // Дані повідомлення перевіряємо тими самими схемами, що й HTTP-запити.
+            // Некоректне повідомлення не стане коректним після повторів, тому одразу відправляємо його в DLQ.
+            const messageSchema = schemas.messages[operation];
+            const validationError = messageSchema && validate(messageSchema, data);
+            if (validationError) {
+                const invalidMessageReason = `Некоректні дані повідомлення (${validationError.field}): ${validationError.message}`;
+                await sendToDeadLetterQueue(record, invalidMessageReason);
+                if (operationId) {
+                    await updateOperationStatus(operationId, 'failed', invalidMessageReason, 'INVALID_MESSAGE');
+                }
+                continue;
+            }
+
+            // Операція з остаточним статусом (повторна доставка після обробки) нічого не змінює.
+            // Повторна відправка з DLQ спочатку повертає операції статус 'pending'.
+            if (operationId) {
+                const operationRecord = await getItemConsistently(OPERATIONS_TABLE, { operationId });
+                if (operationRecord && (operationRecord.status === 'succeeded' || operationRecord.status === 'failed')) {
+                    logger.warn(`Операцію '${operationId}' вже оброблено зі статусом '${operationRecord.status}'. Пропускаємо повторне повідомлення.`);
+                    isFailed = false;
+                    continue;
+                }
+            }
+
+            // Контекст журналу змін. Час береться з повідомлення, тому однаковий для всіх його доставок.
+            // Старі повідомлення без requestedAt отримують час відправки повідомлення в SQS.
+            const sentTimestamp = record.attributes && record.attributes.SentTimestamp;
+            const audit = {
+                operationId: operationId || record.messageId,
+                actor: messageBody.requestedBy,
+                timestamp: data.updatedAt || data.requestedAt || new Date(sentTimestamp ? Number(sentTimestamp) : Date.now()).toISOString(),
+            };
+
+            // Повторна доставка вже застосованої операції: запис журналу існує лише для застосованих змін
+            if (schemas.messages[operation] && await isOperationAudited(data.orgId, audit)) {
+                logger.warn(`Операцію '${audit.operationId}' вже застосовано. Пропускаємо повторне повідомлення.`);
+                // Попередня спроба могла впасти до публікації подій; повторна публікація не дублює доставки
+                await publishWebhookEvent(data.orgId, audit);
+                if (operation === 'createOrganization' && data.importId) {
+                    await enqueueSnapshotUsers(data.importId);
+                }
+                if (operationId) {
+                    await updateOperationStatus(operationId, 'succeeded');
+                }
+                isFailed = false;
+                continue;
+            }
+
+            switch (operation) {
+                case 'createOrganization':
+                    await applyCreateOrganization(data, audit);
+                    logger.info('Організація успішно створена з SQS', { data });
+                    break;
+
+                case 'updateOrganization':
+                    await applyUpdateOrganization(data, audit);
+                    logger.info('Організація успішно оновлена з SQS', { data });
+                    break;
+
+                case 'createUser':
+                    await applyCreateUser(normalizeUserData(data), audit);
+                    logger.info('Користувач успішно створений з SQS', { data });
+                    break;
+
+                case 'updateUser':
+                    await applyUpdateUser(normalizeUserData(data), audit);
+                    logger.info('Користувач успішно оновлений з SQS', { data });
+                    break;
+
+                case 'deleteUser':
+                    await applyDeleteUser(data, audit);
+                    logger.info('Користувач успішно видалений з SQS', { data });
+                    break;
+
+                case 'addMembership':
+                    await applyAddMembership(data, audit);
+                    logger.info('Користувача успішно додано до організації з SQS', { data });
+                    break;
+
+                case 'removeMembership':
+                    await applyRemoveMembership(data, audit);
+                    logger.info('Користувача успішно видалено з організації з SQS', { data });
+                    break;
+
+                case 'deleteOrganization':
+                    await applyDeleteOrganization(data, audit);
+                    logger.info('Організація успішно видалена з SQS', { data });
+                    break;
+
+                case 'archiveOrganization':
+                    await applyArchiveOrganization(data, audit);
+                    logger.info('Організація успішно архівована з SQS', { data });
+                    break;
+
+                case 'restoreOrganization':
+                    await applyRestoreOrganization(data, audit);
+                    logger.info('Організація успішно відновлена з SQS', { data });
+                    break;
+
+                default:
+                    const unknownOperationReason = `Невідома операція: ${operation}.`;
+                    await sendToDeadLetterQueue(record, unknownOperationReason);
+                    if (operationId) {
+                        await updateOperationStatus(operationId, 'failed', unknownOperationReason, 'UNKNOWN_OPERATION');
+                    }
+                    continue;
+            }
+
+            await publishWebhookEvent(data.orgId, audit);
+
+            if (operation === 'createOrganization' && data.importId) {
+                await enqueueSnapshotUsers(data.importId);
+            }
+
+            // Повідомлення, відправлені до появи операцій, не мають operationId
+            if (operationId) {
+                await updateOperationStatus(operationId, 'succeeded');
+            }
+            isFailed = false;
+        } catch (error) {
+            if (error instanceof OperationRejectedError) {
+                // Операцію відхилено - повторювати повідомлення немає сенсу
+                logger.warn(`Операцію '${operationId}' відхилено: ${error.message}`);
+                try {
+                    if (operationId) {
+                        await updateOperationStatus(operationId, 'failed', error.message, error.code);
+                    }
+                } catch (statusError) {
+                    logger.error(`Не вдалося оновити статус операції '${operationId}'`, { error: statusError });
+                    batchItemFailures.push({ itemIdentifier: record.messageId });
+                }
+                continue;
+            }
+
+            logger.error('Помилка при обробці SQS повідомлення', { messageId: record.messageId, error });
+
+            // Після MAX_RECEIVE_COUNT невдалих спроб SQS перемістить повідомлення в DLQ,
+            // тому лише остання спроба остаточно позначає операцію як 'failed'.
+            const receiveCount = Number(record.attributes && record.attributes.ApproximateReceiveCount) || 1;
+            const isLastAttempt = receiveCount >= MAX_RECEIVE_COUNT;
+
+            if (operationId) {
+                try {
+                    await updateOperationStatus(operationId, isLastAttempt ? 'failed' : 'pending', INTERNAL_FAILURE_REASON);
+                } catch (statusError) {
+                    logger.error(`Не вдалося оновити статус операції '${operationId}'`, { error: statusError });
+                }
+            }
+
+            // Повертаємо в чергу лише це повідомлення, а не всю пачку
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        } finally {
+            putMetrics({ Operation: operation || 'unknown' }, {
+                Latency: { value: Date.now() - startedAt, unit: 'Milliseconds' },
+                Failures: { value: isFailed ? 1 : 0, unit: 'Count' },
+            });
+        }
+    }
+
+    if (batchItemFailures.length > 0) {
+        logger.warn(`Не вдалося обробити ${batchItemFailures.length} з ${event.Records.length} повідомлень.`);
+    }
+    return { batchItemFailures };
+};
+
+// 9. Функція для видалення організації разом з усіма її користувачами (DELETE /organizations/{orgId})
+module.exports.deleteOrganization = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+
+        // Видалити організацію може лише її власник
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'owner');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Перевіряємо, чи існує організація з таким orgId (синхронно, перед відправкою в SQS)
+        const orgGetParams = {
+            TableName: ORGANIZATIONS_TABLE,
+            Key: { orgId: orgId },
+        };
+        const orgResult = await dynamoDb.get(orgGetParams).promise();
+
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+
+        // Каскадне видалення користувачів виконує споживач SQS
+        const message = {
+            operation: 'deleteOrganization',
+            requestedBy: principal.userId,
+            data: { orgId, requestedAt: new Date().toISOString() }
+        };
+
+        // Реєструємо операцію та відправляємо повідомлення в SQS
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про видалення організації відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: 'Запит на видалення організації прийнято, обробляється асинхронно.', orgId: orgId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при видаленні організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 10. Функція для видалення користувача (DELETE /organizations/{orgId}/users/{userId})
+module.exports.deleteUser = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.userPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, userId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Адміністраторів видаляє лише власник, а самого власника видалити не можна
+        const targetMembership = await getMembership(userId, orgId);
+        if (targetMembership && targetMembership.role === 'owner') {
+            return buildErrorResponse(403, 'FORBIDDEN', 'Власника організації не можна видалити.', 'userId');
+        }
+        if (targetMembership && targetMembership.role === 'admin') {
+            const ownerForbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'owner');
+            if (ownerForbiddenResponse) {
+                return ownerForbiddenResponse;
+            }
+        }
+
+        if (!targetMembership) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Користувач з ID '${userId}' не знайдений в організації '${orgId}'.`, 'userId');
+        }
+
+        const message = {
+            operation: 'deleteUser',
+            requestedBy: principal.userId,
+            data: { orgId, userId, requestedAt: new Date().toISOString() }
+        };
+
+        // Реєструємо операцію та відправляємо повідомлення в SQS
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про видалення користувача відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: 'Запит на видалення користувача прийнято, обробляється асинхронно.', userId: userId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при видаленні користувача', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 11. Функція для отримання статусу асинхронної операції (GET /operations/{operationId})
+module.exports.getOperation = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.operationPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { operationId } = parameters;
+
+        const params = {
+            TableName: OPERATIONS_TABLE,
+            Key: { operationId: operationId },
+        };
+
+        const result = await dynamoDb.get(params).promise();
+
+        // Чужі операції не відрізняємо від відсутніх, щоб не розкривати їх існування
+        if (!result.Item || (!principal.isPlatformAdmin && result.Item.requestedBy !== principal.userId)) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Операція з ID '${operationId}' не знайдена.`, 'operationId');
+        }
+
+        // expiresAt - службовий атрибут для TTL, клієнту він не потрібен
+        const { expiresAt, ...operation } = result.Item;
+
+        logger.info('Операція успішно отримана', { operation });
+        return buildResponse(200, { operation });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні операції', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Максимальна кількість повідомлень, яку SQS повертає за один receiveMessage
+const SQS_RECEIVE_LIMIT = 10;
+
+// Перетворює повідомлення з DLQ у формат відповіді API
+const formatDeadLetter = (sqsMessage) => {
+    let body;
+    try {
+        body = JSON.parse(sqsMessage.Body);
+    } catch (error) {
+        body = sqsMessage.Body; // Некоректний JSON повертаємо як є
+    }
+    const attributes = sqsMessage.MessageAttributes || {};
+
+    return {
+        messageId: sqsMessage.MessageId,
+        body,
+        failureReason: attributes.failureReason ? attributes.failureReason.StringValue : null,
+        correlationId: attributes.correlationId ? attributes.correlationId.StringValue : null,
+        sentAt: new Date(Number(sqsMessage.Attributes.SentTimestamp)).toISOString(),
+        receiveCount: Number(sqsMessage.Attributes.ApproximateReceiveCount),
+    };
+};
+
+// 12. Функція для перегляду повідомлень у dead-letter черзі (GET /dead-letters)
+module.exports.getDeadLetters = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const forbiddenResponse = authorizePlatformAdmin(principal);
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const queryParameters = event.queryStringParameters || {};
+        const limit = queryParameters.limit ? Number(queryParameters.limit) : SQS_RECEIVE_LIMIT;
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > SQS_RECEIVE_LIMIT) {
+            return buildValidationErrorResponse({ field: 'limit', message: `limit має бути цілим числом від 1 до ${SQS_RECEIVE_LIMIT}.` });
+        }
+
+        // VisibilityTimeout: 0 - лише переглядаємо повідомлення, не ховаючи їх від повторного отримання
+        const params = {
+            QueueUrl: DEAD_LETTER_QUEUE_URL,
+            MaxNumberOfMessages: limit,
+            VisibilityTimeout: 0,
+            AttributeNames: ['All'],
+            MessageAttributeNames: ['All'],
+        };
+        const result = await sqs.receiveMessage(params).promise();
+        const deadLetters = (result.Messages || []).map(formatDeadLetter);
+
+        logger.info(`Отримано ${deadLetters.length} повідомлень з DLQ.`);
+        return buildResponse(200, { deadLetters });
+
+    } catch (error) {
+        logger.error('Помилка при перегляді DLQ', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 13. Функція для повторної відправки повідомлень з DLQ в основну чергу (POST /dead-letters/redrive)
+module.exports.redriveDeadLetters = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const forbiddenResponse = authorizePlatformAdmin(principal);
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const { data, errorResponse } = parseRequestBody(event, schemas.redriveDeadLettersBody, true);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const maxMessages = data.maxMessages !== undefined ? data.maxMessages : 100;
+
+        let redrivenCount = 0;
+
+        while (redrivenCount < maxMessages) {
+            const receiveParams = {
+                QueueUrl: DEAD_LETTER_QUEUE_URL,
+                MaxNumberOfMessages: Math.min(SQS_RECEIVE_LIMIT, maxMessages - redrivenCount),
+                VisibilityTimeout: 30,
+                MessageAttributeNames: ['correlationId'],
+            };
+            const result = await sqs.receiveMessage(receiveParams).promise();
+            const messages = result.Messages || [];
+
+            if (messages.length === 0) {
+                break;
+            }
+
+            for (const sqsMessage of messages) {
+                // Повторна обробка зберігає correlation id початкового запиту
+                await sqs.sendMessage({
+                    QueueUrl: ORGANIZATION_USER_QUEUE_URL,
+                    MessageBody: sqsMessage.Body,
+                    ...(sqsMessage.MessageAttributes && sqsMessage.MessageAttributes.correlationId && {
+                        MessageAttributes: { correlationId: sqsMessage.MessageAttributes.correlationId },
+                    }),
+                }).promise();
+                await sqs.deleteMessage({ QueueUrl: DEAD_LETTER_QUEUE_URL, ReceiptHandle: sqsMessage.ReceiptHandle }).promise();
+
+                // Операція знову чекає на обробку
+                let operationId;
+                try {
+                    operationId = JSON.parse(sqsMessage.Body).operationId;
+                } catch (parseError) {
+                    operationId = undefined;
+                }
+                if (operationId) {
+                    await updateOperationStatus(operationId, 'pending');
+                }
+
+                redrivenCount++;
+            }
+        }
+
+        logger.info(`Повторно відправлено ${redrivenCount} повідомлень з DLQ.`);
+        return buildResponse(200, { message: `Повторно відправлено ${redrivenCount} повідомлень з DLQ.`, redrivenCount });
+
+    } catch (error) {
+        logger.error('Помилка при повторній відправці повідомлень з DLQ', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Закріплює в UniqueValues назву організації, створеної до появи UniqueValues.
+// Повертає 'claimed', 'conflict' (назва належить іншій організації) або null, якщо робити нічого не потрібно.
+const claimOrganizationName = async (organization) => {
+    const uniqueKey = orgNameUniqueKey(organization.name);
+    const ownerId = await getUniqueValueOwner(uniqueKey);
+    if (ownerId) {
+        return ownerId === organization.orgId ? null : 'conflict';
+    }
+
+    const failedIndexes = await transactWrite([
+        // Умова захищає від закріплення старої назви, якщо організацію перейменували або видалили під час заповнення
+        {
+            ConditionCheck: {
+                TableName: ORGANIZATIONS_TABLE,
+                Key: { orgId: organization.orgId },
+                ConditionExpression: '#name = :name',
+                ExpressionAttributeNames: { '#name': 'name' },
+                ExpressionAttributeValues: { ':name': organization.name },
+            },
+        },
+        claimUniqueValue(uniqueKey, organization.orgId),
+    ]);
+    if (failedIndexes.includes(1)) {
+        return 'conflict';
+    }
+    if (failedIndexes.length > 0) {
+        logger.warn(`Організацію '${organization.orgId}' змінено під час заповнення. Пропускаємо.`);
+        return null;
+    }
+    return 'claimed';
+};
+
+// 14. Функція для заповнення атрибутів організацій, створених до їх появи (запускається вручну:
+// serverless invoke -f backfillOrganizations). Без entityType організація не потрапляє в EntityTypeCreatedAt-index
+// і не видна у списку GET /organizations з order, а без закріпленої в UniqueValues назви createOrganization
+// не помічає дубліката. Організації з однаковими назвами, створені до появи UniqueValues, повертаються
+// в conflicts - їх потрібно перейменувати і запустити функцію знову. Повторний запуск безпечний.
+module.exports.backfillOrganizations = async () => {
+    let updatedCount = 0;
+    let claimedCount = 0;
+    const conflicts = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.scan({
+            TableName: ORGANIZATIONS_TABLE,
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        for (const organization of result.Items || []) {
+            const claimResult = await claimOrganizationName(organization);
+            if (claimResult === 'claimed') {
+                claimedCount++;
+            } else if (claimResult === 'conflict') {
+                conflicts.push({ orgId: organization.orgId, name: organization.name });
+            }
+
+            if (organization.entityType === ORGANIZATION_ENTITY_TYPE) {
+                continue;
+            }
+            try {
+                // Умова захищає від повторного створення організації, видаленої під час заповнення
+                await dynamoDb.update({
+                    TableName: ORGANIZATIONS_TABLE,
+                    Key: { orgId: organization.orgId },
+                    UpdateExpression: 'SET entityType = :entityType',
+                    ConditionExpression: 'attribute_exists(orgId)',
+                    ExpressionAttributeValues: { ':entityType': ORGANIZATION_ENTITY_TYPE },
+                }).promise();
+                updatedCount++;
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                logger.warn(`Організацію '${organization.orgId}' видалено під час заповнення. Пропускаємо.`);
+            }
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info(`Оновлено ${updatedCount} організацій, закріплено ${claimedCount} назв, конфліктів назв: ${conflicts.length}.`);
+    return { updatedCount, claimedCount, conflicts };
+};
+
+// Максимальна кількість рядків в одному імпорті
+const MAX_IMPORT_ROWS = 1000;
+
+// 15. Функція для масового імпорту користувачів з CSV або JSON (POST /organizations/{orgId}/users/import)
+// CSV (Content-Type: text/csv) має рядок заголовків name,email[,role]; JSON - масив об'єктів з тими ж полями.
+// Кожен коректний рядок відправляється в SQS як окрема операція createUser, а прогрес доступний
+// за importId через GET /organizations/{orgId}/imports/{importId}.
+module.exports.importUsers = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        if (!event.body) {
+            return buildErrorResponse(400, 'MISSING_BODY', 'Тіло запиту є обов\'язковим.');
+        }
+
+        const contentType = (getHeader(event, 'Content-Type') || '').toLowerCase();
+        const format = contentType.startsWith('text/csv') ? 'csv' : 'json';
+
+        let rows;
+        try {
+            rows = format === 'csv' ? parseCsv(decodeRequestBody(event)) : JSON.parse(decodeRequestBody(event));
+        } catch (error) {
+            return format === 'csv'
+                ? buildErrorResponse(400, 'INVALID_CSV', `Тіло запиту не є коректним CSV: ${error.message}`)
+                : buildErrorResponse(400, 'INVALID_JSON', 'Тіло запиту не є коректним JSON.');
+        }
+
+        if (!Array.isArray(rows)) {
+            return buildValidationErrorResponse({ field: null, message: 'Очікується JSON-масив користувачів.' });
+        }
+        if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+            return buildValidationErrorResponse({ field: null, message: `Імпорт має містити від 1 до ${MAX_IMPORT_ROWS} користувачів.` });
+        }
+
+        // Перевіряємо, чи існує організація з таким orgId
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+        if (orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'ORGANIZATION_ARCHIVED', `Організація з ID '${orgId}' архівована. Відновіть її, щоб керувати користувачами.`, 'orgId');
+        }
+
+        // Призначати роль admin може лише власник (як і в createOrUpdateUser)
+        const canAssignAdmin = !(await authorizeOrganizationAccess(principal, orgId, 'owner'));
+        // Швидка перевірка унікальності email. Остаточно її гарантує транзакція в споживачі SQS.
+        const existingEmails = await getEmailOwners(rows
+            .filter((row) => row && typeof row.email === 'string' && row.email.trim())
+            .map((row) => row.email));
+        const rowsByEmail = new Map();
+
+        const report = [];
+        const acceptedRows = [];
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 1;
+            const email = row && typeof row.email === 'string' ? row.email : null;
+            const reject = (code, message, field) => {
+                report.push({ row: rowNumber, email, status: 'rejected', error: { code, message, field } });
+            };
+
+            const validationError = validate(schemas.importUserRow, row);
+            if (validationError) {
+                reject('VALIDATION_ERROR', validationError.message, validationError.field);
+                return;
+            }
+            if (row.role === 'admin' && !canAssignAdmin) {
+                reject('FORBIDDEN', 'Призначати роль admin може лише власник організації.', 'role');
+                return;
+            }
+
+            const normalizedEmail = normalizeUniqueValue(email);
+            if (rowsByEmail.has(normalizedEmail)) {
+                reject('DUPLICATE_IN_FILE', `Email '${email}' вже зустрічається в рядку ${rowsByEmail.get(normalizedEmail)}.`, 'email');
+                return;
+            }
+            rowsByEmail.set(normalizedEmail, rowNumber);
+
+            if (existingEmails.has(normalizedEmail)) {
+                reject('EMAIL_TAKEN', `Користувач з email '${email}' вже зареєстрований. Додайте його до організації через POST /organizations/${orgId}/members.`, 'email');
+                return;
+            }
+
+            const entry = { row: rowNumber, email, status: 'accepted', userId: uuidv4() };
+            report.push(entry);
+            acceptedRows.push({ entry, row });
+        });
+
+        const importId = uuidv4();
+        const now = new Date();
+        const expiresAt = Math.floor(now.getTime() / 1000) + IMPORT_TTL_DAYS * 24 * 60 * 60;
+        const rejectedRows = report.filter((entry) => entry.status === 'rejected');
+
+        // Запис про імпорт та його рядки створюємо до відправки повідомлень, щоб споживач SQS міг оновлювати прогрес
+        const importParams = {
+            TableName: IMPORTS_TABLE,
+            Item: {
+                importId,
+                orgId,
+                requestedBy: principal.userId,
+                format,
+                status: acceptedRows.length > 0 ? 'pending' : 'completed',
+                totalRows: rows.length,
+                acceptedCount: acceptedRows.length,
+                rejectedCount: rejectedRows.length,
+                succeededCount: 0,
+                failedCount: 0,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                expiresAt,
+            },
+        };
+        await dynamoDb.put(importParams).promise();
+        await saveImportRows(importId, report.map((entry) => ({ ...entry, createdAt: now.toISOString() })), expiresAt);
+
+        const messages = acceptedRows.map(({ entry, row }) => ({
+            operation: 'createUser',
+            requestedBy: principal.userId,
+            importId,
+            importRow: entry.row,
+            data: { orgId, userId: entry.userId, name: row.name, email: row.email, role: row.role, createdAt: now.toISOString(), updatedAt: now.toISOString() },
+        }));
+        const results = await enqueueOperations(messages);
+
+        results.forEach((result, i) => {
+            const { entry } = acceptedRows[i];
+            entry.operationId = result.operationId;
+            if (!result.enqueued) {
+                // Такий рядок вже зарахований в імпорті як невдалий
+                entry.status = 'failed';
+                entry.error = { code: 'ENQUEUE_FAILED', message: 'Не вдалося відправити повідомлення в чергу.', field: null };
+            }
+        });
+
+        logger.info(`Імпорт '${importId}': прийнято ${acceptedRows.length} з ${rows.length} рядків.`);
+        return buildResponse(202, {
+            message: 'Імпорт користувачів прийнято, обробляється асинхронно.',
+            importId,
+            totalRows: rows.length,
+            acceptedCount: acceptedRows.length,
+            rejectedCount: rejectedRows.length,
+            rows: report,
+        });
+
+    } catch (error) {
+        logger.error('Помилка при імпорті користувачів', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Відхилені при перевірці та невдалі при обробці рядки імпорту у форматі звіту
+const getImportRowResults = async (importId) => {
+    const rejectedRows = [];
+    const failures = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.query({
+            TableName: IMPORT_ROWS_TABLE,
+            KeyConditionExpression: 'importId = :importId',
+            FilterExpression: '#status IN (:rejected, :failed)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':importId': importId, ':rejected': 'rejected', ':failed': 'failed' },
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        for (const { row, email, status, error, operationId, userId, failureCode, failureReason } of result.Items || []) {
+            if (status === 'rejected') {
+                rejectedRows.push({ row, email, status, error });
+            } else {
+                failures.push({ row, operationId, userId, failureCode, failureReason });
+            }
+        }
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return { rejectedRows, failures };
+};
+
+// 16. Функція для отримання прогресу масового імпорту (GET /organizations/{orgId}/imports/{importId})
+module.exports.getImport = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.importPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, importId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const result = await dynamoDb.get({ TableName: IMPORTS_TABLE, Key: { importId: importId } }).promise();
+
+        if (!result.Item || result.Item.orgId !== orgId) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Імпорт з ID '${importId}' не знайдений в організації '${orgId}'.`, 'importId');
+        }
+
+        // Службові атрибути (TTL, очікування створення організації знімка) клієнту не потрібні
+        const { expiresAt, awaitingOrganization, ...importRecord } = result.Item;
+        const { rejectedRows, failures } = await getImportRowResults(importId);
+
+        logger.info('Імпорт успішно отриманий', { importId: importRecord.importId });
+        return buildResponse(200, { import: { ...importRecord, rejectedRows, failures } });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні імпорту', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 17. Функція для отримання журналу змін організації та її користувачів (GET /organizations/{orgId}/history)
+module.exports.getOrganizationHistory = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const { errorResponse, limit, exclusiveStartKey, order } = parseListParameters(event, ['orgId', 'entryId']);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        if (exclusiveStartKey && exclusiveStartKey.orgId !== orgId) {
+            return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+        }
+
+        // Журнал зберігається і після видалення організації, тому її існування не перевіряємо.
+        // За замовчуванням - від найновіших записів.
+        const params = {
+            TableName: AUDIT_LOG_TABLE,
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+            ScanIndexForward: order === 'asc',
+        };
+        const page = await fetchPage('query', params, limit, exclusiveStartKey);
+
+        logger.info(`Отримано ${page.items.length} записів журналу змін організації '${orgId}'.`);
+        return buildResponse(200, { history: page.items, nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні журналу змін організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 18. Функція для отримання журналу змін користувача (GET /organizations/{orgId}/users/{userId}/history)
+module.exports.getUserHistory = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.userPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { orgId, userId } = parameters;
+
+        // Власну історію може переглядати сам користувач, чужу - адміністратори організації
+        const requiredRole = principal.userId === userId ? 'member' : 'admin';
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, requiredRole);
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const { errorResponse, limit, exclusiveStartKey, order } = parseListParameters(event, ['orgId', 'entryId', 'userId']);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        if (exclusiveStartKey && (exclusiveStartKey.orgId !== orgId || exclusiveStartKey.userId !== userId)) {
+            return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+        }
+
+        const params = {
+            TableName: AUDIT_LOG_TABLE,
+            IndexName: 'UserId-index',
+            KeyConditionExpression: 'userId = :userId',
+            FilterExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':userId': userId, ':orgId': orgId },
+            ScanIndexForward: order === 'asc',
+        };
+        const page = await fetchPage('query', params, limit, exclusiveStartKey);
+
+        logger.info(`Отримано ${page.items.length} записів журналу змін користувача '${userId}'.`);
+        return buildResponse(200, { history: page.items, nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні журналу змін користувача', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Максимальна кількість вебхуків в одній організації
+const MAX_WEBHOOKS_PER_ORGANIZATION = 10;
+
+// Вебхук у форматі відповіді API. Секрет повертається лише при створенні.
+const formatWebhook = ({ secret, ...webhook }) => webhook;
+
+// 19. Функція для реєстрації вебхука організації (POST /organizations/{orgId}/webhooks)
+module.exports.createWebhook = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const { data, errorResponse } = parseRequestBody(event, schemas.webhookBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+
+        // http дозволено лише офлайн, щоб вебхуки можна було перевірити локальним HTTP-сервером
+        if (!webhooks.isAllowedUrl(data.url, Boolean(IS_OFFLINE))) {
+            return buildValidationErrorResponse({ field: 'url', message: IS_OFFLINE ? 'URL має починатися з http:// або https://.' : 'URL має починатися з https://.' });
+        }
+
+        // Вебхук не може вказувати на внутрішню мережу (SSRF). Офлайн дозволено localhost для тестового сервера.
+        // Остаточно адресу перевіряє deliverEvent при кожній доставці.
+        if (!IS_OFFLINE) {
+            let blockedAddress;
+            try {
+                blockedAddress = await webhooks.findBlockedAddress(data.url);
+            } catch (error) {
+                return buildValidationErrorResponse({ field: 'url', message: 'Не вдалося визначити адресу хоста URL.' });
+            }
+            if (blockedAddress) {
+                return buildValidationErrorResponse({ field: 'url', message: 'URL не може вказувати на приватну, loopback або link-local адресу.' });
+            }
+        }
+
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+
+        const countResult = await dynamoDb.query({
+            TableName: WEBHOOKS_TABLE,
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+            Select: 'COUNT',
+        }).promise();
+        if (countResult.Count >= MAX_WEBHOOKS_PER_ORGANIZATION) {
+            return buildErrorResponse(409, 'WEBHOOK_LIMIT_REACHED', `Організація може мати не більше ${MAX_WEBHOOKS_PER_ORGANIZATION} вебхуків.`);
+        }
+
+        const webhook = {
+            orgId,
+            webhookId: uuidv4(),
+            url: data.url,
+            events: data.events || ['*'],
+            ...(data.description && { description: data.description }),
+            secret: webhooks.generateSecret(),
+            createdBy: principal.userId,
+            createdAt: new Date().toISOString(),
+        };
+        await dynamoDb.put({ TableName: WEBHOOKS_TABLE, Item: webhook }).promise();
+
+        logger.info('Вебхук успішно створено', { webhook: formatWebhook(webhook) });
+        return buildResponse(201, {
+            message: 'Вебхук створено. Збережіть secret - він більше не буде показаний.',
+            webhook: { ...formatWebhook(webhook), secret: webhook.secret },
+        });
+
+    } catch (error) {
+        logger.error('Помилка при створенні вебхука', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 20. Функція для отримання вебхуків організації (GET /organizations/{orgId}/webhooks)
+module.exports.getWebhooks = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Кількість вебхуків обмежена MAX_WEBHOOKS_PER_ORGANIZATION, тому пагінація не потрібна
+        const result = await dynamoDb.query({
+            TableName: WEBHOOKS_TABLE,
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+        }).promise();
+
+        return buildResponse(200, { webhooks: (result.Items || []).map(formatWebhook) });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні вебхуків', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 21. Функція для видалення вебхука (DELETE /organizations/{orgId}/webhooks/{webhookId})
+module.exports.deleteWebhook = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.webhookPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, webhookId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Журнал доставок залишається до закінчення TTL, а доставки, що ще очікують, буде позначено як 'failed'
+        try {
+            await dynamoDb.delete({
+                TableName: WEBHOOKS_TABLE,
+                Key: { orgId, webhookId },
+                ConditionExpression: 'attribute_exists(webhookId)',
+            }).promise();
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                return buildErrorResponse(404, 'NOT_FOUND', `Вебхук з ID '${webhookId}' не знайдений.`, 'webhookId');
+            }
+            throw error;
+        }
+
+        logger.info(`Вебхук '${webhookId}' видалено.`);
+        return buildResponse(200, { message: 'Вебхук видалено.', webhookId });
+
+    } catch (error) {
+        logger.error('Помилка при видаленні вебхука', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 22. Функція для перегляду журналу доставок вебхука (GET /organizations/{orgId}/webhooks/{webhookId}/deliveries)
+module.exports.getWebhookDeliveries = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.webhookPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { orgId, webhookId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const { errorResponse, limit, exclusiveStartKey, order } = parseListParameters(event, ['webhookId', 'deliveryId']);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        if (exclusiveStartKey && exclusiveStartKey.webhookId !== webhookId) {
+            return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+        }
+
+        // Журнал доступний і після видалення вебхука. Фільтр за orgId не дає читати доставки інших організацій.
+        const params = {
+            TableName: WEBHOOK_DELIVERIES_TABLE,
+            KeyConditionExpression: 'webhookId = :webhookId',
+            FilterExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':webhookId': webhookId, ':orgId': orgId },
+            ScanIndexForward: order === 'asc',
+        };
+        const page = await fetchPage('query', params, limit, exclusiveStartKey);
+
+        const deliveries = page.items.map(({ expiresAt, ...delivery }) => delivery);
+        return buildResponse(200, { deliveries, nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні журналу доставок вебхука', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 23. Функція для відправки тестової події на вебхук (POST /organizations/{orgId}/webhooks/{webhookId}/test)
+module.exports.testWebhook = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.webhookPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, webhookId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const result = await dynamoDb.get({ TableName: WEBHOOKS_TABLE, Key: { orgId, webhookId } }).promise();
+        if (!result.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Вебхук з ID '${webhookId}' не знайдений.`, 'webhookId');
+        }
+
+        // Тестова подія проходить той самий шлях, що й справжні: черга, підпис, повтори та журнал доставок
+        const testEvent = {
+            id: uuidv4(),
+            type: 'webhook.test',
+            occurredAt: new Date().toISOString(),
+            data: { orgId, webhookId, actor: principal.userId },
+        };
+        const deliveryId = await enqueueWebhookDelivery(result.Item, testEvent);
+
+        return buildResponse(202, { message: 'Тестову подію відправлено, доставка виконується асинхронно.', deliveryId });
+
+    } catch (error) {
+        logger.error('Помилка при відправці тестової події на вебхук', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Затримка перед наступною спробою доставки: 30 с, 1 хв, 2 хв... але не більше 15 хв (максимум DelaySeconds у SQS)
+const getWebhookRetryDelaySeconds = (attempt) => Math.min(30 * 2 ** (attempt - 1), 900);
+
+// 24. Функція для доставки подій на вебхуки (споживач WebhookDeliveryQueue)
+// Невдала спроба не повертає повідомлення в чергу: наступна спроба відправляється окремим повідомленням
+// з DelaySeconds, щоб затримка зростала експоненційно. batchItemFailures - лише для збоїв самого сервісу.
+module.exports.deliverWebhooks = async (event) => {
+    const batchItemFailures = [];
+
+    for (const record of event.Records) {
+        updateContext({ correlationId: getRecordCorrelationId(record), messageId: record.messageId });
+        try {
+            let message;
+            try {
+                message = JSON.parse(record.body);
+            } catch (parseError) {
+                logger.warn(`Повідомлення '${record.messageId}' не є коректним JSON. Пропускаємо.`);
+                continue;
+            }
+            const { webhookId, deliveryId, attempt } = message;
+
+            const delivery = await getItemConsistently(WEBHOOK_DELIVERIES_TABLE, { webhookId, deliveryId });
+            if (!delivery || delivery.status !== 'pending') {
+                logger.warn(`Доставка '${deliveryId}' відсутня або вже завершена. Пропускаємо.`);
+                continue;
+            }
+
+            const webhook = await getItemConsistently(WEBHOOKS_TABLE, { orgId: delivery.orgId, webhookId });
+            if (!webhook) {
+                await updateWebhookDelivery(webhookId, deliveryId, { status: 'failed', lastError: 'Вебхук видалено.' });
+                continue;
+            }
+
+            const attemptedAt = new Date().toISOString();
+            const result = await webhooks.deliverEvent(webhook.url, webhook.secret, delivery.event, { allowPrivate: Boolean(IS_OFFLINE) });
+            const attemptRecord = { attempt, attemptedAt, statusCode: result.statusCode, error: result.error, durationMs: result.durationMs };
+
+            if (result.ok) {
+                await updateWebhookDelivery(webhookId, deliveryId, { status: 'succeeded', attempt: attemptRecord });
+                logger.info(`Подію '${delivery.event.id}' доставлено на вебхук '${webhookId}'.`);
+                continue;
+            }
+
+            // Доставку на внутрішню адресу не повторюємо
+            if (result.blocked || attempt >= WEBHOOK_MAX_ATTEMPTS) {
+                await updateWebhookDelivery(webhookId, deliveryId, { status: 'failed', attempt: attemptRecord, lastError: result.error });
+                logger.warn(`Доставку '${deliveryId}' припинено після ${attempt} спроб: ${result.error}`);
+                continue;
+            }
+
+            const delaySeconds = getWebhookRetryDelaySeconds(attempt);
+            await sqs.sendMessage(withCorrelationId({
+                QueueUrl: WEBHOOK_QUEUE_URL,
+                MessageBody: JSON.stringify({ webhookId, deliveryId, attempt: attempt + 1 }),
+                DelaySeconds: delaySeconds,
+            })).promise();
+            await updateWebhookDelivery(webhookId, deliveryId, {
+                status: 'pending',
+                attempt: attemptRecord,
+                lastError: result.error,
+                nextAttemptAt: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+            });
+            logger.warn(`Спроба ${attempt} доставки '${deliveryId}' невдала, наступна через ${delaySeconds} с: ${result.error}`);
+        } catch (error) {
+            logger.error('Помилка при доставці події на вебхук', { messageId: record.messageId, error });
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+
+    return { batchItemFailures };
+};
+
+// Профілі користувачів з цим email через Email-index (атрибут email зберігається нормалізованим).
+// Email унікальний глобально, тож профіль один; кілька записів бувають лише в старих записах з orgId
+// до завершення migrateUsersToMemberships.
+const getUsersByEmail = async (email) => {
+    const users = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.query({
+            TableName: USERS_TABLE,
+            IndexName: 'Email-index',
+            KeyConditionExpression: 'email = :email',
+            ExpressionAttributeValues: { ':email': normalizeUniqueValue(email) },
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        users.push(...(result.Items || []));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return users;
+};
+
+// 25. Функція для пошуку користувачів (GET /users/search?email=...|namePrefix=...&orgId=...)
+// Пошук за email нечутливий до регістру і працює як по всіх організаціях, так і в межах однієї.
+// Пошук за префіксом імені (теж без урахування регістру) можливий лише в межах організації.
+// В межах організації до профілю додаються роль та дата приєднання з членства.
+module.exports.searchUsers = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const queryParameters = event.queryStringParameters || {};
+        const validationError = validate(schemas.userSearchQuery, queryParameters);
+        if (validationError) {
+            return buildValidationErrorResponse(validationError);
+        }
+        const { email, namePrefix, orgId } = queryParameters;
+        if (email && namePrefix) {
+            return buildValidationErrorResponse({ field: 'namePrefix', message: 'Пошук можливий або за email, або за namePrefix.' });
+        }
+        if (namePrefix && !orgId) {
+            return buildValidationErrorResponse({ field: 'orgId', message: 'Для пошуку за namePrefix потрібно передати orgId.' });
+        }
+
+        if (orgId) {
+            const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'member');
+            if (forbiddenResponse) {
+                return forbiddenResponse;
+            }
+        }
+
+        const keyAttributes = email ? ['userId'] : ['userId', 'orgId', 'nameSearch'];
+        const { errorResponse, limit, exclusiveStartKey } = parseListParameters(event, keyAttributes);
+        if (errorResponse) {
+            return errorResponse;
+        }
+
+        let page;
+        if (email) {
+            // Записів з одним email небагато, тому фільтруємо і розбиваємо на сторінки в пам'яті.
+            // Без orgId звичайний користувач бачить лише користувачів своїх організацій.
+            let users = await getUsersByEmail(email);
+            if (orgId) {
+                const members = [];
+                for (const user of users) {
+                    const membership = await getMembership(user.userId, orgId);
+                    if (membership) {
+                        members.push({ ...user, orgId, role: membership.role, joinedAt: membership.joinedAt });
+                    }
+                }
+                users = members;
+            } else if (!principal.isPlatformAdmin) {
+                const memberOrgIds = new Set(await getMemberOrganizationIds(principal.userId));
+                const visibleUsers = [];
+                for (const user of users) {
+                    if ((await getMemberOrganizationIds(user.userId)).some((memberOrgId) => memberOrgIds.has(memberOrgId))) {
+                        visibleUsers.push(user);
+                    }
+                }
+                users = visibleUsers;
+            }
+            page = paginateInMemory(users, keyAttributes, limit, exclusiveStartKey);
+        } else {
+            // Курсор від пошуку в іншій організації DynamoDB відхилить з ValidationException
+            if (exclusiveStartKey && exclusiveStartKey.orgId !== orgId) {
+                return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+            }
+            // nameSearch копіюється в членства, тож шукаємо в OrgIdNameSearch-index таблиці Memberships
+            const params = {
+                TableName: MEMBERSHIPS_TABLE,
+                IndexName: 'OrgIdNameSearch-index',
+                KeyConditionExpression: 'orgId = :orgId AND begins_with(nameSearch, :namePrefix)',
+                ExpressionAttributeValues: {
+                    ':orgId': orgId,
+                    ':namePrefix': normalizeUniqueValue(namePrefix),
+                },
+            };
+            const membershipsPage = await fetchPage('query', params, limit, exclusiveStartKey);
+            page = { items: await resolveMemberUsers(membershipsPage.items), nextToken: membershipsPage.nextToken };
+        }
+
+        logger.info(`Знайдено ${page.items.length} користувачів.`);
+        return buildResponse(200, { users: page.items, nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при пошуку користувачів', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 26. Функція для заповнення атрибутів пошуку в записах, створених до появи пошуку (запускається вручну:
+// serverless invoke -f backfillUserSearchAttributes). Нормалізує email та додає nameSearch, щоб користувач
+// потрапив в Email-index. У членства nameSearch копіює migrateUsersToMemberships. Повторний запуск безпечний.
+module.exports.backfillUserSearchAttributes = async () => {
+    let updatedCount = 0;
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.scan({
+            TableName: USERS_TABLE,
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        for (const user of result.Items || []) {
+            const { email, nameSearch } = normalizeUserData(user);
+            if (email === user.email && nameSearch === user.nameSearch) {
+                continue;
+            }
+            try {
+                // Умова захищає від перезапису, якщо користувача змінили або видалили під час заповнення
+                await dynamoDb.update({
+                    TableName: USERS_TABLE,
+                    Key: { userId: user.userId },
+                    UpdateExpression: 'SET email = :email, nameSearch = :nameSearch',
+                    ConditionExpression: '#name = :name AND email = :currentEmail',
+                    ExpressionAttributeNames: { '#name': 'name' },
+                    ExpressionAttributeValues: {
+                        ':email': email,
+                        ':nameSearch': nameSearch,
+                        ':name': user.name,
+                        ':currentEmail': user.email,
+                    },
+                }).promise();
+                updatedCount++;
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                logger.warn(`Користувача '${user.userId}' змінено під час заповнення. Пропускаємо.`);
+            }
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info(`Оновлено ${updatedCount} користувачів.`);
+    return { updatedCount };
+};
+
+// Спільна частина архівації та відновлення організації: перевірки та відправка операції в SQS.
+// Керувати архівацією, як і видаленням, може лише власник організації.
+const changeOrganizationArchiveState = (operation) => async (event) => {
+    const isArchive = operation === 'archiveOrganization';
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'owner');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Перевіряємо стан організації (синхронно, перед відправкою в SQS)
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+        if (isArchive && orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'ALREADY_ARCHIVED', `Організація з ID '${orgId}' вже архівована.`, 'orgId');
+        }
+        if (!isArchive && !orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'NOT_ARCHIVED', `Організація з ID '${orgId}' не архівована.`, 'orgId');
+        }
+
+        const message = {
+            operation,
+            requestedBy: principal.userId,
+            data: { orgId, updatedAt: new Date().toISOString() }
+        };
+
+        // Реєструємо операцію та відправляємо повідомлення в SQS
+        const operationId = await enqueueOperation(message);
+
+        logger.info(`Повідомлення про ${isArchive ? 'архівацію' : 'відновлення'} організації відправлено в SQS`, { sqsMessage: message });
+        return buildResponse(202, {
+            message: `Запит на ${isArchive ? 'архівацію' : 'відновлення'} організації прийнято, обробляється асинхронно.`,
+            orgId,
+            operationId,
+        });
+
+    } catch (error) {
+        logger.error(`Помилка при ${isArchive ? 'архівації' : 'відновленні'} організації`, { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 27. Функція для архівації організації (POST /organizations/{orgId}/archive)
+// Архівована організація прихована зі списку організацій, до неї не можна додавати користувачів,
+// а через ARCHIVED_ORGANIZATION_RETENTION_DAYS днів її буде видалено остаточно.
+module.exports.archiveOrganization = changeOrganizationArchiveState('archiveOrganization');
+
+// 28. Функція для відновлення архівованої організації (POST /organizations/{orgId}/restore)
+module.exports.restoreOrganization = changeOrganizationArchiveState('restoreOrganization');
+
+// 29. Функція для остаточного видалення архівованих організацій (запускається за розкладом)
+// Для кожної організації, архівованої понад ARCHIVED_ORGANIZATION_RETENTION_DAYS днів тому, в SQS відправляється
+// звичайна операція deleteOrganization з archivedAt: споживач пропустить її, якщо організацію вже відновили.
+module.exports.purgeArchivedOrganizations = async () => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - ARCHIVED_ORGANIZATION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const messages = [];
+    let lastEvaluatedKey;
+
+    // Scan виконується раз на добу і читає лише ключ та archivedAt
+    do {
+        const result = await dynamoDb.scan({
+            TableName: ORGANIZATIONS_TABLE,
+            FilterExpression: 'archivedAt <= :cutoff',
+            ExpressionAttributeValues: { ':cutoff': cutoff },
+            ProjectionExpression: 'orgId, archivedAt',
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        for (const organization of result.Items || []) {
+            messages.push({
+                operation: 'deleteOrganization',
+                data: { orgId: organization.orgId, archivedAt: organization.archivedAt, requestedAt: now.toISOString() },
+            });
+        }
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const results = messages.length > 0 ? await enqueueOperations(messages) : [];
+    const enqueuedCount = results.filter((result) => result.enqueued).length;
+
+    logger.info(`Відправлено на остаточне видалення ${enqueuedCount} з ${messages.length} архівованих організацій.`);
+    return { enqueuedCount, failedCount: messages.length - enqueuedCount };
+};
+
+// Версія формату знімка організації. Імпорт приймає знімки лише цієї версії.
+const SNAPSHOT_VERSION = 1;
+
+// Колонки CSV-знімка: перший рядок - організація (recordType=organization), решта - її користувачі
+const SNAPSHOT_CSV_COLUMNS = ['recordType', 'orgId', 'userId', 'name', 'description', 'email', 'role', 'createdAt', 'updatedAt'];
+
+// Усі членства організації (посторінково через OrgId-index таблиці Memberships)
+const getOrganizationMembers = async (orgId) => {
+    const memberships = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.query({
+            TableName: MEMBERSHIPS_TABLE,
+            IndexName: 'OrgId-index',
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        memberships.push(...(result.Items || []));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return memberships;
+};
+
+// Межа тіла відповіді експорту. Відповідь Lambda обмежена 6 МБ разом із заголовками та обгорткою,
+// тому залишаємо запас.
+const MAX_EXPORT_RESPONSE_BYTES = 5.5 * 1024 * 1024;
+
+// 30. Функція для експорту організації разом з усіма користувачами (GET /organizations/{orgId}/export?format=json|csv)
+// Без limit та nextToken знімок повертається цілком; якщо він не вміщується у відповідь Lambda, повертається 413.
+// З limit або nextToken повертається одна сторінка користувачів і nextToken наступної: у JSON - полем тіла,
+// у CSV - заголовком X-Next-Token. Рядок організації в CSV є лише на першій сторінці, тож сторінки
+// (без повторних заголовків колонок) складаються у звичайний знімок.
+module.exports.exportOrganization = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const format = (event.queryStringParameters || {}).format || 'json';
+        if (format !== 'json' && format !== 'csv') {
+            return buildValidationErrorResponse({ field: 'format', message: 'format може мати значення \'json\' або \'csv\'.' });
+        }
+
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+
+        const { name, description, createdAt, updatedAt, archivedAt } = orgResult.Item;
+        const organization = { orgId, name, description, createdAt, updatedAt, ...(archivedAt && { archivedAt }) };
+
+        const queryParameters = event.queryStringParameters || {};
+        const isPaged = queryParameters.limit !== undefined || queryParameters.nextToken !== undefined;
+        let memberships;
+        let nextToken = null;
+        if (isPaged) {
+            const listParameters = parseListParameters(event, ['userId', 'orgId']);
+            if (listParameters.errorResponse) {
+                return listParameters.errorResponse;
+            }
+            ({ items: memberships, nextToken } = await fetchPage('query', {
+                TableName: MEMBERSHIPS_TABLE,
+                IndexName: 'OrgId-index',
+                KeyConditionExpression: 'orgId = :orgId',
+                ExpressionAttributeValues: { ':orgId': orgId },
+            }, listParameters.limit, listParameters.exclusiveStartKey));
+        } else {
+            memberships = await getOrganizationMembers(orgId);
+        }
+
+        const users = (await resolveMemberUsers(memberships)).map((user) => ({
+            userId: user.userId,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt,
+        }));
+
+        logger.info(`Експорт організації '${orgId}': ${users.length} користувачів, формат ${format}${isPaged ? ', сторінка' : ''}.`);
+        const contentDisposition = `attachment; filename="organization-${orgId}.${format}"`;
+
+        let response;
+        if (format === 'csv') {
+            const records = [
+                ...(queryParameters.nextToken ? [] : [{ recordType: 'organization', ...organization }]),
+                ...users.map((user) => ({ recordType: 'user', orgId, ...user })),
+            ];
+            response = {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': contentDisposition,
+                    ...(nextToken && { 'X-Next-Token': nextToken }),
+                },
+                body: formatCsv(SNAPSHOT_CSV_COLUMNS, records),
+            };
+        } else {
+            response = buildResponse(200, {
+                snapshotVersion: SNAPSHOT_VERSION,
+                exportedAt: new Date().toISOString(),
+                organization,
+                users,
+                ...(isPaged && { nextToken }),
+            }, { 'Content-Disposition': contentDisposition });
+        }
+
+        if (Buffer.byteLength(response.body) > MAX_EXPORT_RESPONSE_BYTES) {
+            logger.warn(`Знімок організації '${orgId}' перевищує ліміт відповіді (${users.length} користувачів).`);
+            return buildErrorResponse(413, 'EXPORT_TOO_LARGE',
+                'Знімок організації перевищує ліміт розміру відповіді. Експортуйте його посторінково через параметри limit та nextToken.',
+                isPaged ? 'limit' : null);
+        }
+
+        return response;
+    } catch (error) {
+        logger.error('Помилка при експорті організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Перетворює рядки CSV-знімка на { organization, users }. parseCsv повертає назви колонок у нижньому регістрі.
+// Повертає { errorResponse }, якщо структура знімка некоректна.
+const parseCsvSnapshot = (records) => {
+    const organizations = [];
+    const users = [];
+
+    for (const [index, csvRecord] of records.entries()) {
+        const record = Object.fromEntries(Object.entries(csvRecord).map(([column, value]) => [column, restoreFormulaValue(value)]));
+        if (record.recordtype === 'organization') {
+            organizations.push({ orgId: record.orgid, name: record.name, description: record.description, createdAt: record.createdat });
+        } else if (record.recordtype === 'user') {
+            users.push({ userId: record.userid, name: record.name, email: record.email, role: record.role, createdAt: record.createdat });
+        } else {
+            return { errorResponse: buildValidationErrorResponse({ field: 'recordType', message: `Рядок ${index + 1}: recordType має бути 'organization' або 'user'.` }) };
+        }
+    }
+
+    if (organizations.length !== 1) {
+        return { errorResponse: buildValidationErrorResponse({ field: 'recordType', message: 'Знімок має містити рівно один рядок з recordType=organization.' }) };
+    }
+    return { snapshot: { organization: organizations[0], users } };
+};
+
+// 31. Функція для імпорту знімка організації, наприклад з іншого stage (POST /organizations/import?name=...)
+// Приймає результат exportOrganization (JSON або CSV). Організація та користувачі отримують нові ідентифікатори,
+// відповідність старих новим повертається в idMap. Викликач стає власником нової організації, тому власник
+// зі знімка імпортується як admin. Рядки з уже зареєстрованим email відхиляються (EMAIL_TAKEN): знімок не може
+// додати чужий профіль до організації, а відповідь не розкриває його userId.
+// Створення виконує споживач SQS; прогрес - GET /organizations/{orgId}/imports/{importId}.
+module.exports.importOrganization = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const queryParameters = event.queryStringParameters || {};
+        const queryValidationError = validate(schemas.organizationImportQuery, queryParameters);
+        if (queryValidationError) {
+            return buildValidationErrorResponse(queryValidationError);
+        }
+
+        if (!event.body) {
+            return buildErrorResponse(400, 'MISSING_BODY', 'Тіло запиту є обов\'язковим.');
+        }
+
+        const contentType = (getHeader(event, 'Content-Type') || '').toLowerCase();
+        const format = contentType.startsWith('text/csv') ? 'csv' : 'json';
+
+        let snapshot;
+        try {
+            if (format === 'csv') {
+                const { snapshot: csvSnapshot, errorResponse } = parseCsvSnapshot(parseCsv(decodeRequestBody(event)));
+                if (errorResponse) {
+                    return errorResponse;
+                }
+                snapshot = csvSnapshot;
+            } else {
+                snapshot = JSON.parse(decodeRequestBody(event));
+            }
+        } catch (error) {
+            return format === 'csv'
+                ? buildErrorResponse(400, 'INVALID_CSV', `Тіло запиту не є коректним CSV: ${error.message}`)
+                : buildErrorResponse(400, 'INVALID_JSON', 'Тіло запиту не є коректним JSON.');
+        }
+
+        if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.users)) {
+            return buildValidationErrorResponse({ field: null, message: 'Очікується знімок організації { organization, users }.' });
+        }
+        if (format === 'json' && snapshot.snapshotVersion !== SNAPSHOT_VERSION) {
+            return buildValidationErrorResponse({ field: 'snapshotVersion', message: `Підтримується лише знімок версії ${SNAPSHOT_VERSION}.` });
+        }
+        const organizationValidationError = validate(schemas.snapshotOrganization, snapshot.organization);
+        if (organizationValidationError) {
+            const field = organizationValidationError.field ? `organization.${organizationValidationError.field}` : 'organization';
+            return buildValidationErrorResponse({ field, message: organizationValidationError.message });
+        }
+        if (snapshot.users.length > MAX_IMPORT_ROWS) {
+            return buildValidationErrorResponse({ field: 'users', message: `Знімок може містити не більше ${MAX_IMPORT_ROWS} користувачів.` });
+        }
+
+        // Назву можна змінити параметром name, якщо назва зі знімка вже зайнята в цьому stage
+        const sourceOrganization = snapshot.organization;
+        const name = queryParameters.name || sourceOrganization.name;
+        if (await getUniqueValueOwner(orgNameUniqueKey(name))) {
+            return buildErrorResponse(409, 'NAME_TAKEN', `Організація з назвою '${name}' вже існує. Передайте іншу назву в параметрі name.`, 'name');
+        }
+
+        const orgId = uuidv4();
+        const importId = uuidv4();
+        const now = new Date();
+        const idMap = sourceOrganization.orgId ? { [sourceOrganization.orgId]: orgId } : {};
+
+        const report = [];
+        const pendingUsers = [];
+        const rowsByEmail = new Map();
+        const rowsByUserId = new Map();
+        const emailOwners = await getEmailOwners(snapshot.users
+            .filter((user) => user && typeof user.email === 'string' && user.email.trim())
+            .map((user) => user.email));
+
+        snapshot.users.forEach((user, index) => {
+            const rowNumber = index + 1;
+            const email = user && typeof user.email === 'string' ? user.email : null;
+            const sourceUserId = user && typeof user.userId === 'string' ? user.userId : null;
+            const reject = (code, message, field) => {
+                report.push({ row: rowNumber, sourceUserId, email, status: 'rejected', error: { code, message, field } });
+            };
+
+            const validationError = validate(schemas.snapshotUser, user);
+            if (validationError) {
+                reject('VALIDATION_ERROR', validationError.message, validationError.field);
+                return;
+            }
+            if (sourceUserId && rowsByUserId.has(sourceUserId)) {
+                reject('DUPLICATE_USER_ID', `userId '${sourceUserId}' вже зустрічається в рядку ${rowsByUserId.get(sourceUserId)}.`, 'userId');
+                return;
+            }
+            const normalizedEmail = normalizeUniqueValue(email);
+            if (rowsByEmail.has(normalizedEmail)) {
+                reject('DUPLICATE_IN_FILE', `Email '${email}' вже зустрічається в рядку ${rowsByEmail.get(normalizedEmail)}.`, 'email');
+                return;
+            }
+            rowsByEmail.set(normalizedEmail, rowNumber);
+            if (sourceUserId) {
+                rowsByUserId.set(sourceUserId, rowNumber);
+            }
+
+            // Зареєстрованого користувача не додаємо до організації без його згоди і не розкриваємо його userId
+            if (emailOwners.has(normalizedEmail)) {
+                reject('EMAIL_TAKEN', `Користувач з email '${email}' вже зареєстрований. Додайте його до організації через POST /organizations/${orgId}/members.`, 'email');
+                return;
+            }
+
+            const userId = uuidv4();
+            if (sourceUserId) {
+                idMap[sourceUserId] = userId;
+            }
+            const entry = { row: rowNumber, sourceUserId, userId, email, status: 'accepted' };
+            report.push(entry);
+            pendingUsers.push({
+                entry,
+                data: {
+                    orgId,
+                    userId,
+                    name: user.name,
+                    email,
+                    role: user.role === 'owner' ? 'admin' : user.role || 'member',
+                    createdAt: user.createdAt || now.toISOString(),
+                    updatedAt: now.toISOString(),
+                },
+            });
+        });
+
+        const rejectedRows = report.filter((entry) => entry.status === 'rejected');
+        const expiresAt = Math.floor(now.getTime() / 1000) + IMPORT_TTL_DAYS * 24 * 60 * 60;
+
+        // Запис про імпорт та його рядки створюємо до відправки повідомлення: споживач візьме з рядків користувачів
+        await dynamoDb.put({
+            TableName: IMPORTS_TABLE,
+            Item: {
+                importId,
+                orgId,
+                sourceOrgId: sourceOrganization.orgId || null,
+                requestedBy: principal.userId,
+                format,
+                status: 'pending',
+                totalRows: snapshot.users.length,
+                acceptedCount: pendingUsers.length,
+                rejectedCount: rejectedRows.length,
+                succeededCount: 0,
+                failedCount: 0,
+                awaitingOrganization: true,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                expiresAt,
+            },
+        }).promise();
+        await saveImportRows(importId, [
+            ...rejectedRows,
+            ...pendingUsers.map(({ entry, data }) => ({ ...entry, data })),
+        ].map((row) => ({ ...row, createdAt: now.toISOString() })), expiresAt);
+
+        const operationId = await enqueueOperation({
+            operation: 'createOrganization',
+            requestedBy: principal.userId,
+            data: {
+                orgId,
+                name,
+                description: sourceOrganization.description,
+                ownerId: principal.userId,
+                importId,
+                createdAt: sourceOrganization.createdAt || now.toISOString(),
+                updatedAt: now.toISOString(),
+            },
+        });
+
+        logger.info(`Імпорт знімка '${importId}': організація '${orgId}', прийнято ${pendingUsers.length} з ${snapshot.users.length} користувачів.`);
+        return buildResponse(202, {
+            message: 'Імпорт організації прийнято, обробляється асинхронно.',
+            importId,
+            orgId,
+            operationId,
+            idMap,
+            totalRows: snapshot.users.length,
+            acceptedCount: pendingUsers.length,
+            rejectedCount: rejectedRows.length,
+            rows: report,
+        });
+
+    } catch (error) {
+        logger.error('Помилка при імпорті організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 32. Функція для отримання членств організації (GET /organizations/{orgId}/members)
+module.exports.getMemberships = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'member');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+
+        const { errorResponse, limit, exclusiveStartKey } = parseListParameters(event, ['userId', 'orgId']);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        if (exclusiveStartKey && exclusiveStartKey.orgId !== orgId) {
+            return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+        }
+
+        const params = {
+            TableName: MEMBERSHIPS_TABLE,
+            IndexName: 'OrgId-index',
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+        };
+        const page = await fetchPage('query', params, limit, exclusiveStartKey);
+        // nameSearch - службова копія імені для пошуку
+        const members = page.items.map(({ nameSearch, ...membership }) => membership);
+
+        logger.info(`Отримано ${members.length} членств організації '${orgId}'.`);
+        return buildResponse(200, { members, nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні членств організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 33. Функція для додавання існуючого користувача до організації (POST /organizations/{orgId}/members)
+// Профіль користувача спільний для всіх організацій, тож у новій організації він лише отримує роль.
+module.exports.addMembership = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { data, errorResponse } = parseRequestBody(event, schemas.membershipBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+        const { userId, role = 'member' } = data;
+
+        // Як і в createOrUpdateUser: додавати учасників можуть адміністратори, призначати роль admin - лише власник
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, role === 'admin' ? 'owner' : 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+        if (orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'ORGANIZATION_ARCHIVED', `Організація з ID '${orgId}' архівована. Відновіть її, щоб керувати користувачами.`, 'orgId');
+        }
+
+        const userResult = await dynamoDb.get({ TableName: USERS_TABLE, Key: { userId: userId } }).promise();
+        if (!userResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Користувач з ID '${userId}' не знайдений.`, 'userId');
+        }
+
+        // Швидкі перевірки. Остаточно їх виконує споживач SQS.
+        const memberships = await getMembershipsForUser(userId);
+        if (memberships.some((membership) => membership.orgId === orgId)) {
+            return buildErrorResponse(409, 'ALREADY_MEMBER', `Користувач '${userId}' вже є учасником організації '${orgId}'.`, 'userId');
+        }
+        if (memberships.length >= MAX_MEMBERSHIPS_PER_USER) {
+            return buildErrorResponse(409, 'MEMBERSHIP_LIMIT', `Користувач може бути учасником не більше ${MAX_MEMBERSHIPS_PER_USER} організацій.`, 'userId');
+        }
+
+        const message = {
+            operation: 'addMembership',
+            requestedBy: principal.userId,
+            data: { orgId, userId, role, requestedAt: new Date().toISOString() },
+        };
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про додавання учасника відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: 'Запит на додавання користувача до організації прийнято, обробляється асинхронно.', userId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при додаванні користувача до організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 34. Функція для видалення користувача з організації (DELETE /organizations/{orgId}/members/{userId})
+// На відміну від DELETE /organizations/{orgId}/users/{userId}, профіль залишається навіть без жодного членства.
+module.exports.removeMembership = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.userPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, userId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        // Адміністраторів видаляє лише власник, а самого власника видалити не можна
+        const targetMembership = await getMembership(userId, orgId);
+        if (!targetMembership) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Користувач з ID '${userId}' не є учасником організації '${orgId}'.`, 'userId');
+        }
+        if (targetMembership.role === 'owner') {
+            return buildErrorResponse(403, 'FORBIDDEN', 'Власника організації не можна видалити.', 'userId');
+        }
+        if (targetMembership.role === 'admin') {
+            const ownerForbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'owner');
+            if (ownerForbiddenResponse) {
+                return ownerForbiddenResponse;
+            }
+        }
+
+        const message = {
+            operation: 'removeMembership',
+            requestedBy: principal.userId,
+            data: { orgId, userId, requestedAt: new Date().toISOString() },
+        };
+        const operationId = await enqueueOperation(message);
+
+        logger.info('Повідомлення про видалення учасника відправлено в SQS', { sqsMessage: message });
+        return buildResponse(202, { message: 'Запит на видалення користувача з організації прийнято, обробляється асинхронно.', userId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при видаленні користувача з організації', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 35. Функція для отримання організацій користувача (GET /users/{userId}/organizations)
+// Список своїх організацій бачить сам користувач, будь-чий - адміністратор платформи.
+module.exports.getUserOrganizations = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.userOrganizationsPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { userId } = parameters;
+
+        if (!principal.isPlatformAdmin && principal.userId !== userId) {
+            return buildErrorResponse(403, 'FORBIDDEN', 'Недостатньо прав: можна переглядати лише власні організації.', 'userId');
+        }
+        await ensureUserMigrated(userId);
+
+        const { errorResponse, limit, exclusiveStartKey } = parseListParameters(event, ['orgId']);
+        if (errorResponse) {
+            return errorResponse;
+        }
+
+        // Кількість членств одного користувача обмежена MAX_MEMBERSHIPS_PER_USER, тож сторінки будуються в пам'яті
+        const memberships = new Map((await getMembershipsForUser(userId)).map((membership) => [membership.orgId, membership]));
+        const organizations = (await batchGetWithRetry(ORGANIZATIONS_TABLE, [...memberships.keys()].map((orgId) => ({ orgId }))))
+            .map(({ entityType, ...organization }) => ({
+                ...organization,
+                role: memberships.get(organization.orgId).role,
+                joinedAt: memberships.get(organization.orgId).joinedAt,
+            }));
+        const page = paginateInMemory(organizations, ['orgId'], limit, exclusiveStartKey);
+
+        logger.info(`Отримано ${page.items.length} організацій користувача '${userId}'.`);
+        return buildResponse(200, { organizations: page.items, nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні організацій користувача', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Переносить один запис Users з атрибутом orgId у глобальний профіль з членством (див. migrateUsersToMemberships).
+// Повертає 'migrated', 'merged' (запис злито з профілем, що вже володіє email) або 'skipped'.
+const migrateLegacyUser = async (user) => {
+    const { email, nameSearch } = normalizeUserData(user);
+    const membership = await getItemConsistently(MEMBERSHIPS_TABLE, { userId: user.userId, orgId: user.orgId });
+    const emailOwnerId = await getUniqueValueOwner(userEmailUniqueKey(email));
+    // Умова захищає від перезапису, якщо користувача змінили або видалили під час міграції
+    const legacyCondition = {
+        ConditionExpression: 'orgId = :orgId AND email = :currentEmail',
+        ExpressionAttributeValues: { ':orgId': user.orgId, ':currentEmail': user.email },
+    };
+
+    const isMerge = Boolean(emailOwnerId) && emailOwnerId !== user.userId;
+    let transactItems;
+    if (!isMerge) {
+        transactItems = [
+            {
+                Update: {
+                    TableName: USERS_TABLE,
+                    Key: { userId: user.userId },
+                    UpdateExpression: 'SET email = :email, nameSearch = :nameSearch REMOVE orgId',
+                    ...legacyCondition,
+                    ExpressionAttributeValues: { ...legacyCondition.ExpressionAttributeValues, ':email': email, ':nameSearch': nameSearch },
+                },
+            },
+            claimUniqueValue(userEmailUniqueKey(email), user.userId),
+            releaseUniqueValue(legacyUserEmailUniqueKey(user.orgId, user.email), user.userId),
+            // Користувачі, створені до появи ролей, не мають членства
+            {
+                Update: {
+                    TableName: MEMBERSHIPS_TABLE,
+                    Key: { userId: user.userId, orgId: user.orgId },
+                    UpdateExpression: 'SET #role = if_not_exists(#role, :member), joinedAt = if_not_exists(joinedAt, :joinedAt), nameSearch = :nameSearch',
+                    ExpressionAttributeNames: { '#role': 'role' },
+                    ExpressionAttributeValues: { ':member': 'member', ':joinedAt': user.createdAt, ':nameSearch': nameSearch },
+                },
+            },
+        ];
+    } else {
+        const canonicalUser = await getItemConsistently(USERS_TABLE, { userId: emailOwnerId });
+        transactItems = [
+            { Delete: { TableName: USERS_TABLE, Key: { userId: user.userId }, ...legacyCondition } },
+            releaseUniqueValue(legacyUserEmailUniqueKey(user.orgId, user.email), user.userId),
+            { Delete: { TableName: MEMBERSHIPS_TABLE, Key: { userId: user.userId, orgId: user.orgId } } },
+            {
+                Put: {
+                    TableName: MEMBERSHIPS_TABLE,
+                    Item: {
+                        userId: emailOwnerId,
+                        orgId: user.orgId,
+                        role: membership ? membership.role : 'member',
+                        joinedAt: membership ? membership.joinedAt : user.createdAt,
+                        ...(canonicalUser && { nameSearch: normalizeUserData(canonicalUser).nameSearch }),
+                    },
+                    ConditionExpression: 'attribute_not_exists(userId)',
+                },
+            },
+        ];
+    }
+
+    const failedIndexes = await transactWrite(transactItems);
+    if (failedIndexes.length > 0) {
+        logger.warn(`Користувача '${user.userId}' не вдалося перенести (змінено паралельно або конфлікт членства). Пропускаємо.`);
+        return { result: 'skipped' };
+    }
+    return isMerge ? { result: 'merged', mergedInto: emailOwnerId } : { result: 'migrated' };
+};
+
+// Поки migrateUsersToMemberships не завершено (етапи step1 та step2 розгортання, див. serverless.yml), записи Users
+// ще можуть містити orgId без глобального закріплення email і без членства. Тому перед зверненням до організації
+// її користувачі переносяться одразу (запит до OrgId-index таблиці Users), і списки та перевірка email бачать їх.
+const ensureOrganizationUsersMigrated = async (orgId) => {
+    if (!USERS_MIGRATION_PENDING) {
+        return;
+    }
+
+    let lastEvaluatedKey;
+    do {
+        const result = await dynamoDb.query({
+            TableName: USERS_TABLE,
+            IndexName: 'OrgId-index',
+            KeyConditionExpression: 'orgId = :orgId',
+            ExpressionAttributeValues: { ':orgId': orgId },
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        for (const user of result.Items || []) {
+            await migrateLegacyUser(user);
+        }
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+};
+
+// Те саме для одного користувача: до завершення міграції запис Users може ще не мати членства
+const ensureUserMigrated = async (userId) => {
+    if (!USERS_MIGRATION_PENDING) {
+        return;
+    }
+
+    const user = await getItemConsistently(USERS_TABLE, { userId });
+    if (user && user.orgId) {
+        await migrateLegacyUser(user);
+    }
+};
+
+// 36. Функція для переходу на глобальних користувачів з членствами (запускається вручну:
+// serverless invoke -f migrateUsersToMemberships). Запис Users з атрибутом orgId стає глобальним профілем:
+// orgId переноситься в членство разом з nameSearch, а email закріплюється глобально замість ключа в межах організації.
+// Якщо email вже належить іншому профілю (та сама особа в кількох організаціях), запис зливається з ним:
+// членство переходить до існуючого профілю, а дублікат видаляється. Повторний запуск безпечний.
+// Запускається після розгортання етапу step2 і до розгортання final, який видаляє OrgId-index таблиці Users.
+module.exports.migrateUsersToMemberships = async () => {
+    let migratedCount = 0;
+    const merged = [];
+    const skipped = [];
+    let lastEvaluatedKey;
+
+    do {
+        const result = await dynamoDb.scan({
+            TableName: USERS_TABLE,
+            FilterExpression: 'attribute_exists(orgId)',
+            ExclusiveStartKey: lastEvaluatedKey,
+        }).promise();
+
+        for (const user of result.Items || []) {
+            const { result: migrationResult, mergedInto } = await migrateLegacyUser(user);
+            if (migrationResult === 'skipped') {
+                skipped.push(user.userId);
+            } else if (migrationResult === 'merged') {
+                merged.push({ userId: user.userId, orgId: user.orgId, mergedInto });
+            } else {
+                migratedCount++;
+            }
+        }
+
+        lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info(`Перенесено ${migratedCount} користувачів, об'єднано ${merged.length}, пропущено ${skipped.length}.`);
+    return { migratedCount, mergedCount: merged.length, merged, skipped };
+};
+
+// Скільки днів діє токен запрошення
+const INVITATION_VALIDITY_DAYS = 7;
+// Скільки днів після закінчення терміну дії запрошення залишається в списку (DynamoDB TTL видаляє його автоматично)
+const INVITATION_RETENTION_DAYS = 30;
+
+// Токен запрошення повертається лише при створенні. Зберігається тільки його SHA-256,
+// тож витік таблиці не дозволяє прийняти чуже запрошення.
+const generateInvitationToken = () => crypto.randomBytes(32).toString('base64url');
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isInvitationTokenValid = (invitation, token) => {
+    const expected = Buffer.from(invitation.tokenHash, 'hex');
+    const actual = Buffer.from(hashInvitationToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Запрошення для відповіді API: без хешу токена та службового атрибута TTL.
+// Прострочене запрошення, яке ніхто не прийняв і не відкликав, має статус 'expired'.
+const formatInvitation = ({ tokenHash, expiresAt, ...invitation }) => ({
+    ...invitation,
+    status: invitation.status === 'pending' && invitation.validUntil <= new Date().toISOString() ? 'expired' : invitation.status,
+});
+
+// Чинне запрошення закріплює email в UniqueValues. Закріплення простроченого запрошення можна перезаписати,
+// тому нове запрошення можна надіслати, не відкликаючи старе.
+const claimInvitation = (invitation, now) => ({
+    Put: {
+        TableName: UNIQUE_VALUES_TABLE,
+        Item: {
+            uniqueKey: invitationUniqueKey(invitation.orgId, invitation.email),
+            ownerId: invitation.invitationId,
+            validUntil: invitation.validUntil,
+            createdAt: now,
+        },
+        ConditionExpression: 'attribute_not_exists(uniqueKey) OR validUntil <= :now',
+        ExpressionAttributeValues: { ':now': now },
+    },
+});
+
+// Елементи транзакції, що звільняють email запрошення, яке приймають або відкликають. Після закінчення
+// терміну дії email могло закріпити нове запрошення - його закріплення не чіпаємо.
+const releaseInvitationClaim = async (invitation) => {
+    const uniqueKey = invitationUniqueKey(invitation.orgId, invitation.email);
+    const ownerId = await getUniqueValueOwner(uniqueKey);
+    return ownerId === invitation.invitationId ? [releaseUniqueValue(uniqueKey, invitation.invitationId)] : [];
+};
+
+// 37. Функція для запрошення користувача до організації (POST /organizations/{orgId}/invitations)
+// Відправка запрошення (наприклад, листом з посиланням) - за клієнтом: сервіс лише повертає одноразовий токен.
+module.exports.createInvitation = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { data, errorResponse } = parseRequestBody(event, schemas.invitationBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId } = parameters;
+        const role = data.role || 'member';
+
+        // Як і в addMembership: запрошувати можуть адміністратори, запрошувати адміністраторів - лише власник
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, role === 'admin' ? 'owner' : 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+        if (orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'ORGANIZATION_ARCHIVED', `Організація з ID '${orgId}' архівована. Відновіть її, щоб керувати користувачами.`, 'orgId');
+        }
+
+        // Email глобальний, тож учасник організації - це власник email з членством у ній
+        const emailOwnerId = await getUniqueValueOwner(userEmailUniqueKey(data.email));
+        if (emailOwnerId && await getMembership(emailOwnerId, orgId)) {
+            return buildErrorResponse(409, 'ALREADY_MEMBER', `Користувач з email '${data.email}' вже є учасником організації '${orgId}'.`, 'email');
+        }
+
+        const now = new Date();
+        const validUntil = new Date(now.getTime() + INVITATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        const token = generateInvitationToken();
+        const invitation = {
+            invitationId: uuidv4(),
+            orgId,
+            email: data.email,
+            ...(data.name && { name: data.name }),
+            role,
+            status: 'pending',
+            tokenHash: hashInvitationToken(token),
+            invitedBy: principal.userId,
+            createdAt: now.toISOString(),
+            validUntil: validUntil.toISOString(),
+            expiresAt: Math.floor(validUntil.getTime() / 1000) + INVITATION_RETENTION_DAYS * 24 * 60 * 60,
+        };
+
+        const failedIndexes = await transactWrite([
+            {
+                Put: {
+                    TableName: INVITATIONS_TABLE,
+                    Item: invitation,
+                    ConditionExpression: 'attribute_not_exists(invitationId)',
+                },
+            },
+            claimInvitation(invitation, now.toISOString()),
+        ]);
+        if (failedIndexes.includes(1)) {
+            return buildErrorResponse(409, 'INVITATION_EXISTS', `Для email '${data.email}' вже є чинне запрошення до організації '${orgId}'. Відкличте його, щоб надіслати нове.`, 'email');
+        }
+        if (failedIndexes.length > 0) {
+            throw new Error(`Не вдалося зберегти запрошення '${invitation.invitationId}'.`);
+        }
+
+        logger.info('Запрошення успішно створено', { invitation: formatInvitation(invitation) });
+        return buildResponse(201, {
+            message: 'Запрошення створено. Передайте token запрошеному - він більше не буде показаний.',
+            invitation: { ...formatInvitation(invitation), token },
+        });
+
+    } catch (error) {
+        logger.error('Помилка при створенні запрошення', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 38. Функція для отримання чинних запрошень організації (GET /organizations/{orgId}/invitations)
+module.exports.getInvitations = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.orgPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { orgId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const { errorResponse, limit, exclusiveStartKey, order } = parseListParameters(event, ['invitationId', 'orgId', 'createdAt']);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        if (exclusiveStartKey && exclusiveStartKey.orgId !== orgId) {
+            return buildValidationErrorResponse({ field: 'nextToken', message: 'Некоректний nextToken.' });
+        }
+
+        // Лише запрошення, які ще можна прийняти. За замовчуванням - від найновіших.
+        const params = {
+            TableName: INVITATIONS_TABLE,
+            IndexName: 'OrgIdCreatedAt-index',
+            KeyConditionExpression: 'orgId = :orgId',
+            FilterExpression: '#status = :pending AND validUntil > :now',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':orgId': orgId, ':pending': 'pending', ':now': new Date().toISOString() },
+            ScanIndexForward: order === 'asc',
+        };
+        const page = await fetchPage('query', params, limit, exclusiveStartKey);
+
+        logger.info(`Отримано ${page.items.length} запрошень організації '${orgId}'.`);
+        return buildResponse(200, { invitations: page.items.map(formatInvitation), nextToken: page.nextToken });
+
+    } catch (error) {
+        logger.error('Помилка при отриманні запрошень', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 39. Функція для відкликання запрошення (DELETE /organizations/{orgId}/invitations/{invitationId})
+// Запис залишається зі статусом 'revoked' до закінчення TTL, а email звільняється для нового запрошення.
+module.exports.revokeInvitation = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse } = parsePathParameters(event, schemas.invitationPath);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { orgId, invitationId } = parameters;
+
+        const forbiddenResponse = await authorizeOrganizationAccess(principal, orgId, 'admin');
+        if (forbiddenResponse) {
+            return forbiddenResponse;
+        }
+
+        const invitation = await getItemConsistently(INVITATIONS_TABLE, { invitationId });
+        if (!invitation || invitation.orgId !== orgId) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Запрошення з ID '${invitationId}' не знайдене в організації '${orgId}'.`, 'invitationId');
+        }
+        if (invitation.status !== 'pending') {
+            return buildErrorResponse(409, 'INVITATION_NOT_PENDING', `Запрошення вже має статус '${invitation.status}'.`, 'invitationId');
+        }
+
+        const now = new Date().toISOString();
+        const failedIndexes = await transactWrite([
+            ...await releaseInvitationClaim(invitation),
+            {
+                Update: {
+                    TableName: INVITATIONS_TABLE,
+                    Key: { invitationId },
+                    UpdateExpression: 'SET #status = :revoked, revokedBy = :revokedBy, revokedAt = :now',
+                    ConditionExpression: '#status = :pending',
+                    ExpressionAttributeNames: { '#status': 'status' },
+                    ExpressionAttributeValues: { ':revoked': 'revoked', ':pending': 'pending', ':revokedBy': principal.userId, ':now': now },
+                },
+            },
+        ]);
+        if (failedIndexes.length > 0) {
+            return buildErrorResponse(409, 'INVITATION_NOT_PENDING', 'Запрошення вже прийнято або відкликано іншим запитом.', 'invitationId');
+        }
+
+        logger.info(`Запрошення '${invitationId}' відкликано.`);
+        return buildResponse(200, { message: 'Запрошення відкликано.', invitationId });
+
+    } catch (error) {
+        logger.error('Помилка при відкликанні запрошення', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// 40. Функція для прийняття запрошення (POST /invitations/{invitationId}/accept)
+// Користувач створюється тим самим асинхронним шляхом, що й через POST /organizations/{orgId}/users
+// (операція createUser), а власник email, який вже має профіль, додається до організації (addMembership).
+// Спершу запрошення умовно переходить у проміжний статус 'accepting', потім операція відправляється в SQS
+// і лише тоді запрошення стає 'accepted' з operationId. Якщо відправка не вдалася, той самий користувач
+// може повторити запит: запрошення в статусі 'accepting' без operationId приймається повторно.
+module.exports.acceptInvitation = async (event) => {
+    try {
+        const { principal, errorResponse: authErrorResponse } = authenticateRequest(event);
+        if (authErrorResponse) {
+            return authErrorResponse;
+        }
+        const { parameters, errorResponse: pathErrorResponse } = parsePathParameters(event, schemas.acceptInvitationPath);
+        if (pathErrorResponse) {
+            return pathErrorResponse;
+        }
+        const { data, errorResponse } = parseRequestBody(event, schemas.acceptInvitationBody);
+        if (errorResponse) {
+            return errorResponse;
+        }
+        const { invitationId } = parameters;
+
+        // Неіснуюче запрошення і невірний токен не розрізняємо, щоб не розкривати ідентифікатори запрошень
+        const invitation = await getItemConsistently(INVITATIONS_TABLE, { invitationId });
+        if (!invitation || !isInvitationTokenValid(invitation, data.token)) {
+            return buildErrorResponse(404, 'NOT_FOUND', 'Запрошення не знайдене або токен недійсний.', 'token');
+        }
+        const { orgId, email, role } = invitation;
+        const status = formatInvitation(invitation).status;
+        if (status === 'expired') {
+            return buildErrorResponse(410, 'INVITATION_EXPIRED', 'Термін дії запрошення минув. Попросіть адміністратора організації надіслати нове.', 'token');
+        }
+        const isRetry = status === 'accepting' && invitation.acceptedBy === principal.userId;
+        if (status !== 'pending' && !isRetry) {
+            return buildErrorResponse(409, 'INVITATION_NOT_PENDING', `Запрошення вже має статус '${status}'.`, 'token');
+        }
+
+        // Якщо токен викликача містить email, запрошення може прийняти лише його власник
+        if (principal.email && normalizeUniqueValue(principal.email) !== normalizeUniqueValue(email)) {
+            return buildErrorResponse(403, 'FORBIDDEN', 'Запрошення надіслано на інший email.', 'token');
+        }
+
+        const orgResult = await dynamoDb.get({ TableName: ORGANIZATIONS_TABLE, Key: { orgId: orgId } }).promise();
+        if (!orgResult.Item) {
+            return buildErrorResponse(404, 'NOT_FOUND', `Організація з ID '${orgId}' не знайдена.`, 'orgId');
+        }
+        if (orgResult.Item.archivedAt) {
+            return buildErrorResponse(409, 'ORGANIZATION_ARCHIVED', `Організація з ID '${orgId}' архівована.`, 'orgId');
+        }
+
+        await ensureOrganizationUsersMigrated(orgId);
+        // Запрошення приймається від імені викликача: профіль з email запрошення має належати йому,
+        // а новий профіль створюється з userId = claim sub його токена
+        const emailOwnerId = await getUniqueValueOwner(userEmailUniqueKey(email));
+        if (emailOwnerId && emailOwnerId !== principal.userId) {
+            return buildErrorResponse(403, 'FORBIDDEN', 'Email запрошення належить іншому користувачу.', 'token');
+        }
+        if (!emailOwnerId && await getItemConsistently(USERS_TABLE, { userId: principal.userId })) {
+            return buildErrorResponse(403, 'FORBIDDEN', 'Запрошення надіслано на інший email.', 'token');
+        }
+        if (emailOwnerId && await getMembership(emailOwnerId, orgId)) {
+            return buildErrorResponse(409, 'ALREADY_MEMBER', `Користувач з email '${email}' вже є учасником організації '${orgId}'.`, 'token');
+        }
+
+        const name = data.name || invitation.name;
+        if (!emailOwnerId && !name) {
+            return buildValidationErrorResponse({ field: 'name', message: 'Поле \'name\' є обов\'язковим: у запрошенні ім\'я не вказано.' });
+        }
+
+        const now = new Date().toISOString();
+        const userId = principal.userId;
+        const message = emailOwnerId
+            ? { operation: 'addMembership', requestedBy: principal.userId, data: { orgId, userId, role, requestedAt: now } }
+            : { operation: 'createUser', requestedBy: principal.userId, data: { orgId, userId, name, email, role, createdAt: now, updatedAt: now } };
+
+        // Умова на статус і хеш токена гарантує, що з двох одночасних запитів операцію відправить лише один
+        if (!isRetry) {
+            const failedIndexes = await transactWrite([
+                ...await releaseInvitationClaim(invitation),
+                {
+                    Update: {
+                        TableName: INVITATIONS_TABLE,
+                        Key: { invitationId },
+                        UpdateExpression: 'SET #status = :accepting, acceptedBy = :acceptedBy, acceptedAt = :now, userId = :userId',
+                        ConditionExpression: '#status = :pending AND tokenHash = :tokenHash',
+                        ExpressionAttributeNames: { '#status': 'status' },
+                        ExpressionAttributeValues: {
+                            ':accepting': 'accepting',
+                            ':pending': 'pending',
+                            ':tokenHash': invitation.tokenHash,
+                            ':acceptedBy': principal.userId,
+                            ':now': now,
+                            ':userId': userId,
+                        },
+                    },
+                },
+            ]);
+            if (failedIndexes.length > 0) {
+                return buildErrorResponse(409, 'INVITATION_NOT_PENDING', 'Запрошення вже прийнято або відкликано іншим запитом.', 'token');
+            }
+        }
+
+        const operationId = await enqueueOperation(message);
+
+        // Повторний запит того ж користувача міг завершити прийняття паралельно - тоді його операцію
+        // відхилить перевірка унікальності email або членства в споживачі SQS
+        try {
+            await dynamoDb.update({
+                TableName: INVITATIONS_TABLE,
+                Key: { invitationId },
+                UpdateExpression: 'SET #status = :accepted, operationId = :operationId',
+                ConditionExpression: '#status = :accepting AND acceptedBy = :acceptedBy',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':accepted': 'accepted',
+                    ':accepting': 'accepting',
+                    ':acceptedBy': principal.userId,
+                    ':operationId': operationId,
+                },
+            }).promise();
+        } catch (error) {
+            if (error.code !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            logger.warn(`Запрошення '${invitationId}' вже позначене прийнятим іншим запитом.`);
+        }
+
+        logger.info(`Запрошення '${invitationId}' прийнято, операцію відправлено в SQS`, { sqsMessage: message });
+        return buildResponse(202, { message: 'Запрошення прийнято, користувач додається до організації асинхронно.', orgId, userId, operationId });
+
+    } catch (error) {
+        logger.error('Помилка при прийнятті запрошення', { error });
+        return buildInternalErrorResponse();
+    }
+};
+
+// Усі обробники виконуються з correlation id, структурованими логами та метриками (withRequestContext)
+for (const [handlerName, handler] of Object.entries(module.exports)) {
+    module.exports[handlerName] = withRequestContext(handlerName, handler);
+}
+
+// Офлайн-черга викликає споживачів так само, як Lambda з подіями sqs (serverless.yml): ті самі batchSize,
+// ReportBatchItemFailures і maxReceiveCount. Невдалі повідомлення повторюються через 5 с замість VisibilityTimeout черги.
+if (USE_OFFLINE_QUEUE) {
+    offlineQueue.subscribe(ORGANIZATION_USER_QUEUE_URL, module.exports.processSqsMessages, {
+        batchSize: 10,
+        visibilityTimeout: 5,
+        maxReceiveCount: MAX_RECEIVE_COUNT,
+        deadLetterQueueUrl: DEAD_LETTER_QUEUE_URL,
+    });
+    offlineQueue.subscribe(WEBHOOK_QUEUE_URL, module.exports.deliverWebhooks, {
+        batchSize: 5,
+        visibilityTimeout: 5,
+        maxReceiveCount: MAX_RECEIVE_COUNT,
+        deadLetterQueueUrl: 'WebhookDeliveryDeadLetterQueue',
+    });
+}
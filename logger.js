@@ -0,0 +1,145 @@
+// logger.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Структуровані логи: кожен запис - один рядок JSON { timestamp, level, message, correlationId, ... }.
+// Персональні дані та секрети маскуються до запису, тож у CloudWatch не потрапляють email, імена і токени.
+// Метрики пишуться у форматі CloudWatch Embedded Metric Format (EMF): CloudWatch сам витягує їх з логів,
+// тому окремі виклики PutMetricData та додаткові IAM-дозволи не потрібні.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Мінімальний рівень, що потрапляє в лог (LOG_LEVEL=debug|info|warn|error)
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+const METRICS_NAMESPACE = process.env.METRICS_NAMESPACE || 'OrganizationUserService';
+
+// Correlation id від клієнта приймаємо лише у безпечному форматі, інакше генеруємо новий
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Поля, значення яких не логуються зовсім (назви у нижньому регістрі)
+const SECRET_KEYS = new Set(['authorization', 'cookie', 'set-cookie', 'x-api-key', 'secret', 'password', 'token']);
+// Персональні дані. Email частково зберігається (a***@example.com), щоб записи можна було зіставити.
+const PII_KEYS = new Set(['email', 'name', 'namesearch']);
+const EMAIL_IN_TEXT_PATTERN = /[^\s@'"<>(),;:]+@[^\s@'"<>(),;:]+\.[^\s@'"<>(),;:]+/g;
+const REDACTED = '[REDACTED]';
+
+// Контекст поточного виклику (correlationId, назва обробника). AsyncLocalStorage розділяє
+// контексти паралельних викликів у serverless-offline, де всі обробники працюють в одному процесі.
+const contextStorage = new AsyncLocalStorage();
+
+const maskEmail = (email) => {
+    const [local, domain] = email.split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+};
+
+// Повертає копію значення з замаскованими секретами та персональними даними
+const redact = (value, key = '') => {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    const normalizedKey = key.toLowerCase().replace(/^[:#]/, ''); // Також ключі ExpressionAttributeValues (:email)
+    if (SECRET_KEYS.has(normalizedKey)) {
+        return REDACTED;
+    }
+    if (PII_KEYS.has(normalizedKey)) {
+        return normalizedKey === 'email' && typeof value === 'string' && value.includes('@') ? maskEmail(value) : REDACTED;
+    }
+    if (typeof value === 'string') {
+        return value.replace(EMAIL_IN_TEXT_PATTERN, maskEmail);
+    }
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redact(value.message),
+            ...(value.code && { code: value.code }),
+            stack: redact(value.stack),
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item));
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field)]));
+    }
+    return value;
+};
+
+// stdout без префіксів console.log середовища Lambda: EMF вимагає, щоб рядок був чистим JSON
+const writeLine = (entry) => {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < MIN_LEVEL) {
+        return;
+    }
+    writeLine({
+        timestamp: new Date().toISOString(),
+        level,
+        message: redact(message),
+        ...contextStorage.getStore(),
+        ...redact(fields),
+    });
+};
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+// Записує метрики для CloudWatch (EMF). dimensions - наприклад { Operation: 'createUser' },
+// metrics - { назва: { value, unit } }, де unit - одиниця CloudWatch (Milliseconds, Count).
+// Рядок метрик - запис рівня info: з LOG_LEVEL=warn або error метрики не пишуться, як і інші записи info.
+const putMetrics = (dimensions, metrics) => {
+    if (LEVELS.info < MIN_LEVEL) {
+        return;
+    }
+    writeLine({
+        _aws: {
+            Timestamp: Date.now(),
+            CloudWatchMetrics: [{
+                Namespace: METRICS_NAMESPACE,
+                Dimensions: [Object.keys(dimensions)],
+                Metrics: Object.entries(metrics).map(([name, { unit }]) => ({ Name: name, Unit: unit })),
+            }],
+        },
+        ...dimensions,
+        ...Object.fromEntries(Object.entries(metrics).map(([name, { value }]) => [name, value])),
+        // Не вимір, а властивість запису: дозволяє знайти логи виклику з аномальною метрикою
+        ...(getCorrelationId() && { correlationId: getCorrelationId() }),
+    });
+};
+
+// Перевірений correlation id від клієнта або новий
+const resolveCorrelationId = (candidate) => {
+    return typeof candidate === 'string' && CORRELATION_ID_PATTERN.test(candidate) ? candidate : crypto.randomUUID();
+};
+
+// Виконує fn у новому контексті логування
+const runWithContext = (context, fn) => contextStorage.run({ ...context }, fn);
+
+// Змінює поля поточного контексту. Споживачі SQS обробляють записи пачки послідовно,
+// тому перед кожним записом встановлюють його correlationId.
+const updateContext = (fields) => {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+};
+
+const getCorrelationId = () => {
+    const store = contextStorage.getStore();
+    return store ? store.correlationId : undefined;
+};
+
+module.exports = {
+    logger,
+    putMetrics,
+    redact,
+    resolveCorrelationId,
+    runWithContext,
+    updateContext,
+    getCorrelationId,
+};
@@ -0,0 +1,238 @@
+// queue.js
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Адаптери черг з інтерфейсом SQS з aws-sdk v2 (sqs.sendMessage(params).promise() тощо):
+//  - createSqsClient - Amazon SQS або SQS-сумісна черга за адресою endpoint;
+//  - offlineQueue - черга в пам'яті процесу для serverless-offline та інтеграційних тестів. Повідомлення
+//    доставляються підписаним споживачам (processSqsMessages, deliverWebhooks) у тому ж процесі за правилами SQS:
+//    DelaySeconds, повтор лише невдалих повідомлень пачки (batchItemFailures) після visibilityTimeout,
+//    лічильник ApproximateReceiveCount та переміщення в dead-letter чергу після maxReceiveCount спроб.
+//    Черги без споживача (DLQ) читаються через receiveMessage/deleteMessage.
+
+const createSqsClient = ({ endpoint } = {}) => {
+    if (!endpoint) {
+        return new AWS.SQS();
+    }
+    return new AWS.SQS({
+        region: 'localhost',
+        endpoint,
+        accessKeyId: 'test',
+        secretAccessKey: 'test',
+    });
+};
+
+// VisibilityTimeout за замовчуванням, як у SQS
+const DEFAULT_VISIBILITY_TIMEOUT_SECONDS = 30;
+
+const createError = (code, message) => Object.assign(new Error(message), { code, name: code, statusCode: 400, retryable: false });
+
+// Атрибути повідомлення у форматі події Lambda (назви полів у camelCase)
+const toRecordAttributes = (messageAttributes) => {
+    return Object.fromEntries(Object.entries(messageAttributes).map(([name, attribute]) => [name, {
+        stringValue: attribute.StringValue,
+        ...(attribute.BinaryValue !== undefined && { binaryValue: attribute.BinaryValue }),
+        stringListValues: [],
+        binaryListValues: [],
+        dataType: attribute.DataType,
+    }]));
+};
+
+const createOfflineQueue = () => {
+    const queues = new Map();
+    const drainWaiters = [];
+
+    const getQueue = (queueUrl) => {
+        if (!queueUrl) {
+            throw createError('AWS.SimpleQueueService.NonExistentQueue', 'Не вказано QueueUrl.');
+        }
+        if (!queues.has(queueUrl)) {
+            queues.set(queueUrl, { queueUrl, messages: [], consumer: null, options: {}, isBusy: false, timer: null });
+        }
+        return queues.get(queueUrl);
+    };
+
+    const isDrained = () => [...queues.values()].every((queue) => !queue.consumer || (!queue.isBusy && queue.messages.length === 0));
+
+    const notifyIfDrained = () => {
+        if (isDrained()) {
+            drainWaiters.splice(0).forEach((resolve) => resolve());
+        }
+    };
+
+    const removeMessage = (queue, message) => {
+        queue.messages = queue.messages.filter((queued) => queued !== message);
+    };
+
+    // Видимі повідомлення (до maxMessages) ховаються на visibilityTimeout секунд, як при отриманні з SQS
+    const receive = (queue, maxMessages, visibilityTimeout) => {
+        const now = Date.now();
+        const received = queue.messages.filter((message) => message.visibleAt <= now).slice(0, maxMessages);
+        for (const message of received) {
+            message.receiveCount += 1;
+            message.firstReceiveTimestamp = message.firstReceiveTimestamp || now;
+            message.receiptHandle = crypto.randomUUID();
+            message.visibleAt = now + visibilityTimeout * 1000;
+        }
+        return received;
+    };
+
+    // Планує доставку споживачу, коли стане видимим найближче повідомлення.
+    // Споживач обробляє одну пачку за раз - так само, як Lambda з reservedConcurrency 1.
+    const schedule = (queue) => {
+        if (!queue.consumer || queue.isBusy) {
+            return;
+        }
+        clearTimeout(queue.timer);
+        queue.timer = null;
+        if (queue.messages.length === 0) {
+            notifyIfDrained();
+            return;
+        }
+        const visibleAt = Math.min(...queue.messages.map((message) => message.visibleAt));
+        queue.timer = setTimeout(() => {
+            queue.timer = null;
+            deliver(queue);
+        }, Math.max(0, visibleAt - Date.now()));
+    };
+
+    const enqueue = (queueUrl, { MessageBody, MessageAttributes, DelaySeconds }) => {
+        const queue = getQueue(queueUrl);
+        const now = Date.now();
+        const message = {
+            messageId: crypto.randomUUID(),
+            body: MessageBody,
+            messageAttributes: MessageAttributes || {},
+            sentTimestamp: now,
+            firstReceiveTimestamp: null,
+            receiveCount: 0,
+            receiptHandle: null,
+            visibleAt: now + (DelaySeconds || 0) * 1000,
+        };
+        queue.messages.push(message);
+        schedule(queue);
+        return message;
+    };
+
+    const deliver = async (queue) => {
+        const { consumer, options } = queue;
+        const batch = receive(queue, options.batchSize, options.visibilityTimeout);
+        if (batch.length === 0) {
+            schedule(queue);
+            return;
+        }
+
+        queue.isBusy = true;
+        let failedMessageIds;
+        try {
+            const event = {
+                Records: batch.map((message) => ({
+                    messageId: message.messageId,
+                    receiptHandle: message.receiptHandle,
+                    body: message.body,
+                    attributes: {
+                        ApproximateReceiveCount: String(message.receiveCount),
+                        SentTimestamp: String(message.sentTimestamp),
+                        ApproximateFirstReceiveTimestamp: String(message.firstReceiveTimestamp),
+                    },
+                    messageAttributes: toRecordAttributes(message.messageAttributes),
+                    eventSource: 'aws:sqs',
+                    eventSourceARN: `arn:aws:sqs:offline:000000000000:${queue.queueUrl}`,
+                })),
+            };
+            const result = await consumer(event);
+            failedMessageIds = new Set(((result && result.batchItemFailures) || []).map((failure) => failure.itemIdentifier));
+        } catch (error) {
+            // Як і в Lambda, помилка споживача повертає в чергу всю пачку
+            logger.error(`Споживач черги '${queue.queueUrl}' завершився з помилкою`, { error });
+            failedMessageIds = new Set(batch.map((message) => message.messageId));
+        }
+
+        for (const message of batch) {
+            if (!failedMessageIds.has(message.messageId)) {
+                removeMessage(queue, message);
+            } else if (options.deadLetterQueueUrl && message.receiveCount >= options.maxReceiveCount) {
+                removeMessage(queue, message);
+                enqueue(options.deadLetterQueueUrl, { MessageBody: message.body, MessageAttributes: message.messageAttributes });
+                logger.warn(`Повідомлення '${message.messageId}' переміщено в '${options.deadLetterQueueUrl}' після ${message.receiveCount} спроб.`);
+            }
+            // Інші невдалі повідомлення стануть видимими знову після visibilityTimeout
+        }
+
+        queue.isBusy = false;
+        schedule(queue);
+    };
+
+    // Запит у стилі aws-sdk v2: операція виконується при виклику .promise()
+    const request = (operation) => ({ promise: async () => operation() });
+
+    return {
+        sendMessage: (params) => request(() => {
+            const message = enqueue(params.QueueUrl, params);
+            return { MessageId: message.messageId };
+        }),
+
+        sendMessageBatch: (params) => request(() => {
+            const successful = params.Entries.map((entry) => ({ Id: entry.Id, MessageId: enqueue(params.QueueUrl, entry).messageId }));
+            return { Successful: successful, Failed: [] };
+        }),
+
+        receiveMessage: (params) => request(() => {
+            const visibilityTimeout = params.VisibilityTimeout !== undefined ? params.VisibilityTimeout : DEFAULT_VISIBILITY_TIMEOUT_SECONDS;
+            const messages = receive(getQueue(params.QueueUrl), params.MaxNumberOfMessages || 1, visibilityTimeout);
+            const attributeNames = params.MessageAttributeNames || [];
+            const includesAll = attributeNames.includes('All') || attributeNames.includes('.*');
+
+            if (messages.length === 0) {
+                return {};
+            }
+            return {
+                Messages: messages.map((message) => ({
+                    MessageId: message.messageId,
+                    ReceiptHandle: message.receiptHandle,
+                    Body: message.body,
+                    Attributes: {
+                        SentTimestamp: String(message.sentTimestamp),
+                        ApproximateReceiveCount: String(message.receiveCount),
+                        ApproximateFirstReceiveTimestamp: String(message.firstReceiveTimestamp),
+                    },
+                    MessageAttributes: Object.fromEntries(Object.entries(message.messageAttributes)
+                        .filter(([name]) => includesAll || attributeNames.includes(name))),
+                })),
+            };
+        }),
+
+        deleteMessage: (params) => request(() => {
+            const queue = getQueue(params.QueueUrl);
+            const message = queue.messages.find((queued) => queued.receiptHandle === params.ReceiptHandle);
+            if (!message) {
+                throw createError('ReceiptHandleIsInvalid', `ReceiptHandle '${params.ReceiptHandle}' недійсний.`);
+            }
+            removeMessage(queue, message);
+            return {};
+        }),
+
+        // Підписує споживача на чергу. options: batchSize, visibilityTimeout (секунди),
+        // maxReceiveCount та deadLetterQueueUrl (аналог RedrivePolicy).
+        subscribe: (queueUrl, consumer, options = {}) => {
+            const queue = getQueue(queueUrl);
+            queue.consumer = consumer;
+            queue.options = { batchSize: 10, visibilityTimeout: DEFAULT_VISIBILITY_TIMEOUT_SECONDS, ...options };
+            schedule(queue);
+        },
+
+        // Чекає, поки споживачі оброблять усі повідомлення, зокрема відкладені та повторні спроби.
+        // Для інтеграційних тестів: запит на запис, await offlineQueue.drain(), перевірка результату.
+        drain: () => (isDrained() ? Promise.resolve() : new Promise((resolve) => drainWaiters.push(resolve))),
+    };
+};
+
+// Одна черга на процес: serverless-offline з useInProcess виконує всі функції в одному процесі
+const offlineQueue = createOfflineQueue();
+
+module.exports = {
+    createSqsClient,
+    offlineQueue,
+};
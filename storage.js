@@ -0,0 +1,782 @@
+// storage.js
+
+const AWS = require('aws-sdk');
+
+// Адаптери сховища з інтерфейсом DocumentClient з aws-sdk v2 (dynamoDb.get(params).promise() тощо):
+//  - createDynamoDbClient - DynamoDB або DynamoDB Local (офлайн, плагін serverless-dynamodb);
+//  - createMemoryDocumentClient - сховище в пам'яті процесу для офлайн-режиму та інтеграційних тестів без Docker.
+// Сховище в пам'яті підтримує ту частину виразів DynamoDB, яку використовує handler.js: умови (порівняння,
+// AND/OR/NOT, BETWEEN, IN, attribute_exists, attribute_not_exists, begins_with, contains, size),
+// SET/REMOVE/ADD/DELETE з if_not_exists, list_append та +/-, проєкції, пагінацію, GSI та транзакції.
+// Як і DynamoDB, відхиляє запити з невикористаними ExpressionAttributeNames чи ExpressionAttributeValues.
+// Дані зникають разом з процесом.
+
+const createDynamoDbClient = ({ endpoint } = {}) => {
+    if (!endpoint) {
+        // Для розгортання в AWS, AWS SDK автоматично підтягне конфігурацію з середовища Lambda
+        return new AWS.DynamoDB.DocumentClient();
+    }
+    // Явно вказуємо фіктивні облікові дані, щоб AWS SDK не вимагав справжніх для DynamoDB Local
+    return new AWS.DynamoDB.DocumentClient({
+        region: 'localhost',
+        endpoint,
+        accessKeyId: 'test',
+        secretAccessKey: 'test',
+    });
+};
+
+// Помилка у форматі aws-sdk: handler.js розрізняє помилки за error.code
+const createError = (code, message) => Object.assign(new Error(message), { code, name: code, statusCode: 400, retryable: false });
+
+const validationError = (message) => createError('ValidationException', message);
+
+// Множини - ті самі об'єкти, що повертає справжній DocumentClient (createSet не використовує стан клієнта)
+const createSet = (values) => AWS.DynamoDB.DocumentClient.prototype.createSet(values);
+const isSet = (value) => Boolean(value) && value.wrapperName === 'Set';
+
+// Глибока копія: сховище не ділить об'єкти з викликачем
+const clone = (value) => {
+    if (isSet(value)) {
+        return createSet([...value.values]);
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, clone(fieldValue)]));
+    }
+    return value;
+};
+
+// Тип значення в термінах DynamoDB
+const typeOf = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null) {
+        return 'NULL';
+    }
+    if (isSet(value)) {
+        return value.type === 'Number' ? 'NS' : 'SS';
+    }
+    if (Array.isArray(value)) {
+        return 'L';
+    }
+    return { string: 'S', number: 'N', boolean: 'BOOL', object: 'M' }[typeof value];
+};
+
+const isEqual = (left, right) => {
+    if (typeOf(left) !== typeOf(right)) {
+        return false;
+    }
+    if (isSet(left)) {
+        return left.values.length === right.values.length && left.values.every((value) => right.values.includes(value));
+    }
+    if (Array.isArray(left)) {
+        return left.length === right.length && left.every((value, index) => isEqual(value, right[index]));
+    }
+    if (left !== null && typeof left === 'object') {
+        const fields = Object.keys(left);
+        return fields.length === Object.keys(right).length && fields.every((field) => isEqual(left[field], right[field]));
+    }
+    return left === right;
+};
+
+// Порівняння для <, <=, >, >=: лише числа з числами та рядки з рядками (інакше NaN - умова не виконується)
+const compareValues = (left, right) => {
+    const type = typeOf(left);
+    if (type !== typeOf(right) || (type !== 'N' && type !== 'S')) {
+        return NaN;
+    }
+    if (type === 'N') {
+        return left - right;
+    }
+    return left < right ? -1 : (left > right ? 1 : 0);
+};
+
+// Лексеми виразу: оператори, дужки, розділювачі шляху та імена (у тому числі #name і :value)
+const TOKEN_PATTERN = /\s*(<>|<=|>=|[=<>(),+\-[\].]|[#:]?[A-Za-z0-9_]+)/y;
+const COMPARATORS = new Set(['=', '<>', '<', '<=', '>', '>=']);
+const CONDITION_FUNCTIONS = new Set(['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains']);
+const UPDATE_CLAUSES = new Set(['SET', 'REMOVE', 'ADD', 'DELETE']);
+
+const tokenize = (expression) => {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        if (!expression.slice(TOKEN_PATTERN.lastIndex).trim()) {
+            break;
+        }
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            throw validationError(`Некоректний вираз: ${expression}`);
+        }
+        tokens.push(match[1]);
+    }
+    return tokens;
+};
+
+// Розбирає вираз у дерево. ExpressionAttributeNames та ExpressionAttributeValues підставляються одразу.
+const createParser = (expression, { ExpressionAttributeNames: names = {}, ExpressionAttributeValues: values = {} }) => {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const syntaxError = () => validationError(`Некоректний вираз: ${expression}`);
+    const peek = () => tokens[position];
+    const next = () => {
+        if (position >= tokens.length) {
+            throw syntaxError();
+        }
+        return tokens[position++];
+    };
+    const expect = (token) => {
+        if (next() !== token) {
+            throw syntaxError();
+        }
+    };
+    const isKeyword = (token, keyword) => typeof token === 'string' && token.toUpperCase() === keyword;
+
+    const resolveName = (token) => {
+        if (token.startsWith('#')) {
+            if (names[token] === undefined) {
+                throw validationError(`Не визначено ExpressionAttributeNames для ${token}.`);
+            }
+            return names[token];
+        }
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(token)) {
+            throw syntaxError();
+        }
+        return token;
+    };
+
+    const parsePath = () => {
+        const segments = [resolveName(next())];
+        while (peek() === '.' || peek() === '[') {
+            if (next() === '.') {
+                segments.push(resolveName(next()));
+            } else {
+                segments.push(Number(next()));
+                expect(']');
+            }
+        }
+        return { type: 'path', segments };
+    };
+
+    const parseOperand = () => {
+        const token = peek();
+        if (token === undefined) {
+            throw syntaxError();
+        }
+        if (token.startsWith(':')) {
+            next();
+            if (!(token in values)) {
+                throw validationError(`Не визначено ExpressionAttributeValues для ${token}.`);
+            }
+            return { type: 'value', value: values[token] };
+        }
+        if (tokens[position + 1] === '(') {
+            const name = next();
+            expect('(');
+            const args = [parseOperand()];
+            while (peek() === ',') {
+                next();
+                args.push(parseOperand());
+            }
+            expect(')');
+            return { type: 'function', name, args };
+        }
+        return parsePath();
+    };
+
+    const parsePrimary = () => {
+        if (peek() === '(') {
+            next();
+            const condition = parseOr();
+            expect(')');
+            return condition;
+        }
+        const left = parseOperand();
+        if (left.type === 'function' && CONDITION_FUNCTIONS.has(left.name)) {
+            return left;
+        }
+        const token = next();
+        if (COMPARATORS.has(token)) {
+            return { type: 'compare', operator: token, left, right: parseOperand() };
+        }
+        if (isKeyword(token, 'BETWEEN')) {
+            const low = parseOperand();
+            if (!isKeyword(next(), 'AND')) {
+                throw syntaxError();
+            }
+            return { type: 'between', operand: left, low, high: parseOperand() };
+        }
+        if (isKeyword(token, 'IN')) {
+            expect('(');
+            const options = [parseOperand()];
+            while (peek() === ',') {
+                next();
+                options.push(parseOperand());
+            }
+            expect(')');
+            return { type: 'in', operand: left, options };
+        }
+        throw syntaxError();
+    };
+
+    const parseNot = () => {
+        if (isKeyword(peek(), 'NOT')) {
+            next();
+            return { type: 'not', operand: parseNot() };
+        }
+        return parsePrimary();
+    };
+
+    const parseAnd = () => {
+        let condition = parseNot();
+        while (isKeyword(peek(), 'AND')) {
+            next();
+            condition = { type: 'and', left: condition, right: parseNot() };
+        }
+        return condition;
+    };
+
+    const parseOr = () => {
+        let condition = parseAnd();
+        while (isKeyword(peek(), 'OR')) {
+            next();
+            condition = { type: 'or', left: condition, right: parseAnd() };
+        }
+        return condition;
+    };
+
+    const parseToEnd = (parse) => {
+        const result = parse();
+        if (position < tokens.length) {
+            throw syntaxError();
+        }
+        return result;
+    };
+
+    return {
+        parseCondition: () => parseToEnd(parseOr),
+
+        // Дії UpdateExpression: [{ action: 'SET' | 'REMOVE' | 'ADD' | 'DELETE', path, value }]
+        parseUpdate: () => parseToEnd(() => {
+            const actions = [];
+            while (position < tokens.length) {
+                const clause = next().toUpperCase();
+                if (!UPDATE_CLAUSES.has(clause)) {
+                    throw syntaxError();
+                }
+                do {
+                    const path = parsePath();
+                    if (clause === 'SET') {
+                        expect('=');
+                        let value = parseOperand();
+                        if (peek() === '+' || peek() === '-') {
+                            value = { type: 'arithmetic', operator: next(), left: value, right: parseOperand() };
+                        }
+                        actions.push({ action: clause, path, value });
+                    } else if (clause === 'REMOVE') {
+                        actions.push({ action: clause, path });
+                    } else {
+                        actions.push({ action: clause, path, value: parseOperand() });
+                    }
+                } while (peek() === ',' && next());
+            }
+            return actions;
+        }),
+
+        parseProjection: () => parseToEnd(() => {
+            const paths = [parsePath()];
+            while (peek() === ',') {
+                next();
+                paths.push(parsePath());
+            }
+            return paths;
+        }),
+    };
+};
+
+const getPath = (item, segments) => {
+    return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), item);
+};
+
+const setPath = (item, segments, value) => {
+    const parent = segments.slice(0, -1).reduce((target, segment) => {
+        if (target[segment] === undefined) {
+            target[segment] = {};
+        }
+        return target[segment];
+    }, item);
+    parent[segments[segments.length - 1]] = value;
+};
+
+const removePath = (item, segments) => {
+    const parent = getPath(item, segments.slice(0, -1));
+    if (parent === undefined || parent === null) {
+        return;
+    }
+    if (Array.isArray(parent)) {
+        parent.splice(segments[segments.length - 1], 1);
+    } else {
+        delete parent[segments[segments.length - 1]];
+    }
+};
+
+const evaluateOperand = (item, node) => {
+    switch (node.type) {
+        case 'value':
+            return node.value;
+        case 'path':
+            return getPath(item, node.segments);
+        case 'arithmetic': {
+            const left = evaluateOperand(item, node.left);
+            const right = evaluateOperand(item, node.right);
+            if (typeOf(left) !== 'N' || typeOf(right) !== 'N') {
+                throw validationError('Арифметичні операції підтримуються лише для чисел.');
+            }
+            return node.operator === '+' ? left + right : left - right;
+        }
+        case 'function': {
+            const args = node.args.map((arg) => evaluateOperand(item, arg));
+            switch (node.name) {
+                case 'if_not_exists':
+                    return args[0] !== undefined ? args[0] : args[1];
+                case 'list_append':
+                    if (!Array.isArray(args[0]) || !Array.isArray(args[1])) {
+                        throw validationError('list_append приймає лише списки.');
+                    }
+                    return [...args[0], ...args[1]];
+                case 'size': {
+                    const [value] = args;
+                    if (typeof value === 'string' || Array.isArray(value)) {
+                        return value.length;
+                    }
+                    if (isSet(value)) {
+                        return value.values.length;
+                    }
+                    return value !== null && typeof value === 'object' ? Object.keys(value).length : undefined;
+                }
+                default:
+                    throw validationError(`Непідтримувана функція: ${node.name}`);
+            }
+        }
+        default:
+            throw validationError(`Непідтримуваний операнд: ${node.type}`);
+    }
+};
+
+const evaluateCondition = (item, node) => {
+    switch (node.type) {
+        case 'and':
+            return evaluateCondition(item, node.left) && evaluateCondition(item, node.right);
+        case 'or':
+            return evaluateCondition(item, node.left) || evaluateCondition(item, node.right);
+        case 'not':
+            return !evaluateCondition(item, node.operand);
+        case 'compare': {
+            const left = evaluateOperand(item, node.left);
+            const right = evaluateOperand(item, node.right);
+            switch (node.operator) {
+                case '=':
+                    return left !== undefined && isEqual(left, right);
+                case '<>':
+                    return left === undefined || right === undefined || !isEqual(left, right);
+                case '<':
+                    return compareValues(left, right) < 0;
+                case '<=':
+                    return compareValues(left, right) <= 0;
+                case '>':
+                    return compareValues(left, right) > 0;
+                default:
+                    return compareValues(left, right) >= 0;
+            }
+        }
+        case 'between': {
+            const value = evaluateOperand(item, node.operand);
+            return compareValues(value, evaluateOperand(item, node.low)) >= 0 && compareValues(value, evaluateOperand(item, node.high)) <= 0;
+        }
+        case 'in': {
+            const value = evaluateOperand(item, node.operand);
+            return value !== undefined && node.options.some((option) => isEqual(value, evaluateOperand(item, option)));
+        }
+        case 'function': {
+            const [first, second] = node.args;
+            const value = evaluateOperand(item, first);
+            switch (node.name) {
+                case 'attribute_exists':
+                    return value !== undefined;
+                case 'attribute_not_exists':
+                    return value === undefined;
+                case 'attribute_type':
+                    return typeOf(value) === evaluateOperand(item, second);
+                case 'begins_with': {
+                    const prefix = evaluateOperand(item, second);
+                    return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+                }
+                default: {
+                    // contains
+                    const operand = evaluateOperand(item, second);
+                    if (typeof value === 'string') {
+                        return typeof operand === 'string' && value.includes(operand);
+                    }
+                    if (isSet(value)) {
+                        return value.values.includes(operand);
+                    }
+                    return Array.isArray(value) && value.some((element) => isEqual(element, operand));
+                }
+            }
+        }
+        default:
+            throw validationError(`Непідтримувана умова: ${node.type}`);
+    }
+};
+
+const matchesExpression = (item, expression, params) => {
+    return !expression || evaluateCondition(item, createParser(expression, params).parseCondition());
+};
+
+const EXPRESSION_PARAMETERS = ['KeyConditionExpression', 'FilterExpression', 'ConditionExpression', 'UpdateExpression', 'ProjectionExpression'];
+
+// Як і DynamoDB, відхиляє запит, у якому ExpressionAttributeNames чи ExpressionAttributeValues містять
+// підстановку, не використану в жодному виразі запиту
+const checkUnusedPlaceholders = (params) => {
+    const tokens = new Set(EXPRESSION_PARAMETERS.filter((parameter) => params[parameter]).flatMap((parameter) => tokenize(params[parameter])));
+    for (const parameter of ['ExpressionAttributeNames', 'ExpressionAttributeValues']) {
+        const unused = Object.keys(params[parameter] || {}).filter((placeholder) => !tokens.has(placeholder));
+        if (unused.length > 0) {
+            throw validationError(`Value provided in ${parameter} unused in expressions: keys: {${unused.join(', ')}}`);
+        }
+    }
+};
+
+const project = (item, params) => {
+    if (!params.ProjectionExpression) {
+        return clone(item);
+    }
+    const projected = {};
+    for (const path of createParser(params.ProjectionExpression, params).parseProjection()) {
+        const value = getPath(item, path.segments);
+        if (value !== undefined) {
+            setPath(projected, path.segments, clone(value));
+        }
+    }
+    return projected;
+};
+
+// Застосовує UpdateExpression до копії елемента. Праві частини всіх дій обчислюються за станом до оновлення.
+// Повертає новий елемент і назви змінених атрибутів верхнього рівня (для ReturnValues: UPDATED_*).
+const applyUpdate = (item, params, keyAttributes) => {
+    const actions = createParser(params.UpdateExpression, params).parseUpdate();
+    const updated = clone(item);
+    const changedAttributes = new Set();
+
+    const resolved = actions.map(({ action, path, value }) => {
+        if (keyAttributes.includes(path.segments[0])) {
+            throw validationError(`Атрибут ключа ${path.segments[0]} не можна змінювати.`);
+        }
+        changedAttributes.add(path.segments[0]);
+        const current = getPath(item, path.segments);
+        if (action === 'REMOVE') {
+            return { action, path };
+        }
+        const operand = evaluateOperand(item, value);
+        if (operand === undefined) {
+            throw validationError('Вираз посилається на атрибут, якого немає в елементі.');
+        }
+        if (action === 'SET') {
+            return { action, path, value: clone(operand) };
+        }
+        if (action === 'ADD') {
+            if (typeOf(operand) === 'N') {
+                if (current !== undefined && typeOf(current) !== 'N') {
+                    throw validationError('ADD для числа застосовано до атрибута іншого типу.');
+                }
+                return { action: 'SET', path, value: (current || 0) + operand };
+            }
+            if (!isSet(operand) || (current !== undefined && typeOf(current) !== typeOf(operand))) {
+                throw validationError('ADD підтримує лише числа та множини.');
+            }
+            const values = current === undefined ? [...operand.values] : [...new Set([...current.values, ...operand.values])];
+            return { action: 'SET', path, value: createSet(values) };
+        }
+        // DELETE: різниця множин. Порожня множина в DynamoDB не зберігається - атрибут видаляється.
+        if (!isSet(operand) || (current !== undefined && typeOf(current) !== typeOf(operand))) {
+            throw validationError('DELETE підтримує лише множини.');
+        }
+        const values = current === undefined ? [] : current.values.filter((element) => !operand.values.includes(element));
+        return values.length === 0 ? { action: 'REMOVE', path } : { action: 'SET', path, value: createSet(values) };
+    });
+
+    for (const { action, path, value } of resolved) {
+        if (action === 'REMOVE') {
+            removePath(updated, path.segments);
+        } else {
+            setPath(updated, path.segments, value);
+        }
+    }
+    return { item: updated, changedAttributes };
+};
+
+const pickAttributes = (item, attributes) => {
+    return Object.fromEntries(attributes.filter((attribute) => item[attribute] !== undefined).map((attribute) => [attribute, clone(item[attribute])]));
+};
+
+const compareTuples = (left, right) => {
+    for (let i = 0; i < left.length; i += 1) {
+        const result = compareValues(left[i], right[i]);
+        if (result !== 0) {
+            return Number.isNaN(result) ? String(left[i]).localeCompare(String(right[i])) : result;
+        }
+    }
+    return 0;
+};
+
+// Сховище в пам'яті. tables - опис ключів: { [назва таблиці]: { keys: [partition, sort?],
+// indexes: { [назва GSI]: [partition, sort?] }, ttlAttribute? } }. Елементи з простроченим TTL
+// вважаються відсутніми одразу, а не протягом доби, як у DynamoDB.
+const createMemoryDocumentClient = (tables) => {
+    const data = new Map(Object.keys(tables).map((tableName) => [tableName, new Map()]));
+
+    const getTable = (tableName) => {
+        if (!tables[tableName]) {
+            throw createError('ResourceNotFoundException', `Таблицю ${tableName} не знайдено.`);
+        }
+        return { ...tables[tableName], items: data.get(tableName) };
+    };
+
+    const getIndexKeys = (table, indexName) => {
+        if (!indexName) {
+            return table.keys;
+        }
+        if (!table.indexes || !table.indexes[indexName]) {
+            throw validationError(`Індекс ${indexName} не існує.`);
+        }
+        return table.indexes[indexName];
+    };
+
+    const isExpired = (table, item) => {
+        const expiresAt = table.ttlAttribute && item[table.ttlAttribute];
+        return typeof expiresAt === 'number' && expiresAt < Date.now() / 1000;
+    };
+
+    // Рядковий ідентифікатор елемента за значеннями атрибутів ключа таблиці
+    const getStorageKey = (table, source, isExactKey) => {
+        if (isExactKey && Object.keys(source).length !== table.keys.length) {
+            throw validationError('Ключ не відповідає схемі таблиці.');
+        }
+        const values = table.keys.map((attribute) => source[attribute]);
+        if (values.some((value) => typeOf(value) !== 'S' && typeOf(value) !== 'N')) {
+            throw validationError('Ключ не відповідає схемі таблиці.');
+        }
+        return JSON.stringify(values);
+    };
+
+    const readItem = (table, storageKey) => {
+        const item = table.items.get(storageKey);
+        return item && !isExpired(table, item) ? item : undefined;
+    };
+
+    const checkCondition = (params, item) => {
+        if (!matchesExpression(item || {}, params.ConditionExpression, params)) {
+            throw createError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    };
+
+    // Операції запису готують зміну { table, storageKey, item (null - видалення), previous } без запису в сховище:
+    // transactWrite спершу перевіряє всі умови, а потім застосовує всі зміни
+    const prepareWrite = (type, params) => {
+        checkUnusedPlaceholders(params);
+        const table = getTable(params.TableName);
+        const storageKey = type === 'Put' ? getStorageKey(table, params.Item, false) : getStorageKey(table, params.Key, true);
+        const previous = readItem(table, storageKey);
+        checkCondition(params, previous);
+
+        switch (type) {
+            case 'Put':
+                return { table, storageKey, item: clone(params.Item), previous };
+            case 'Update': {
+                const { item, changedAttributes } = applyUpdate(previous || clone(params.Key), params, table.keys);
+                return { table, storageKey, item, previous, changedAttributes };
+            }
+            case 'Delete':
+                return { table, storageKey, item: null, previous };
+            default:
+                // ConditionCheck нічого не змінює
+                return { table, storageKey, item: previous, previous };
+        }
+    };
+
+    const commit = ({ table, storageKey, item }) => {
+        if (item) {
+            table.items.set(storageKey, item);
+        } else {
+            table.items.delete(storageKey);
+        }
+    };
+
+    const getReturnValues = ({ previous, item, changedAttributes }, returnValues) => {
+        switch (returnValues) {
+            case 'ALL_OLD':
+                return previous ? { Attributes: clone(previous) } : {};
+            case 'ALL_NEW':
+                return item ? { Attributes: clone(item) } : {};
+            case 'UPDATED_OLD':
+                return previous ? { Attributes: pickAttributes(previous, [...changedAttributes]) } : {};
+            case 'UPDATED_NEW':
+                return item ? { Attributes: pickAttributes(item, [...changedAttributes]) } : {};
+            default:
+                return {};
+        }
+    };
+
+    const write = (type, params) => {
+        const change = prepareWrite(type, params);
+        commit(change);
+        return getReturnValues(change, params.ReturnValues);
+    };
+
+    // Спільна частина query та scan: порядок елементів, ExclusiveStartKey, Limit (до фільтра), LastEvaluatedKey
+    const readPage = (params, isQuery) => {
+        checkUnusedPlaceholders(params);
+        const table = getTable(params.TableName);
+        const indexKeys = getIndexKeys(table, params.IndexName);
+        const orderKeys = [...new Set([...(isQuery ? indexKeys.slice(1) : []), ...table.keys])];
+        const lastEvaluatedKeyAttributes = [...new Set([...table.keys, ...indexKeys])];
+        const direction = isQuery && params.ScanIndexForward === false ? -1 : 1;
+        const getOrder = (item) => orderKeys.map((attribute) => item[attribute]);
+
+        if (isQuery && !params.KeyConditionExpression) {
+            throw validationError('Потрібен KeyConditionExpression.');
+        }
+        const keyCondition = isQuery ? createParser(params.KeyConditionExpression, params).parseCondition() : null;
+
+        const candidates = [...table.items.values()]
+            .filter((item) => !isExpired(table, item))
+            // Елементи без атрибутів ключа індексу до GSI не потрапляють
+            .filter((item) => indexKeys.every((attribute) => item[attribute] !== undefined))
+            .filter((item) => !keyCondition || evaluateCondition(item, keyCondition))
+            .sort((left, right) => compareTuples(getOrder(left), getOrder(right)) * direction);
+
+        let start = 0;
+        if (params.ExclusiveStartKey) {
+            const startOrder = getOrder(params.ExclusiveStartKey);
+            start = candidates.findIndex((item) => compareTuples(getOrder(item), startOrder) * direction > 0);
+            if (start < 0) {
+                start = candidates.length;
+            }
+        }
+
+        const remaining = candidates.slice(start);
+        const evaluated = params.Limit ? remaining.slice(0, params.Limit) : remaining;
+        const items = evaluated.filter((item) => matchesExpression(item, params.FilterExpression, params));
+        const hasMore = evaluated.length < remaining.length;
+
+        return {
+            ...(params.Select !== 'COUNT' && { Items: items.map((item) => project(item, params)) }),
+            Count: items.length,
+            ScannedCount: evaluated.length,
+            ...(hasMore && { LastEvaluatedKey: pickAttributes(evaluated[evaluated.length - 1], lastEvaluatedKeyAttributes) }),
+        };
+    };
+
+    const transactWrite = ({ TransactItems: transactItems }) => {
+        const seen = new Set();
+        const reasons = [];
+        const changes = [];
+
+        for (const transactItem of transactItems) {
+            const [type, params] = Object.entries(transactItem)[0];
+            const table = getTable(params.TableName);
+            const itemId = `${params.TableName}#${getStorageKey(table, params.Item || params.Key, !params.Item)}`;
+            if (seen.has(itemId)) {
+                throw validationError('Transaction request cannot include multiple operations on one item');
+            }
+            seen.add(itemId);
+
+            try {
+                changes.push(prepareWrite(type, params));
+                reasons.push('None');
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                reasons.push('ConditionalCheckFailed');
+            }
+        }
+
+        if (reasons.some((reason) => reason !== 'None')) {
+            // Формат повідомлення збігається з aws-sdk v2 - handler.js читає причини з тексту помилки
+            throw Object.assign(
+                createError('TransactionCanceledException', `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`),
+                { CancellationReasons: reasons.map((reason) => ({ Code: reason })) },
+            );
+        }
+        changes.forEach(commit);
+        return {};
+    };
+
+    const batchGet = ({ RequestItems: requestItems }) => {
+        const responses = {};
+        for (const [tableName, request] of Object.entries(requestItems)) {
+            checkUnusedPlaceholders(request);
+            const table = getTable(tableName);
+            responses[tableName] = request.Keys
+                .map((key) => readItem(table, getStorageKey(table, key, true)))
+                .filter(Boolean)
+                .map((item) => project(item, request));
+        }
+        return { Responses: responses, UnprocessedKeys: {} };
+    };
+
+    const batchWrite = ({ RequestItems: requestItems }) => {
+        for (const [tableName, requests] of Object.entries(requestItems)) {
+            for (const request of requests) {
+                if (request.PutRequest) {
+                    write('Put', { TableName: tableName, Item: request.PutRequest.Item });
+                } else {
+                    write('Delete', { TableName: tableName, Key: request.DeleteRequest.Key });
+                }
+            }
+        }
+        return { UnprocessedItems: {} };
+    };
+
+    // Запит у стилі aws-sdk v2: операція виконується при виклику .promise()
+    const request = (operation) => ({ promise: async () => operation() });
+
+    return {
+        get: (params) => request(() => {
+            checkUnusedPlaceholders(params);
+            const table = getTable(params.TableName);
+            const item = readItem(table, getStorageKey(table, params.Key, true));
+            return item ? { Item: project(item, params) } : {};
+        }),
+        put: (params) => request(() => write('Put', params)),
+        update: (params) => request(() => write('Update', params)),
+        delete: (params) => request(() => write('Delete', params)),
+        query: (params) => request(() => readPage(params, true)),
+        scan: (params) => request(() => readPage(params, false)),
+        batchGet: (params) => request(() => batchGet(params)),
+        batchWrite: (params) => request(() => batchWrite(params)),
+        transactWrite: (params) => request(() => transactWrite(params)),
+        createSet,
+    };
+};
+
+// Одне сховище в пам'яті на процес, як і offlineQueue (queue.js): serverless-offline з useInProcess
+// та інтеграційні тести бачать ті самі дані, що й обробники. tables потрібні лише при першому виклику.
+let memoryDocumentClient;
+const getMemoryDocumentClient = (tables) => {
+    if (!memoryDocumentClient) {
+        memoryDocumentClient = createMemoryDocumentClient(tables);
+    }
+    return memoryDocumentClient;
+};
+
+module.exports = {
+    createDynamoDbClient,
+    createMemoryDocumentClient,
+    getMemoryDocumentClient,
+};
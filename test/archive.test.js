@@ -0,0 +1,97 @@
+// test/archive.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+
+const changeArchiveState = async (action, orgId, principal = ALICE) => {
+    const response = await handler[action](buildEvent('POST', { pathParameters: { orgId }, principal }));
+    await drain();
+    return response;
+};
+
+const listOrganizationNames = async (queryStringParameters, principal = ALICE) => {
+    const { organizations } = parseBody(await handler.getAllOrganizations(buildEvent('GET', { queryStringParameters, principal })));
+    return organizations.map((organization) => organization.name);
+};
+
+test('архівована організація прихована зі списку і не приймає нових користувачів, доки її не відновлять', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    await createOrganization('Globex', 'Опис', ALICE);
+
+    assert.equal((await changeArchiveState('archiveOrganization', orgId)).statusCode, 202);
+    assert.deepEqual(await listOrganizationNames(), ['Globex']);
+    assert.deepEqual((await listOrganizationNames({ includeArchived: 'true' })).sort(), ['Acme', 'Globex']);
+
+    const blocked = await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { name: 'Bob', email: 'bob@acme.test' } }));
+    assert.equal(blocked.statusCode, 409);
+    assert.equal(parseBody(blocked).error.code, 'ORGANIZATION_ARCHIVED');
+
+    const repeated = await changeArchiveState('archiveOrganization', orgId);
+    assert.equal(parseBody(repeated).error.code, 'ALREADY_ARCHIVED');
+
+    assert.equal((await changeArchiveState('restoreOrganization', orgId)).statusCode, 202);
+    assert.deepEqual((await listOrganizationNames()).sort(), ['Acme', 'Globex']);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@acme.test');
+    assert.equal((await handler.getUser(buildEvent('GET', { pathParameters: { orgId, userId } }))).statusCode, 200);
+    assert.equal(parseBody(await changeArchiveState('restoreOrganization', orgId)).error.code, 'NOT_ARCHIVED');
+});
+
+test('архівувати організацію може лише власник', async () => {
+    const { orgId } = await createOrganization('Initech', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@initech.test', 'admin');
+
+    const response = await changeArchiveState('archiveOrganization', orgId, { sub: userId });
+    assert.equal(response.statusCode, 403);
+});
+
+test('організація видаляється остаточно лише після строку зберігання і якщо її не відновили', async () => {
+    const { orgId: expiredOrgId } = await createOrganization('Umbrella', 'Опис', ALICE);
+    const { orgId: freshOrgId } = await createOrganization('Hooli', 'Опис', ALICE);
+    await createUser(expiredOrgId, 'Bob', 'bob@umbrella.test');
+    await changeArchiveState('archiveOrganization', expiredOrgId);
+    await changeArchiveState('archiveOrganization', freshOrgId);
+
+    // Організацію архівовано 31 день тому
+    await dynamoDb.update({
+        TableName: 'Organizations',
+        Key: { orgId: expiredOrgId },
+        UpdateExpression: 'SET archivedAt = :archivedAt',
+        ExpressionAttributeValues: { ':archivedAt': new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString() },
+    }).promise();
+
+    assert.deepEqual(await handler.purgeArchivedOrganizations(), { enqueuedCount: 1, failedCount: 0 });
+    await drain();
+
+    const expired = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId: expiredOrgId } }));
+    assert.equal(expired.statusCode, 404);
+    const fresh = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId: freshOrgId } }));
+    assert.equal(fresh.statusCode, 200);
+
+    // Назва видаленої організації знову вільна
+    const { operationId } = await createOrganization('Umbrella', 'Опис', ALICE);
+    const { operation } = parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } })));
+    assert.equal(operation.status, 'succeeded');
+});
+
+test('остаточне видалення пропускається, якщо організацію встигли відновити', async () => {
+    const { orgId } = await createOrganization('Vandelay', 'Опис', ALICE);
+    await changeArchiveState('archiveOrganization', orgId);
+    const { Item: archived } = await dynamoDb.get({ TableName: 'Organizations', Key: { orgId } }).promise();
+    await changeArchiveState('restoreOrganization', orgId);
+
+    // Повідомлення, відправлене за розкладом до відновлення
+    await handler.processSqsMessages({
+        Records: [{
+            messageId: 'purge-after-restore',
+            body: JSON.stringify({ operation: 'deleteOrganization', data: { orgId, archivedAt: archived.archivedAt, requestedAt: new Date().toISOString() } }),
+            attributes: { ApproximateReceiveCount: '1', SentTimestamp: String(Date.now()) },
+            messageAttributes: {},
+        }],
+    });
+
+    const response = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId } }));
+    assert.equal(response.statusCode, 200);
+});
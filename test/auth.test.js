@@ -0,0 +1,68 @@
+// test/auth.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, buildEvent, parseBody, drain, createOrganization } = require('./helpers');
+
+const ALICE = { sub: 'alice', email: 'alice@acme.test' };
+const BOB = { sub: 'bob', email: 'bob@acme.test' };
+const CAROL = { sub: 'carol' };
+
+const postUser = (orgId, body, principal) => handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body, principal }));
+
+test('запит без токена або з недійсним токеном відхиляється з 401', async () => {
+    const missing = await handler.getAllOrganizations(buildEvent('GET', { principal: null }));
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.headers['WWW-Authenticate'], 'Bearer');
+
+    const invalid = await handler.getAllOrganizations(buildEvent('GET', { principal: null, headers: { Authorization: 'Bearer not-a-token' } }));
+    assert.equal(invalid.statusCode, 401);
+    assert.equal(parseBody(invalid).error.code, 'UNAUTHORIZED');
+});
+
+test('творець стає власником, а сторонні користувачі не бачать організацію', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    await createOrganization('Globex', 'Опис', CAROL);
+
+    assert.equal((await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId }, principal: ALICE }))).statusCode, 200);
+    const foreign = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId }, principal: CAROL }));
+    assert.equal(foreign.statusCode, 403);
+    assert.equal(parseBody(foreign).error.code, 'FORBIDDEN');
+
+    const { organizations } = parseBody(await handler.getAllOrganizations(buildEvent('GET', { principal: ALICE })));
+    assert.deepEqual(organizations.map((organization) => organization.name), ['Acme']);
+});
+
+test('роль admin призначає лише власник, а учасник не керує користувачами', async () => {
+    const { orgId } = await createOrganization('Initech', 'Опис', ALICE);
+
+    // Сторонній користувач не може додати себе до чужої організації
+    assert.equal((await postUser(orgId, { userId: BOB.sub, name: 'Bob', email: BOB.email }, BOB)).statusCode, 403);
+    const { userId } = parseBody(await postUser(orgId, { name: 'Dave', email: 'dave@initech.test', role: 'member' }, ALICE));
+    await drain();
+
+    const member = { sub: userId };
+    assert.equal((await postUser(orgId, { name: 'Eve', email: 'eve@initech.test' }, member)).statusCode, 403);
+
+    const promote = await handler.createOrUpdateUser(buildEvent('PUT', {
+        pathParameters: { orgId },
+        body: { userId, name: 'Dave', email: 'dave@initech.test', role: 'admin' },
+        principal: member,
+    }));
+    assert.equal(promote.statusCode, 403);
+});
+
+test('при створенні користувача не можна зайняти чужий userId', async () => {
+    const { orgId } = await createOrganization('Umbrella', 'Опис', ALICE);
+
+    const squatted = await postUser(orgId, { userId: BOB.sub, name: 'Bob', email: BOB.email }, ALICE);
+    assert.equal(squatted.statusCode, 403);
+    assert.equal(parseBody(squatted).error.field, 'userId');
+
+    const generated = parseBody(await postUser(orgId, { name: 'Bob', email: BOB.email }, ALICE));
+    assert.notEqual(generated.userId, BOB.sub);
+    await drain();
+
+    // Профіль Боба не пов'язаний з його токеном, тож доступу до організації Боб не отримує
+    assert.equal((await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId }, principal: BOB }))).statusCode, 403);
+});
@@ -0,0 +1,60 @@
+// test/concurrency.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const getOrganization = (orgId) => handler.getOrganization(buildEvent('GET', { pathParameters: { orgId } }));
+
+const updateOrganization = (orgId, body, headers) => handler.updateOrganization(buildEvent('PUT', { body: { orgId, ...body }, headers }));
+
+test('GET повертає версію в ETag, оновлення її збільшує', async () => {
+    const { orgId } = await createOrganization('Acme');
+    assert.equal((await getOrganization(orgId)).headers.ETag, '"1"');
+
+    // Назва заголовка не залежить від регістру
+    const response = await updateOrganization(orgId, { name: 'Acme Corp' }, { 'if-match': '"1"' });
+    assert.equal(response.statusCode, 202);
+    await drain();
+
+    const getResponse = await getOrganization(orgId);
+    assert.equal(getResponse.headers.ETag, '"2"');
+    assert.equal(parseBody(getResponse).organization.name, 'Acme Corp');
+
+    const { userId } = await createUser(orgId, 'Ann', 'ann@acme.test');
+    const userResponse = await handler.getUser(buildEvent('GET', { pathParameters: { orgId, userId } }));
+    assert.equal(userResponse.headers.ETag, '"1"');
+});
+
+test('застаріла версія в If-Match відхиляється з 412', async () => {
+    const { orgId } = await createOrganization('Globex');
+    await updateOrganization(orgId, { description: 'Новий опис' });
+    await drain();
+
+    const response = await updateOrganization(orgId, { name: 'Globex Corp' }, { 'IF-MATCH': '"1"' });
+    assert.equal(response.statusCode, 412);
+    assert.equal(response.headers.ETag, '"2"');
+});
+
+test('некоректний If-Match відхиляється з 400', async () => {
+    const { orgId } = await createOrganization('Initech');
+    const response = await updateOrganization(orgId, { name: 'Initech Corp' }, { 'If-Match': 'latest' });
+    assert.equal(response.statusCode, 400);
+});
+
+test('з двох оновлень однієї версії застосовується лише одне', async () => {
+    const { orgId } = await createOrganization('Umbrella');
+
+    // Обидва запити проходять швидку перевірку до обробки черги, конфлікт виявляє споживач SQS
+    const first = parseBody(await updateOrganization(orgId, { name: 'Umbrella A' }, { 'If-Match': '"1"' }));
+    const second = parseBody(await updateOrganization(orgId, { name: 'Umbrella B' }, { 'If-Match': '"1"' }));
+    await drain();
+
+    const getOperation = async (operationId) => parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } }))).operation;
+    assert.equal((await getOperation(first.operationId)).status, 'succeeded');
+    const rejected = await getOperation(second.operationId);
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.failureCode, 'VERSION_CONFLICT');
+
+    assert.equal(parseBody(await getOrganization(orgId)).organization.name, 'Umbrella A');
+});
@@ -0,0 +1,76 @@
+// test/dead-letters.test.js
+
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, queue, buildEvent, parseBody, drain, createOrganization } = require('./helpers');
+
+const getDeadLetters = async () => parseBody(await handler.getDeadLetters(buildEvent('GET'))).deadLetters;
+
+const buildRecord = (messageId, body) => ({
+    messageId,
+    body: JSON.stringify(body),
+    attributes: { ApproximateReceiveCount: '1', SentTimestamp: String(Date.now()) },
+    messageAttributes: {},
+});
+
+test('повторюється лише невдале повідомлення пачки', async (t) => {
+    const now = new Date().toISOString();
+    const createMessage = (orgId, name) => ({ operation: 'createOrganization', data: { orgId, name, description: 'Опис', createdAt: now, updatedAt: now } });
+    t.mock.method(dynamoDb, 'transactWrite', (params) => ({
+        promise: async () => {
+            if (params.TransactItems[0].Put.Item.name === 'Broken') {
+                throw new Error('Тротлінг');
+            }
+            return {};
+        },
+    }));
+
+    const result = await handler.processSqsMessages({
+        Records: [buildRecord('message-1', createMessage(crypto.randomUUID(), 'Fine')), buildRecord('message-2', createMessage(crypto.randomUUID(), 'Broken'))],
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: 'message-2' }] });
+});
+
+test('некоректні повідомлення одразу переміщуються в DLQ', async () => {
+    for (const body of ['not json', 'null', '"text"', JSON.stringify({ operation: 'createOrganization' }), JSON.stringify({ operation: 'unknown', data: {} })]) {
+        await queue.sendMessage({ QueueUrl: 'OrganizationUserQueue', MessageBody: body }).promise();
+    }
+    await drain();
+
+    const deadLetters = await getDeadLetters();
+    assert.deepEqual(deadLetters.map(({ failureReason }) => failureReason), [
+        'Тіло повідомлення не є коректним JSON.',
+        'Тіло повідомлення має бути об\'єктом з полем data.',
+        'Тіло повідомлення має бути об\'єктом з полем data.',
+        'Тіло повідомлення має бути об\'єктом з полем data.',
+        'Невідома операція: unknown.',
+    ]);
+});
+
+test('після maxReceiveCount спроб повідомлення потрапляє в DLQ і повертається через redrive', async (t) => {
+    const { orgId } = await createOrganization('Acme');
+    const deleteMock = t.mock.method(dynamoDb, 'transactWrite', () => ({
+        promise: async () => {
+            throw new Error('Service unavailable');
+        },
+    }));
+
+    const { operationId } = parseBody(await handler.deleteOrganization(buildEvent('DELETE', { pathParameters: { orgId } })));
+    await drain();
+
+    assert.equal(deleteMock.mock.callCount(), Number(process.env.MAX_RECEIVE_COUNT));
+    const failed = parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } }))).operation;
+    assert.equal(failed.status, 'failed');
+    assert.ok((await getDeadLetters()).some(({ body }) => body && body.operationId === operationId));
+
+    deleteMock.mock.restore();
+    const redriveResponse = await handler.redriveDeadLetters(buildEvent('POST', { body: {} }));
+    assert.equal(redriveResponse.statusCode, 200);
+    await drain();
+
+    const operation = parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } }))).operation;
+    assert.equal(operation.status, 'succeeded');
+    assert.equal((await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId } }))).statusCode, 404);
+});
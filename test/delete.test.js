@@ -0,0 +1,58 @@
+// test/delete.test.js
+
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const listUsers = async (orgId) => {
+    const response = await handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId }, queryStringParameters: { limit: '100' } }));
+    return parseBody(response).users;
+};
+
+test('видалення організації видаляє всіх її користувачів пакетами', async () => {
+    const { orgId } = await createOrganization('Acme');
+    const { orgId: otherOrgId } = await createOrganization('Globex');
+    // Більше за BATCH_WRITE_LIMIT, щоб каскад пройшов кілька пакетів batchWrite
+    const userIds = [];
+    for (let i = 0; i < 30; i++) {
+        userIds.push((await createUser(orgId, `User ${i}`, `user${i}@acme.test`)).userId);
+    }
+    const { userId: otherUserId } = await createUser(otherOrgId, 'Other', 'other@globex.test');
+    assert.equal((await listUsers(orgId)).length, 30);
+
+    const response = await handler.deleteOrganization(buildEvent('DELETE', { pathParameters: { orgId } }));
+    assert.equal(response.statusCode, 202);
+    await drain();
+
+    const getResponse = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId } }));
+    assert.equal(getResponse.statusCode, 404);
+    for (const userId of userIds) {
+        const userResponse = await handler.getUser(buildEvent('GET', { pathParameters: { orgId, userId } }));
+        assert.equal(userResponse.statusCode, 404);
+    }
+
+    const otherUserResponse = await handler.getUser(buildEvent('GET', { pathParameters: { orgId: otherOrgId, userId: otherUserId } }));
+    assert.equal(otherUserResponse.statusCode, 200);
+});
+
+test('видалення неіснуючої організації повертає 404', async () => {
+    const response = await handler.deleteOrganization(buildEvent('DELETE', { pathParameters: { orgId: crypto.randomUUID() } }));
+    assert.equal(response.statusCode, 404);
+});
+
+test('користувач видаляється лише через свою організацію', async () => {
+    const { orgId } = await createOrganization('Initech');
+    const { orgId: otherOrgId } = await createOrganization('Umbrella');
+    const { userId } = await createUser(orgId, 'Ann', 'ann@initech.test');
+
+    const foreignResponse = await handler.deleteUser(buildEvent('DELETE', { pathParameters: { orgId: otherOrgId, userId } }));
+    assert.equal(foreignResponse.statusCode, 404);
+
+    const response = await handler.deleteUser(buildEvent('DELETE', { pathParameters: { orgId, userId } }));
+    assert.equal(response.statusCode, 202);
+    await drain();
+
+    const getResponse = await handler.getUser(buildEvent('GET', { pathParameters: { orgId, userId } }));
+    assert.equal(getResponse.statusCode, 404);
+});
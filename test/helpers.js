@@ -0,0 +1,71 @@
+// test/helpers.js
+
+// Спільне оточення інтеграційних тестів обробників: сховище в пам'яті (STORAGE_ADAPTER=memory) та офлайн-черга
+// (QUEUE_ADAPTER=offline), що доставляє повідомлення споживачам з handler.js у тому ж процесі.
+// Змінні середовища задаються до підключення handler.js.
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.QUEUE_ADAPTER = 'offline';
+process.env.MAX_RECEIVE_COUNT = '3';
+process.env.JWT_SECRET = 'test-jwt-secret';
+// Структуровані логи та метрики кожного виклику у звіті тестів лише заважають - лишаються тільки помилки
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const jwt = require('jsonwebtoken');
+const handler = require('../handler');
+const { getMemoryDocumentClient } = require('../storage');
+const { offlineQueue: queue } = require('../queue');
+
+// Те саме сховище, що й у handler.js: тести готують у ньому старі записи напряму
+const dynamoDb = getMemoryDocumentClient();
+
+// Як у serverless.yml: ReportBatchItemFailures та RedrivePolicy. Офлайн-черга повторює невдалі повідомлення
+// через 5 с - тести повторюють їх без затримки.
+queue.subscribe('OrganizationUserQueue', handler.processSqsMessages, {
+    batchSize: 10,
+    visibilityTimeout: 0,
+    maxReceiveCount: Number(process.env.MAX_RECEIVE_COUNT),
+    deadLetterQueueUrl: 'OrganizationUserDeadLetterQueue',
+});
+
+// Викликач за замовчуванням - адміністратор платформи, щоб тести інших функцій не залежали від ролей
+const PLATFORM_ADMIN = { sub: 'platform-admin', platformAdmin: true };
+
+const signToken = (claims) => jwt.sign(claims, process.env.JWT_SECRET, { algorithm: 'HS256', expiresIn: '1h' });
+
+// Подія HTTP API (payload v2). principal - claims токена викликача; null - запит без заголовка Authorization.
+const buildEvent = (method, { body, pathParameters, queryStringParameters, headers = {}, principal = PLATFORM_ADMIN } = {}) => ({
+    headers: principal ? { authorization: `Bearer ${signToken(principal)}`, ...headers } : headers,
+    requestContext: { http: { method } },
+    pathParameters,
+    queryStringParameters,
+    body: body === undefined ? undefined : JSON.stringify(body),
+});
+
+const parseBody = (response) => JSON.parse(response.body);
+
+// Чекає, поки processSqsMessages обробить усі повідомлення черги
+const drain = () => queue.drain();
+
+const createOrganization = async (name, description = 'Тестова організація', principal = PLATFORM_ADMIN) => {
+    const response = await handler.createOrganization(buildEvent('POST', { body: { name, description }, principal }));
+    await drain();
+    return parseBody(response);
+};
+
+const createUser = async (orgId, name, email, role) => {
+    const response = await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { name, email, role } }));
+    await drain();
+    return parseBody(response);
+};
+
+module.exports = {
+    handler,
+    dynamoDb,
+    queue,
+    signToken,
+    buildEvent,
+    parseBody,
+    drain,
+    createOrganization,
+    createUser,
+};
@@ -0,0 +1,68 @@
+// test/history.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+
+const getOrganizationHistory = async (orgId, queryStringParameters, principal) => {
+    return handler.getOrganizationHistory(buildEvent('GET', { pathParameters: { orgId }, queryStringParameters, principal }));
+};
+
+test('журнал організації містить застосовані зміни з автором і значеннями до та після', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    await handler.updateOrganization(buildEvent('PUT', { body: { orgId, name: 'Acme Corp' }, principal: ALICE }));
+    await drain();
+
+    const { history } = parseBody(await getOrganizationHistory(orgId, { order: 'asc' }, ALICE));
+    assert.deepEqual(history.map((entry) => entry.operation), ['createOrganization', 'updateOrganization']);
+    assert.equal(history[1].actor, 'alice');
+    assert.deepEqual(history[1].changes, { name: { before: 'Acme', after: 'Acme Corp' } });
+
+    // За замовчуванням - від найновіших записів
+    const { history: newestFirst } = parseBody(await getOrganizationHistory(orgId, undefined, ALICE));
+    assert.equal(newestFirst[0].operation, 'updateOrganization');
+});
+
+test('відхилена операція не потрапляє в журнал', async () => {
+    const { orgId } = await createOrganization('Globex', 'Опис', ALICE);
+    await handler.updateOrganization(buildEvent('PUT', { body: { orgId, description: 'Новий опис' }, headers: { 'If-Match': '"1"' }, principal: ALICE }));
+    await handler.updateOrganization(buildEvent('PUT', { body: { orgId, description: 'Інший опис' }, headers: { 'If-Match': '"1"' }, principal: ALICE }));
+    await drain();
+
+    const { history } = parseBody(await getOrganizationHistory(orgId, undefined, ALICE));
+    assert.equal(history.filter((entry) => entry.operation === 'updateOrganization').length, 1);
+});
+
+test('історія користувача доступна йому самому та адміністраторам, але не іншим учасникам', async () => {
+    const { orgId } = await createOrganization('Initech', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@initech.test');
+    const { userId: otherUserId } = await createUser(orgId, 'Eve', 'eve@initech.test');
+    await handler.createOrUpdateUser(buildEvent('PUT', { pathParameters: { orgId }, body: { userId, name: 'Robert', email: 'bob@initech.test' } }));
+    await drain();
+
+    const getUserHistory = (principal) => handler.getUserHistory(buildEvent('GET', { pathParameters: { orgId, userId }, queryStringParameters: { order: 'asc' }, principal }));
+
+    const own = await getUserHistory({ sub: userId });
+    assert.equal(own.statusCode, 200);
+    const { history } = parseBody(own);
+    assert.deepEqual(history.map((entry) => entry.operation), ['createUser', 'updateUser']);
+    assert.deepEqual(history[1].changes, { name: { before: 'Bob', after: 'Robert' } });
+
+    assert.equal((await getUserHistory(ALICE)).statusCode, 200);
+    assert.equal((await getUserHistory({ sub: otherUserId })).statusCode, 403);
+});
+
+test('журнал читається посторінково', async () => {
+    const { orgId } = await createOrganization('Umbrella', 'Опис', ALICE);
+    for (let i = 0; i < 3; i++) {
+        await createUser(orgId, `User ${i}`, `user${i}@umbrella.test`);
+    }
+
+    const firstPage = parseBody(await getOrganizationHistory(orgId, { limit: '2' }, ALICE));
+    assert.equal(firstPage.history.length, 2);
+    const secondPage = parseBody(await getOrganizationHistory(orgId, { limit: '2', nextToken: firstPage.nextToken }, ALICE));
+    assert.equal(secondPage.history.length, 2);
+    assert.equal(secondPage.nextToken, null);
+});
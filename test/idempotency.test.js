@@ -0,0 +1,76 @@
+// test/idempotency.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, queue, buildEvent, parseBody, drain } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+const BOB = { sub: 'bob' };
+
+const postOrganization = (body, idempotencyKey, principal = ALICE) => handler.createOrganization(buildEvent('POST', {
+    body,
+    headers: { 'idempotency-key': idempotencyKey },
+    principal,
+}));
+
+test('повтор з тим самим Idempotency-Key повертає збережену відповідь без нового ресурсу', async () => {
+    const first = await postOrganization({ name: 'Acme', description: 'Опис' }, 'key-1');
+    assert.equal(first.statusCode, 202);
+    assert.equal(first.headers['Idempotent-Replayed'], undefined);
+
+    const replayed = await handler.createOrganization(buildEvent('POST', {
+        body: { name: 'Acme', description: 'Опис' },
+        headers: { 'IDEMPOTENCY-KEY': 'key-1' },
+        principal: ALICE,
+    }));
+    assert.equal(replayed.statusCode, 202);
+    assert.equal(replayed.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(parseBody(replayed), parseBody(first));
+    await drain();
+
+    const { organizations } = parseBody(await handler.getAllOrganizations(buildEvent('GET', { principal: ALICE })));
+    assert.deepEqual(organizations.map((organization) => organization.name), ['Acme']);
+});
+
+test('ключ, використаний для іншого тіла, відхиляється, а в іншого викликача він незалежний', async () => {
+    await postOrganization({ name: 'Globex', description: 'Опис' }, 'key-2');
+
+    const reused = await postOrganization({ name: 'Globex Corp', description: 'Опис' }, 'key-2');
+    assert.equal(reused.statusCode, 422);
+    assert.equal(parseBody(reused).error.code, 'IDEMPOTENCY_KEY_REUSED');
+
+    const otherCaller = await postOrganization({ name: 'Globex Corp', description: 'Опис' }, 'key-2', BOB);
+    assert.equal(otherCaller.statusCode, 202);
+    assert.equal(otherCaller.headers['Idempotent-Replayed'], undefined);
+
+    const empty = await postOrganization({ name: 'Initech', description: 'Опис' }, ' ');
+    assert.equal(empty.statusCode, 400);
+    assert.equal(parseBody(empty).error.field, 'Idempotency-Key');
+});
+
+test('повторна доставка вже обробленої операції нічого не змінює', async (t) => {
+    const sentMessages = [];
+    const sendMessage = queue.sendMessage;
+    t.mock.method(queue, 'sendMessage', (params) => {
+        sentMessages.push(params);
+        return sendMessage(params);
+    });
+
+    const { operationId } = parseBody(await handler.createOrganization(buildEvent('POST', { body: { name: 'Umbrella', description: 'Опис' }, principal: ALICE })));
+    await drain();
+
+    const result = await handler.processSqsMessages({
+        Records: sentMessages.map((params, index) => ({
+            messageId: `redelivered-${index}`,
+            body: params.MessageBody,
+            attributes: { ApproximateReceiveCount: '2', SentTimestamp: String(Date.now()) },
+            messageAttributes: {},
+        })),
+    });
+    assert.deepEqual(result, { batchItemFailures: [] });
+
+    const { operation } = parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } })));
+    assert.equal(operation.status, 'succeeded');
+    const { organizations } = parseBody(await handler.getAllOrganizations(buildEvent('GET', { principal: ALICE })));
+    assert.equal(organizations.filter((organization) => organization.name === 'Umbrella').length, 1);
+});
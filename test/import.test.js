@@ -0,0 +1,97 @@
+// test/import.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, queue, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const importUsers = (orgId, body, contentType = 'text/csv', principal) => handler.importUsers({
+    ...buildEvent('POST', { pathParameters: { orgId }, headers: { 'content-type': contentType }, principal }),
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+const getImport = async (orgId, importId) => parseBody(await handler.getImport(buildEvent('GET', { pathParameters: { orgId, importId } }))).import;
+
+test('імпорт CSV повертає звіт по рядках і прогрес обробки', async () => {
+    const { orgId } = await createOrganization('Acme');
+    await createUser(orgId, 'Ann', 'ann@acme.test');
+
+    const csv = [
+        'Name,Email,Role',
+        'Bob,bob@acme.test,member',
+        '"Smith, Carol",carol@acme.test,admin',
+        'Dave,not-an-email,member',
+        'Bob again,BOB@acme.test,member',
+        'Ann,ann@acme.test,member',
+    ].join('\r\n');
+    const response = await importUsers(orgId, csv);
+    assert.equal(response.statusCode, 202);
+    const body = parseBody(response);
+    assert.equal(body.acceptedCount, 2);
+    assert.deepEqual(body.rows.map((row) => row.error ? row.error.code : row.status), [
+        'accepted', 'accepted', 'VALIDATION_ERROR', 'DUPLICATE_IN_FILE', 'EMAIL_TAKEN',
+    ]);
+
+    await drain();
+
+    const importRecord = await getImport(orgId, body.importId);
+    assert.equal(importRecord.status, 'completed');
+    assert.equal(importRecord.succeededCount, 2);
+    assert.equal(importRecord.rejectedCount, 3);
+    assert.deepEqual(importRecord.rejectedRows.map((row) => row.row), [3, 4, 5]);
+    assert.deepEqual(importRecord.failures, []);
+    assert.equal(importRecord.expiresAt, undefined);
+
+    const { users } = parseBody(await handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId } })));
+    assert.ok(users.some((user) => user.name === 'Smith, Carol'));
+});
+
+test('userId з файлу ігнорується - сервіс завжди генерує його сам', async () => {
+    const { orgId } = await createOrganization('Globex');
+
+    const body = parseBody(await importUsers(orgId, [{ userId: 'bob', name: 'Bob', email: 'bob@globex.test' }], 'application/json'));
+    assert.equal(body.acceptedCount, 1);
+    assert.notEqual(body.rows[0].userId, 'bob');
+    await drain();
+
+    const missing = await handler.getUser(buildEvent('GET', { pathParameters: { orgId, userId: 'bob' } }));
+    assert.equal(missing.statusCode, 404);
+});
+
+test('невдалі рядки потрапляють у failures, а повторна доставка не змінює лічильники', async (t) => {
+    const { orgId } = await createOrganization('Initech');
+    const sentMessages = [];
+    const sendMessageBatch = queue.sendMessageBatch;
+    t.mock.method(queue, 'sendMessageBatch', (params) => {
+        sentMessages.push(...params.Entries);
+        return sendMessageBatch(params);
+    });
+
+    // Email займає запит, надісланий до імпорту, але ще не оброблений: швидка перевірка його не бачить
+    await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { name: 'Bob', email: 'bob@initech.test' } }));
+    const { importId } = parseBody(await importUsers(orgId, 'name,email\nBob,bob@initech.test\nEve,eve@initech.test'));
+    await drain();
+
+    const importRecord = await getImport(orgId, importId);
+    assert.equal(importRecord.status, 'completed');
+    assert.equal(importRecord.succeededCount, 1);
+    assert.equal(importRecord.failedCount, 1);
+    assert.deepEqual(importRecord.failures.map(({ row, failureCode }) => ({ row, failureCode })), [{ row: 1, failureCode: 'EMAIL_TAKEN' }]);
+
+    await handler.processSqsMessages({
+        Records: sentMessages.map((entry) => ({
+            messageId: `redelivered-${entry.Id}`,
+            body: entry.MessageBody,
+            attributes: { ApproximateReceiveCount: '2', SentTimestamp: String(Date.now()) },
+            messageAttributes: {},
+        })),
+    });
+    const repeated = await getImport(orgId, importId);
+    assert.equal(repeated.succeededCount, 1);
+    assert.equal(repeated.failedCount, 1);
+});
+
+test('імпорт чужої організації заборонений', async () => {
+    const { orgId } = await createOrganization('Umbrella', 'Опис', { sub: 'alice' });
+    const response = await importUsers(orgId, 'name,email\nBob,bob@umbrella.test', 'text/csv', { sub: 'mallory' });
+    assert.equal(response.statusCode, 403);
+});
@@ -0,0 +1,88 @@
+// test/invitations.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+
+const createInvitation = async (orgId, body, principal = ALICE) => {
+    return handler.createInvitation(buildEvent('POST', { pathParameters: { orgId }, body, principal }));
+};
+
+const acceptInvitation = async (invitationId, body, principal) => {
+    const response = await handler.acceptInvitation(buildEvent('POST', { pathParameters: { invitationId }, body, principal }));
+    await drain();
+    return response;
+};
+
+const listInvitations = async (orgId) => {
+    const { invitations } = parseBody(await handler.getInvitations(buildEvent('GET', { pathParameters: { orgId }, principal: ALICE })));
+    return invitations.map((invitation) => invitation.email);
+};
+
+test('запрошення приймає власник email за одноразовим токеном і стає учасником організації', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    const created = await createInvitation(orgId, { email: 'dana@acme.test', name: 'Dana', role: 'member' });
+    assert.equal(created.statusCode, 201);
+    const { invitation } = parseBody(created);
+    assert.equal(invitation.tokenHash, undefined);
+    assert.deepEqual(await listInvitations(orgId), ['dana@acme.test']);
+
+    const repeated = await createInvitation(orgId, { email: 'Dana@Acme.test' });
+    assert.equal(parseBody(repeated).error.code, 'INVITATION_EXISTS');
+
+    const wrongToken = await acceptInvitation(invitation.invitationId, { token: 'not-the-token' }, { sub: 'dana', email: 'dana@acme.test' });
+    assert.equal(wrongToken.statusCode, 404);
+    const wrongEmail = await acceptInvitation(invitation.invitationId, { token: invitation.token }, { sub: 'mallory', email: 'mallory@acme.test' });
+    assert.equal(wrongEmail.statusCode, 403);
+
+    const accepted = await acceptInvitation(invitation.invitationId, { token: invitation.token }, { sub: 'dana', email: 'dana@acme.test' });
+    assert.equal(accepted.statusCode, 202);
+    assert.equal(parseBody(accepted).userId, 'dana');
+    const { members } = parseBody(await handler.getMemberships(buildEvent('GET', { pathParameters: { orgId }, principal: ALICE })));
+    assert.deepEqual(members.map((member) => [member.userId, member.role]).sort(), [['alice', 'owner'], ['dana', 'member']]);
+    assert.deepEqual(await listInvitations(orgId), []);
+
+    const reused = await acceptInvitation(invitation.invitationId, { token: invitation.token }, { sub: 'dana', email: 'dana@acme.test' });
+    assert.equal(parseBody(reused).error.code, 'INVITATION_NOT_PENDING');
+});
+
+test('запрошення на email існуючого профілю не може прийняти інший користувач', async () => {
+    const { orgId } = await createOrganization('Globex', 'Опис', ALICE);
+    const { orgId: otherOrgId } = await createOrganization('Initech', 'Опис', ALICE);
+    const { userId } = await createUser(otherOrgId, 'Bob', 'bob@globex.test');
+    const { invitation } = parseBody(await createInvitation(orgId, { email: 'bob@globex.test' }));
+
+    // Токен без claim email: профіль з email запрошення належить іншому userId
+    const stolen = await acceptInvitation(invitation.invitationId, { token: invitation.token }, { sub: 'mallory' });
+    assert.equal(stolen.statusCode, 403);
+
+    const accepted = await acceptInvitation(invitation.invitationId, { token: invitation.token }, { sub: userId });
+    assert.equal(accepted.statusCode, 202);
+    const { organizations } = parseBody(await handler.getUserOrganizations(buildEvent('GET', { pathParameters: { userId } })));
+    assert.deepEqual(organizations.map((organization) => organization.orgId).sort(), [orgId, otherOrgId].sort());
+});
+
+test('відкликане або прострочене запрошення прийняти не можна', async () => {
+    const { orgId } = await createOrganization('Hooli', 'Опис', ALICE);
+    const { invitation } = parseBody(await createInvitation(orgId, { email: 'erin@hooli.test', name: 'Erin' }));
+
+    const revoke = (invitationId) => handler.revokeInvitation(buildEvent('DELETE', { pathParameters: { orgId, invitationId }, principal: ALICE }));
+    assert.equal((await revoke(invitation.invitationId)).statusCode, 200);
+    assert.equal(parseBody(await revoke(invitation.invitationId)).error.code, 'INVITATION_NOT_PENDING');
+    const revoked = await acceptInvitation(invitation.invitationId, { token: invitation.token }, { sub: 'erin' });
+    assert.equal(parseBody(revoked).error.code, 'INVITATION_NOT_PENDING');
+
+    // Після відкликання email вільний для нового запрошення
+    const { invitation: renewed } = parseBody(await createInvitation(orgId, { email: 'erin@hooli.test', name: 'Erin' }));
+    await dynamoDb.update({
+        TableName: 'Invitations',
+        Key: { invitationId: renewed.invitationId },
+        UpdateExpression: 'SET validUntil = :validUntil',
+        ExpressionAttributeValues: { ':validUntil': new Date(Date.now() - 1000).toISOString() },
+    }).promise();
+    const expired = await acceptInvitation(renewed.invitationId, { token: renewed.token }, { sub: 'erin' });
+    assert.equal(expired.statusCode, 410);
+    assert.deepEqual(await listInvitations(orgId), []);
+});
@@ -0,0 +1,88 @@
+// test/logging.test.js
+
+// Тут перевіряються самі записи логів, тож рівень info замість типового для тестів error (див. helpers.js)
+process.env.LOG_LEVEL = 'info';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, queue, buildEvent, parseBody, drain } = require('./helpers');
+
+// Перехоплює рядки, які logger пише в stdout під час виконання fn. Решту (звіт тестів) пропускає далі.
+const captureLogs = async (t, fn) => {
+    const lines = [];
+    const write = process.stdout.write;
+    t.mock.method(process.stdout, 'write', function (chunk, ...args) {
+        if (typeof chunk === 'string' && chunk.startsWith('{')) {
+            lines.push(JSON.parse(chunk));
+            return true;
+        }
+        return write.call(this, chunk, ...args);
+    });
+    try {
+        await fn();
+    } finally {
+        process.stdout.write.mock.restore();
+    }
+    return lines;
+};
+
+test('correlation id від клієнта повертається у відповіді, а некоректний замінюється новим', async () => {
+    const response = await handler.getAllOrganizations(buildEvent('GET', { headers: { 'x-correlation-id': 'req-42' } }));
+    assert.equal(response.headers['X-Correlation-Id'], 'req-42');
+
+    const replaced = await handler.getAllOrganizations(buildEvent('GET', { headers: { 'X-Correlation-Id': 'bad id\n' } }));
+    assert.match(replaced.headers['X-Correlation-Id'], /^[0-9a-f-]{36}$/);
+});
+
+test('correlation id передається через SQS у логи споживача, а персональні дані маскуються', async (t) => {
+    const sentMessages = [];
+    const sendMessage = queue.sendMessage;
+    t.mock.method(queue, 'sendMessage', (params) => {
+        sentMessages.push(params);
+        return sendMessage(params);
+    });
+
+    const lines = await captureLogs(t, async () => {
+        const response = await handler.createOrganization(buildEvent('POST', {
+            body: { name: 'Traced', description: 'Контакт: owner@traced.test' },
+            headers: { 'X-Correlation-Id': 'trace-1' },
+        }));
+        assert.equal(parseBody(response).orgId.length, 36);
+        await drain();
+    });
+
+    assert.equal(sentMessages[0].MessageAttributes.correlationId.StringValue, 'trace-1');
+    // Виклик споживача обробляє пачку і має власний correlation id, а записи окремого повідомлення - id запиту
+    const consumerLines = lines.filter((line) => line.handler === 'processSqsMessages' && line.messageId);
+    assert.ok(consumerLines.length > 0);
+    assert.ok(consumerLines.every((line) => line.correlationId === 'trace-1'));
+
+    const output = JSON.stringify(lines);
+    assert.equal(output.includes('owner@traced.test'), false);
+    assert.ok(output.includes('o***@traced.test'));
+});
+
+test('метрики пишуться у форматі EMF і вимикаються разом з записами info', async (t) => {
+    const lines = await captureLogs(t, () => handler.getAllOrganizations(buildEvent('GET')));
+    const metrics = lines.find((line) => line._aws);
+    assert.equal(metrics.Handler, 'getAllOrganizations');
+    assert.equal(metrics.Failures, 0);
+    assert.deepEqual(metrics._aws.CloudWatchMetrics[0].Metrics.map((metric) => metric.Name), ['Latency', 'Failures']);
+
+    // MIN_LEVEL читається при завантаженні модуля, тож для іншого рівня модуль завантажується заново
+    const loggerPath = require.resolve('../logger');
+    delete require.cache[loggerPath];
+    process.env.LOG_LEVEL = 'warn';
+    t.after(() => {
+        process.env.LOG_LEVEL = 'info';
+        delete require.cache[loggerPath];
+    });
+    const { logger, putMetrics } = require('../logger');
+
+    const quiet = await captureLogs(t, () => {
+        logger.info('Не потрапляє в лог');
+        putMetrics({ Handler: 'test' }, { Latency: { value: 1, unit: 'Milliseconds' } });
+        logger.warn('Потрапляє в лог');
+    });
+    assert.deepEqual(quiet.map((line) => line.message), ['Потрапляє в лог']);
+});
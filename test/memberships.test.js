@@ -0,0 +1,71 @@
+// test/memberships.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+const CAROL = { sub: 'carol' };
+
+const addMembership = async (orgId, body, principal) => {
+    const response = await handler.addMembership(buildEvent('POST', { pathParameters: { orgId }, body, principal }));
+    await drain();
+    return response;
+};
+
+const listMembers = async (orgId, principal) => {
+    const { members } = parseBody(await handler.getMemberships(buildEvent('GET', { pathParameters: { orgId }, principal })));
+    return members.map((member) => [member.userId, member.role]).sort();
+};
+
+const listUserOrganizations = async (userId, principal) => {
+    return handler.getUserOrganizations(buildEvent('GET', { pathParameters: { userId }, principal }));
+};
+
+test('один профіль користувача стає учасником кількох організацій з різними ролями', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    const { orgId: otherOrgId } = await createOrganization('Globex', 'Опис', CAROL);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@acme.test');
+
+    assert.equal((await addMembership(otherOrgId, { userId, role: 'admin' }, CAROL)).statusCode, 202);
+    const repeated = await addMembership(otherOrgId, { userId }, CAROL);
+    assert.equal(parseBody(repeated).error.code, 'ALREADY_MEMBER');
+
+    assert.deepEqual(await listMembers(otherOrgId, CAROL), [['carol', 'owner'], [userId, 'admin']].sort());
+    const { organizations } = parseBody(await listUserOrganizations(userId, { sub: userId }));
+    assert.deepEqual(organizations.map((organization) => [organization.name, organization.role]).sort(), [['Acme', 'member'], ['Globex', 'admin']]);
+
+    // Профіль спільний: у Globex видно той самий запис користувача
+    const { users } = parseBody(await handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId: otherOrgId }, principal: CAROL })));
+    assert.deepEqual(users.map((user) => user.email), ['bob@acme.test']);
+});
+
+test('організації користувача бачить лише він сам або адміністратор платформи', async () => {
+    const { orgId } = await createOrganization('Initech', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@initech.test');
+
+    assert.equal((await listUserOrganizations(userId, ALICE)).statusCode, 403);
+    assert.equal((await listUserOrganizations(userId)).statusCode, 200);
+});
+
+test('видалення з організації залишає профіль, а власника видалити не можна', async () => {
+    const { orgId } = await createOrganization('Hooli', 'Опис', ALICE);
+    const { orgId: otherOrgId } = await createOrganization('Pied Piper', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@hooli.test');
+
+    const removeMembership = async (memberId) => {
+        const response = await handler.removeMembership(buildEvent('DELETE', { pathParameters: { orgId, userId: memberId }, principal: ALICE }));
+        await drain();
+        return response;
+    };
+    assert.equal((await removeMembership(ALICE.sub)).statusCode, 403);
+    assert.equal((await removeMembership(userId)).statusCode, 202);
+    assert.deepEqual(await listMembers(orgId, ALICE), [['alice', 'owner']]);
+
+    const { organizations } = parseBody(await listUserOrganizations(userId));
+    assert.deepEqual(organizations, []);
+    // Email залишається за профілем, тож користувача повертають через членство, а не створенням нового
+    const recreated = await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId: otherOrgId }, body: { name: 'Bob', email: 'bob@hooli.test' } }));
+    assert.equal(parseBody(recreated).error.code, 'EMAIL_TAKEN');
+    assert.equal((await addMembership(otherOrgId, { userId }, ALICE)).statusCode, 202);
+});
@@ -0,0 +1,47 @@
+// test/migration.test.js
+
+// Етапи step1 та step2 розгортання: записи Users ще можуть містити orgId (див. serverless.yml)
+process.env.USERS_MIGRATION_PENDING = 'true';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, createOrganization } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+
+const putLegacyUser = (userId, orgId, email) => dynamoDb.put({
+    TableName: 'Users',
+    Item: { userId, orgId, name: 'Legacy User', email, createdAt: new Date().toISOString() },
+}).promise();
+
+test('migrateUsersToMemberships переносить orgId у членства і зливає записи однієї особи', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    const { orgId: otherOrgId } = await createOrganization('Globex', 'Опис', ALICE);
+    await putLegacyUser('3f0c2a9e-1b7d-4c55-8f6e-2d9a0b1c7e01', orgId, 'dana@example.test');
+    await putLegacyUser('3f0c2a9e-1b7d-4c55-8f6e-2d9a0b1c7e02', otherOrgId, 'Dana@Example.test');
+
+    const result = await handler.migrateUsersToMemberships();
+    assert.equal(result.migratedCount, 1);
+    assert.equal(result.mergedCount, 1);
+    const [{ mergedInto }] = result.merged;
+
+    const { organizations } = parseBody(await handler.getUserOrganizations(buildEvent('GET', { pathParameters: { userId: mergedInto } })));
+    assert.deepEqual(organizations.map((organization) => organization.orgId).sort(), [orgId, otherOrgId].sort());
+
+    const repeated = await handler.migrateUsersToMemberships();
+    assert.deepEqual([repeated.migratedCount, repeated.mergedCount], [0, 0]);
+});
+
+test('до завершення міграції користувачі організації переносяться при першому зверненні до неї', async () => {
+    const { orgId } = await createOrganization('Initech', 'Опис', ALICE);
+    const userId = '3f0c2a9e-1b7d-4c55-8f6e-2d9a0b1c7e03';
+    await putLegacyUser(userId, orgId, 'erin@initech.test');
+
+    const { users } = parseBody(await handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId }, principal: ALICE })));
+    assert.deepEqual(users.map((user) => user.userId), [userId]);
+
+    // Email закріплено глобально, тож його не можна зайняти в іншій організації
+    const { orgId: otherOrgId } = await createOrganization('Initrode', 'Опис', ALICE);
+    const response = await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId: otherOrgId }, body: { name: 'Erin', email: 'erin@initech.test' } }));
+    assert.equal(parseBody(response).error.code, 'EMAIL_TAKEN');
+});
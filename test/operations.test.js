@@ -0,0 +1,46 @@
+// test/operations.test.js
+
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization } = require('./helpers');
+
+const getOperation = async (operationId) => handler.getOperation(buildEvent('GET', { pathParameters: { operationId } }));
+
+test('операція переходить з pending у succeeded після обробки повідомлення', async () => {
+    const response = await handler.createOrganization(buildEvent('POST', { body: { name: 'Acme', description: 'Опис' } }));
+    assert.equal(response.statusCode, 202);
+    const { orgId, operationId } = parseBody(response);
+
+    const { operation: pending } = parseBody(await getOperation(operationId));
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.operation, 'createOrganization');
+    assert.equal(pending.orgId, orgId);
+
+    await drain();
+
+    const { operation } = parseBody(await getOperation(operationId));
+    assert.equal(operation.status, 'succeeded');
+    assert.equal(operation.expiresAt, undefined);
+});
+
+test('невдала операція не розкриває текст внутрішньої помилки', async (t) => {
+    const { orgId } = await createOrganization('Globex');
+    t.mock.method(dynamoDb, 'transactWrite', () => ({
+        promise: async () => {
+            throw Object.assign(new Error('User: arn:aws:sts::123456789012:assumed-role/lab is not authorized'), { code: 'AccessDeniedException' });
+        },
+    }));
+
+    const { operationId } = parseBody(await handler.deleteOrganization(buildEvent('DELETE', { pathParameters: { orgId } })));
+    await drain();
+
+    const { operation } = parseBody(await getOperation(operationId));
+    assert.equal(operation.status, 'failed');
+    assert.equal(operation.failureReason, 'Внутрішня помилка під час обробки операції.');
+});
+
+test('невідома операція повертає 404', async () => {
+    const response = await getOperation(crypto.randomUUID());
+    assert.equal(response.statusCode, 404);
+});
@@ -0,0 +1,88 @@
+// test/pagination.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+// createdAt має мілісекундну точність - пауза гарантує різний час створення
+const tick = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+const listOrganizations = async (queryStringParameters) => {
+    return handler.getAllOrganizations(buildEvent('GET', { queryStringParameters }));
+};
+
+const listUsers = async (orgId, queryStringParameters) => {
+    return handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId }, queryStringParameters }));
+};
+
+test('користувачі організації читаються посторінково у порядку приєднання', async () => {
+    // Список будується за членствами, тож власник, що створив організацію, теж є в ньому, щойно має профіль
+    const owner = { sub: 'paged-owner' };
+    const { orgId } = await createOrganization('Paged', 'Тестова організація', owner);
+    const emails = ['owner@paged.test'];
+    await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { userId: owner.sub, name: 'Owner', email: emails[0] }, principal: owner }));
+    await drain();
+    await tick();
+    for (let i = 1; i < 5; i++) {
+        emails.push(`user${i}@paged.test`);
+        await createUser(orgId, `User ${i}`, emails[i]);
+        await tick();
+    }
+
+    const pages = [];
+    let nextToken;
+    do {
+        const response = await listUsers(orgId, { limit: '2', ...(nextToken && { nextToken }) });
+        assert.equal(response.statusCode, 200);
+        const page = parseBody(response);
+        pages.push(page.users.map((user) => user.email));
+        nextToken = page.nextToken;
+    } while (nextToken);
+
+    assert.deepEqual(pages, [emails.slice(0, 2), emails.slice(2, 4), emails.slice(4)]);
+
+    const { users } = parseBody(await listUsers(orgId, { order: 'desc', limit: '1' }));
+    assert.deepEqual(users.map((user) => user.email), [emails[4]]);
+});
+
+test('організації сортуються за createdAt і фільтруються за префіксом назви', async () => {
+    for (const name of ['Alpha One', 'Beta', 'Alpha Two', 'Alpha Three']) {
+        await createOrganization(name);
+        await tick();
+    }
+
+    const { organizations, nextToken } = parseBody(await listOrganizations({ order: 'desc', namePrefix: 'Alpha', limit: '2' }));
+    assert.deepEqual(organizations.map((organization) => organization.name), ['Alpha Three', 'Alpha Two']);
+
+    const nextPage = parseBody(await listOrganizations({ order: 'desc', namePrefix: 'Alpha', limit: '2', nextToken }));
+    assert.deepEqual(nextPage.organizations.map((organization) => organization.name), ['Alpha One']);
+    assert.equal(nextPage.nextToken, null);
+});
+
+test('некоректні параметри списку повертають 400', async () => {
+    const { orgId } = await createOrganization('Cursor Owner');
+    const { orgId: otherOrgId } = await createOrganization('Cursor Thief');
+    await createUser(orgId, 'Ann', 'ann@cursor.test');
+    await createUser(orgId, 'Bob', 'bob@cursor.test');
+    const { nextToken } = parseBody(await listUsers(orgId, { limit: '1' }));
+
+    assert.equal((await listUsers(otherOrgId, { nextToken })).statusCode, 400);
+    assert.equal((await listUsers(orgId, { nextToken: 'garbage' })).statusCode, 400);
+    assert.equal((await listOrganizations({ limit: '0' })).statusCode, 400);
+    assert.equal((await listOrganizations({ order: 'random' })).statusCode, 400);
+});
+
+test('backfillOrganizations додає entityType організаціям, створеним до сортування', async () => {
+    const now = new Date().toISOString();
+    await dynamoDb.put({
+        TableName: 'Organizations',
+        Item: { orgId: 'legacy-org', name: 'Legacy', description: 'Створена до сортування', createdAt: now, updatedAt: now },
+    }).promise();
+    const isListed = async () => parseBody(await listOrganizations({ order: 'asc', limit: '100' }))
+        .organizations.some((organization) => organization.orgId === 'legacy-org');
+    assert.equal(await isListed(), false);
+
+    assert.equal((await handler.backfillOrganizations()).updatedCount, 1);
+    assert.equal(await isListed(), true);
+    assert.equal((await handler.backfillOrganizations()).updatedCount, 0);
+});
@@ -0,0 +1,69 @@
+// test/search.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+const CAROL = { sub: 'carol' };
+
+const searchUsers = async (queryStringParameters, principal) => {
+    return handler.searchUsers(buildEvent('GET', { queryStringParameters, principal }));
+};
+
+test('пошук за email нечутливий до регістру і показує лише користувачів організацій викликача', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    const { orgId: foreignOrgId } = await createOrganization('Globex', 'Опис', CAROL);
+    const { userId } = await createUser(orgId, 'Ann', 'Ann.Smith@example.test');
+
+    const own = parseBody(await searchUsers({ email: 'ANN.SMITH@example.test' }, ALICE));
+    assert.deepEqual(own.users.map((user) => [user.userId, user.email]), [[userId, 'ann.smith@example.test']]);
+    assert.equal(parseBody(await searchUsers({ email: 'ann.smith@example.test' }, CAROL)).users.length, 0);
+
+    // Профіль глобальний: після додавання до Globex його бачить і Carol, а в межах організації - з роллю
+    await handler.addMembership(buildEvent('POST', { pathParameters: { orgId: foreignOrgId }, body: { userId } }));
+    await drain();
+    const inOwnOrg = parseBody(await searchUsers({ email: 'ann.smith@example.test', orgId: foreignOrgId }, CAROL));
+    assert.deepEqual(inOwnOrg.users.map((user) => [user.userId, user.orgId, user.role]), [[userId, foreignOrgId, 'member']]);
+
+    const inForeignOrg = await searchUsers({ email: 'ann.smith@example.test', orgId: foreignOrgId }, ALICE);
+    assert.equal(inForeignOrg.statusCode, 403);
+});
+
+test('пошук за префіксом імені працює в межах організації і читається посторінково', async () => {
+    const { orgId } = await createOrganization('Initech', 'Опис', ALICE);
+    for (const name of ['Bob', 'bobby', 'Bobbie', 'Carl']) {
+        await createUser(orgId, name, `${name.toLowerCase()}@initech.test`);
+    }
+
+    const firstPage = parseBody(await searchUsers({ namePrefix: 'BOB', orgId, limit: '2' }, ALICE));
+    assert.equal(firstPage.users.length, 2);
+    const secondPage = parseBody(await searchUsers({ namePrefix: 'BOB', orgId, limit: '2', nextToken: firstPage.nextToken }, ALICE));
+    assert.deepEqual([...firstPage.users, ...secondPage.users].map((user) => user.name).sort(), ['Bob', 'Bobbie', 'bobby']);
+    assert.equal(secondPage.nextToken, null);
+
+    const withoutOrg = await searchUsers({ namePrefix: 'Bob' }, ALICE);
+    assert.equal(withoutOrg.statusCode, 400);
+    assert.equal(parseBody(withoutOrg).error.field, 'orgId');
+
+    const both = await searchUsers({ namePrefix: 'Bob', email: 'bob@initech.test', orgId }, ALICE);
+    assert.equal(parseBody(both).error.field, 'namePrefix');
+});
+
+test('старі записи потрапляють у пошук після заповнення атрибутів і переходу на членства', async () => {
+    const { orgId } = await createOrganization('Umbrella', 'Опис', ALICE);
+    const userId = '0b6f5f1e-3c56-4d7e-9e2a-5c1d3a9c2b10';
+    await dynamoDb.put({
+        TableName: 'Users',
+        Item: { userId, orgId, name: 'Legacy User', email: 'Legacy@Umbrella.test', createdAt: new Date().toISOString() },
+    }).promise();
+
+    assert.deepEqual(await handler.backfillUserSearchAttributes(), { updatedCount: 1 });
+    assert.deepEqual(await handler.backfillUserSearchAttributes(), { updatedCount: 0 });
+    assert.equal(parseBody(await searchUsers({ namePrefix: 'legacy', orgId }, ALICE)).users.length, 0);
+
+    assert.equal((await handler.migrateUsersToMemberships()).migratedCount, 1);
+    const { users } = parseBody(await searchUsers({ email: 'legacy@umbrella.test' }, ALICE));
+    assert.deepEqual(users.map((user) => user.userId), [userId]);
+    assert.equal(parseBody(await searchUsers({ namePrefix: 'legacy', orgId }, ALICE)).users.length, 1);
+});
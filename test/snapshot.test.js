@@ -0,0 +1,140 @@
+// test/snapshot.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsv, parseCsv } = require('../csv');
+const { handler, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const ALICE = { sub: 'alice' };
+
+const exportOrganization = (orgId, queryStringParameters, principal = ALICE) => {
+    return handler.exportOrganization(buildEvent('GET', { pathParameters: { orgId }, queryStringParameters, principal }));
+};
+
+const importOrganization = async (snapshot, { contentType = 'application/json', name, principal = ALICE } = {}) => {
+    const response = await handler.importOrganization({
+        ...buildEvent('POST', { headers: { 'Content-Type': contentType }, queryStringParameters: name ? { name } : undefined, principal }),
+        body: typeof snapshot === 'string' ? snapshot : JSON.stringify(snapshot),
+    });
+    await drain();
+    return response;
+};
+
+const getImport = async (orgId, importId) => {
+    return parseBody(await handler.getImport(buildEvent('GET', { pathParameters: { orgId, importId }, principal: ALICE }))).import;
+};
+
+test('знімок організації переноситься в нову організацію з новими ідентифікаторами', async () => {
+    const { orgId } = await createOrganization('Acme', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@acme.test', 'admin');
+    await createUser(orgId, 'Carol', 'carol@acme.test');
+
+    const exported = await exportOrganization(orgId);
+    assert.equal(exported.statusCode, 200);
+    const snapshot = parseBody(exported);
+    assert.equal(snapshot.snapshotVersion, 1);
+    assert.deepEqual(snapshot.users.map((user) => [user.email, user.role]).sort(), [['bob@acme.test', 'admin'], ['carol@acme.test', 'member']]);
+
+    const taken = await importOrganization(snapshot);
+    assert.equal(taken.statusCode, 409);
+    assert.equal(parseBody(taken).error.field, 'name');
+
+    // Знімок з іншого stage: користувачі з такими email тут ще не зареєстровані
+    const foreignSnapshot = { ...snapshot, users: snapshot.users.map((user) => ({ ...user, email: user.email.replace('@acme.test', '@acme-staging.test') })) };
+    const response = await importOrganization(foreignSnapshot, { name: 'Acme Copy' });
+    assert.equal(response.statusCode, 202);
+    const body = parseBody(response);
+    assert.equal(body.acceptedCount, 2);
+    assert.notEqual(body.idMap[userId], userId);
+
+    const importRecord = await getImport(body.orgId, body.importId);
+    assert.equal(importRecord.status, 'completed');
+    assert.equal(importRecord.succeededCount, 2);
+    assert.equal(importRecord.awaitingOrganization, undefined);
+
+    const { users } = parseBody(await handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId: body.orgId }, principal: ALICE })));
+    assert.deepEqual(users.map((user) => user.userId).sort(), body.rows.map((row) => row.userId).sort());
+    assert.ok(body.rows.some((row) => row.userId === body.idMap[userId]));
+});
+
+test('знімок не додає зареєстрованих користувачів і не розкриває їхні userId', async () => {
+    const { orgId } = await createOrganization('Vandelay', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@vandelay.test');
+    const snapshot = parseBody(await exportOrganization(orgId));
+
+    const body = parseBody(await importOrganization(snapshot, { name: 'Vandelay Copy', principal: { sub: 'mallory' } }));
+    assert.deepEqual(body.rows.map((row) => [row.status, row.error.code, row.userId]), [['rejected', 'EMAIL_TAKEN', undefined]]);
+    assert.deepEqual(body.idMap, { [orgId]: body.orgId });
+
+    const { organizations } = parseBody(await handler.getUserOrganizations(buildEvent('GET', { pathParameters: { userId } })));
+    assert.deepEqual(organizations.map((organization) => organization.orgId), [orgId]);
+});
+
+test('некоректні рядки знімка відхиляються, а решта імпортується', async () => {
+    const snapshot = {
+        snapshotVersion: 1,
+        organization: { name: 'Globex', description: 'Опис' },
+        users: [
+            { name: 'Bob', email: 'bob@globex.test' },
+            { name: 'Bob again', email: 'BOB@globex.test' },
+            { name: 'Dave', email: 'not-an-email' },
+        ],
+    };
+
+    const body = parseBody(await importOrganization(snapshot));
+    assert.deepEqual(body.rows.map((row) => row.error ? row.error.code : row.status), ['accepted', 'DUPLICATE_IN_FILE', 'VALIDATION_ERROR']);
+
+    const importRecord = await getImport(body.orgId, body.importId);
+    assert.equal(importRecord.status, 'completed');
+    assert.deepEqual(importRecord.rejectedRows.map((row) => row.row), [2, 3]);
+});
+
+test('значення, схожі на формули, експортуються в CSV як текст і відновлюються при імпорті', async () => {
+    const { orgId } = await createOrganization('Initech', '=HYPERLINK("https://example.test")', ALICE);
+    await createUser(orgId, '+Bob', 'bob@initech.test');
+
+    const exported = await exportOrganization(orgId, { format: 'csv' });
+    assert.match(exported.headers['Content-Type'], /^text\/csv/);
+    const records = parseCsv(exported.body);
+    assert.equal(records[0].description, '\'=HYPERLINK("https://example.test")');
+    assert.equal(records[1].name, '\'+Bob');
+
+    const csv = exported.body.replace('bob@initech.test', 'bob@initech-staging.test');
+    const body = parseBody(await importOrganization(csv, { contentType: 'text/csv', name: 'Initech Copy' }));
+    const { organization } = parseBody(await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId: body.orgId }, principal: ALICE })));
+    assert.equal(organization.description, '=HYPERLINK("https://example.test")');
+    const { users } = parseBody(await handler.getAllUsersByOrganization(buildEvent('GET', { pathParameters: { orgId: body.orgId }, principal: ALICE })));
+    assert.deepEqual(users.map((user) => user.name), ['+Bob']);
+
+    assert.equal(formatCsv(['value'], [{ value: '-1' }, { value: '@cmd' }, { value: 'a-b' }]), 'value\r\n\'-1\r\n\'@cmd\r\na-b\r\n');
+});
+
+test('експорт читається посторінково, а рядок організації в CSV є лише на першій сторінці', async () => {
+    const { orgId } = await createOrganization('Umbrella', 'Опис', ALICE);
+    // Експорт читає членства, тож власник теж потрапляє в знімок, щойно має профіль
+    await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { userId: ALICE.sub, name: 'Alice', email: 'alice@umbrella.test' }, principal: ALICE }));
+    await drain();
+    for (let i = 0; i < 2; i++) {
+        await createUser(orgId, `User ${i}`, `user${i}@umbrella.test`);
+    }
+
+    const firstPage = parseBody(await exportOrganization(orgId, { limit: '2' }));
+    assert.equal(firstPage.users.length, 2);
+    const secondPage = parseBody(await exportOrganization(orgId, { limit: '2', nextToken: firstPage.nextToken }));
+    assert.equal(secondPage.users.length, 1);
+    assert.equal(secondPage.nextToken, null);
+
+    const firstCsvPage = await exportOrganization(orgId, { format: 'csv', limit: '2' });
+    const nextToken = firstCsvPage.headers['X-Next-Token'];
+    assert.ok(nextToken);
+    const secondCsvPage = await exportOrganization(orgId, { format: 'csv', limit: '2', nextToken });
+    assert.deepEqual(parseCsv(secondCsvPage.body).map((record) => record.recordtype), ['user']);
+    assert.equal(secondCsvPage.headers['X-Next-Token'], undefined);
+});
+
+test('експортувати організацію може лише адміністратор', async () => {
+    const { orgId } = await createOrganization('Hooli', 'Опис', ALICE);
+    const { userId } = await createUser(orgId, 'Bob', 'bob@hooli.test');
+
+    assert.equal((await exportOrganization(orgId, undefined, { sub: userId })).statusCode, 403);
+});
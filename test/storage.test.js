@@ -0,0 +1,78 @@
+// test/storage.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDocumentClient } = require('../storage');
+
+const createStore = () => createMemoryDocumentClient({
+    Items: { keys: ['itemId'], indexes: { 'Group-index': ['group', 'createdAt'] } },
+});
+
+test('невикористані ExpressionAttributeNames та ExpressionAttributeValues відхиляються, як у DynamoDB', async () => {
+    const dynamoDb = createStore();
+    await dynamoDb.put({ TableName: 'Items', Item: { itemId: '1', group: 'a', name: 'First', createdAt: '2024-01-01' } }).promise();
+
+    await assert.rejects(
+        dynamoDb.put({
+            TableName: 'Items',
+            Item: { itemId: '2', group: 'a', createdAt: '2024-01-02' },
+            ConditionExpression: 'attribute_not_exists(itemId)',
+            ExpressionAttributeValues: { ':unused': 1 },
+        }).promise(),
+        { code: 'ValidationException', message: /ExpressionAttributeValues.*:unused/ }
+    );
+    await assert.rejects(
+        dynamoDb.query({
+            TableName: 'Items',
+            IndexName: 'Group-index',
+            KeyConditionExpression: '#group = :group',
+            ExpressionAttributeNames: { '#group': 'group', '#name': 'name' },
+            ExpressionAttributeValues: { ':group': 'a' },
+        }).promise(),
+        { code: 'ValidationException', message: /ExpressionAttributeNames.*#name/ }
+    );
+    await assert.rejects(
+        dynamoDb.transactWrite({
+            TransactItems: [{
+                Update: {
+                    TableName: 'Items',
+                    Key: { itemId: '1' },
+                    UpdateExpression: 'SET #name = :name',
+                    ExpressionAttributeNames: { '#name': 'name' },
+                    ExpressionAttributeValues: { ':name': 'Renamed', ':expected': 'First' },
+                },
+            }],
+        }).promise(),
+        { code: 'ValidationException' }
+    );
+
+    // Підстановки, використані в будь-якому з виразів запиту, допустимі
+    await dynamoDb.update({
+        TableName: 'Items',
+        Key: { itemId: '1' },
+        UpdateExpression: 'SET #name = :name',
+        ConditionExpression: '#name = :expected',
+        ExpressionAttributeNames: { '#name': 'name' },
+        ExpressionAttributeValues: { ':name': 'Renamed', ':expected': 'First' },
+    }).promise();
+    const { Item: item } = await dynamoDb.get({ TableName: 'Items', Key: { itemId: '1' } }).promise();
+    assert.equal(item.name, 'Renamed');
+});
+
+test('невдала умова в транзакції скасовує всі її записи', async () => {
+    const dynamoDb = createStore();
+    await dynamoDb.put({ TableName: 'Items', Item: { itemId: '1', group: 'a', createdAt: '2024-01-01' } }).promise();
+
+    await assert.rejects(
+        dynamoDb.transactWrite({
+            TransactItems: [
+                { Put: { TableName: 'Items', Item: { itemId: '2', group: 'a', createdAt: '2024-01-02' } } },
+                { Put: { TableName: 'Items', Item: { itemId: '1', group: 'b', createdAt: '2024-01-03' }, ConditionExpression: 'attribute_not_exists(itemId)' } },
+            ],
+        }).promise(),
+        { code: 'TransactionCanceledException' }
+    );
+
+    const { Items: items } = await dynamoDb.scan({ TableName: 'Items' }).promise();
+    assert.deepEqual(items.map((item) => [item.itemId, item.group]), [['1', 'a']]);
+});
@@ -0,0 +1,81 @@
+// test/uniqueness.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization, createUser } = require('./helpers');
+
+const getOperation = async (operationId) => parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } }))).operation;
+
+const postOrganization = (name) => handler.createOrganization(buildEvent('POST', { body: { name, description: 'Опис' } }));
+
+const postUser = (orgId, name, email) => handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { name, email } }));
+
+test('назва організації унікальна без урахування регістру та пробілів', async () => {
+    await createOrganization('Acme');
+    const response = await postOrganization(' ACME ');
+    assert.equal(response.statusCode, 409);
+});
+
+test('з двох паралельних створень з однаковою назвою застосовується лише одне', async () => {
+    // Обидва запити проходять швидку перевірку, бо черга ще не оброблена
+    const first = parseBody(await postOrganization('Globex'));
+    const second = parseBody(await postOrganization('globex'));
+    await drain();
+
+    assert.equal((await getOperation(first.operationId)).status, 'succeeded');
+    const rejected = await getOperation(second.operationId);
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.failureCode, 'NAME_TAKEN');
+
+    const missing = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId: second.orgId } }));
+    assert.equal(missing.statusCode, 404);
+});
+
+test('перейменування звільняє стару назву', async () => {
+    const { orgId } = await createOrganization('Initech');
+    await createOrganization('Umbrella');
+
+    const taken = await handler.updateOrganization(buildEvent('PUT', { body: { orgId, name: 'umbrella' } }));
+    assert.equal(taken.statusCode, 409);
+
+    await handler.updateOrganization(buildEvent('PUT', { body: { orgId, name: 'Initrode' } }));
+    await drain();
+    assert.equal((await postOrganization('Initech')).statusCode, 202);
+    assert.equal((await postOrganization('Initrode')).statusCode, 409);
+    await drain();
+});
+
+test('email унікальний для всіх організацій і звільняється при видаленні користувача', async () => {
+    const { orgId } = await createOrganization('Hooli');
+    const { orgId: otherOrgId } = await createOrganization('Pied Piper');
+    const { userId } = await createUser(orgId, 'Ann', 'ann@hooli.test');
+
+    assert.equal((await postUser(orgId, 'Ann 2', 'ANN@hooli.test')).statusCode, 409);
+    const taken = await postUser(otherOrgId, 'Ann', 'ann@hooli.test');
+    assert.equal(taken.statusCode, 409);
+    assert.equal(parseBody(taken).error.code, 'EMAIL_TAKEN');
+
+    await handler.deleteUser(buildEvent('DELETE', { pathParameters: { orgId, userId } }));
+    await drain();
+    assert.equal((await postUser(otherOrgId, 'Ann', 'ann@hooli.test')).statusCode, 202);
+    await drain();
+});
+
+test('backfillOrganizations закріплює назви старих організацій і повертає дублікати', async () => {
+    const now = new Date().toISOString();
+    for (const [orgId, name] of [['legacy-1', 'Legacy'], ['legacy-2', 'legacy']]) {
+        await dynamoDb.put({
+            TableName: 'Organizations',
+            Item: { orgId, entityType: 'ORGANIZATION', name, description: 'Створена до UniqueValues', createdAt: now, updatedAt: now },
+        }).promise();
+    }
+
+    const result = await handler.backfillOrganizations();
+    assert.equal(result.claimedCount, 1);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal((await postOrganization('Legacy')).statusCode, 409);
+
+    const repeated = await handler.backfillOrganizations();
+    assert.equal(repeated.claimedCount, 0);
+    assert.deepEqual(repeated.conflicts, result.conflicts);
+});
@@ -0,0 +1,63 @@
+// test/validation.test.js
+
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { handler, dynamoDb, queue, buildEvent, parseBody, drain, createOrganization } = require('./helpers');
+
+test('помилки запиту повертаються в єдиному форматі', async () => {
+    const missingBody = await handler.createOrganization(buildEvent('POST'));
+    assert.equal(missingBody.statusCode, 400);
+    assert.deepEqual(parseBody(missingBody), { error: { code: 'MISSING_BODY', message: 'Тіло запиту є обов\'язковим.', field: null } });
+
+    const invalidJson = await handler.createOrganization({ ...buildEvent('POST'), body: '{"name":' });
+    assert.equal(parseBody(invalidJson).error.code, 'INVALID_JSON');
+
+    const emptyName = await handler.createOrganization(buildEvent('POST', { body: { name: '  ', description: 'Опис' } }));
+    assert.deepEqual(parseBody(emptyName).error, { code: 'VALIDATION_ERROR', message: 'Значення не може бути порожнім.', field: 'name' });
+});
+
+test('поля користувача та параметри шляху перевіряються за схемою', async () => {
+    const { orgId } = await createOrganization('Acme');
+
+    const invalidEmail = await handler.createOrUpdateUser(buildEvent('POST', { pathParameters: { orgId }, body: { name: 'Ann', email: 'ann' } }));
+    assert.equal(invalidEmail.statusCode, 400);
+    assert.equal(parseBody(invalidEmail).error.field, 'email');
+
+    const invalidPath = await handler.getUser(buildEvent('GET', { pathParameters: { orgId: 'acme', userId: crypto.randomUUID() } }));
+    assert.equal(invalidPath.statusCode, 400);
+    assert.equal(parseBody(invalidPath).error.field, 'orgId');
+
+    const notFound = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId: crypto.randomUUID() } }));
+    assert.equal(notFound.statusCode, 404);
+    assert.equal(parseBody(notFound).error.code, 'NOT_FOUND');
+});
+
+test('внутрішня помилка не розкриває текст винятку', async (t) => {
+    t.mock.method(dynamoDb, 'get', () => ({
+        promise: async () => {
+            throw new Error('Requested resource not found: Table: Organizations not found');
+        },
+    }));
+
+    const response = await handler.getOrganization(buildEvent('GET', { pathParameters: { orgId: crypto.randomUUID() } }));
+    assert.equal(response.statusCode, 500);
+    assert.deepEqual(parseBody(response), { error: { code: 'INTERNAL_ERROR', message: 'Внутрішня помилка сервера.', field: null } });
+});
+
+test('некоректні дані повідомлення SQS одразу потрапляють в DLQ', async () => {
+    const operationId = crypto.randomUUID();
+    await dynamoDb.put({ TableName: 'Operations', Item: { operationId, operation: 'createOrganization', status: 'pending' } }).promise();
+    await queue.sendMessage({
+        QueueUrl: 'OrganizationUserQueue',
+        MessageBody: JSON.stringify({ operation: 'createOrganization', operationId, data: { orgId: crypto.randomUUID(), name: 'Globex' } }),
+    }).promise();
+    await drain();
+
+    const { operation } = parseBody(await handler.getOperation(buildEvent('GET', { pathParameters: { operationId } })));
+    assert.equal(operation.status, 'failed');
+    assert.equal(operation.failureCode, 'INVALID_MESSAGE');
+
+    const { deadLetters } = parseBody(await handler.getDeadLetters(buildEvent('GET')));
+    assert.equal(deadLetters.length, 1);
+});
@@ -0,0 +1,106 @@
+// test/webhooks.test.js
+
+const http = require('http');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const webhooks = require('../webhooks');
+const { handler, dynamoDb, buildEvent, parseBody, drain, createOrganization } = require('./helpers');
+
+// Локальний отримувач вебхуків, що запам'ятовує отримані запити
+const startReceiver = async (t, statusCode = 200) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statusCode, statusCode === 302 ? { Location: 'http://127.0.0.1/' } : {});
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { requests, port: server.address().port };
+};
+
+const testEvent = { id: 'evt-1', type: 'organization.updated', occurredAt: new Date().toISOString(), data: {} };
+
+test('подія підписується секретом вебхука', async (t) => {
+    const { requests, port } = await startReceiver(t);
+
+    const result = await webhooks.deliverEvent(`http://127.0.0.1:${port}/hook`, 'whsec_test', testEvent, { allowPrivate: true });
+    assert.equal(result.ok, true);
+    assert.equal(result.statusCode, 200);
+
+    const [{ headers, body }] = requests;
+    assert.equal(headers['x-webhook-event'], 'organization.updated');
+    assert.equal(webhooks.verifySignature('whsec_test', headers['x-webhook-timestamp'], body, headers['x-webhook-signature']), true);
+    assert.equal(webhooks.verifySignature('whsec_other', headers['x-webhook-timestamp'], body, headers['x-webhook-signature']), false);
+});
+
+test('перенаправлення вважається невдалою доставкою', async (t) => {
+    const { port } = await startReceiver(t, 302);
+    const result = await webhooks.deliverEvent(`http://127.0.0.1:${port}/hook`, 'whsec_test', testEvent, { allowPrivate: true });
+    assert.equal(result.ok, false);
+    assert.equal(result.statusCode, 302);
+});
+
+test('доставка на внутрішню адресу блокується і для IP-літерала, і для доменного імені', async (t) => {
+    const { requests, port } = await startReceiver(t);
+
+    const literal = await webhooks.deliverEvent(`http://127.0.0.1:${port}/hook`, 'whsec_test', testEvent);
+    assert.equal(literal.blocked, true);
+
+    // Ім'я розв'язується під час з'єднання, і з'єднання встановлюється лише з перевіреною адресою
+    const hostname = await webhooks.deliverEvent(`http://localhost:${port}/hook`, 'whsec_test', testEvent);
+    assert.equal(hostname.blocked, true);
+    assert.equal(requests.length, 0);
+});
+
+test('внутрішні адреси, зокрема IPv6-префікси з вбудованою IPv4-адресою', async () => {
+    for (const address of ['10.0.0.1', '169.254.169.254', '100.64.0.1', '[::1]', '[::ffff:127.0.0.1]', '[64:ff9b::a9fe:a9fe]', '[2002:a00:1::]', '[fd00::1]']) {
+        assert.notEqual(await webhooks.findBlockedAddress(`https://${address}/hook`), null, address);
+    }
+    for (const address of ['93.184.216.34', '[2606:4700::1111]', '[::ffff:8.8.8.8]']) {
+        assert.equal(await webhooks.findBlockedAddress(`https://${address}/hook`), null, address);
+    }
+});
+
+test('вебхук не можна зареєструвати на http чи внутрішню адресу, а secret показується лише при створенні', async () => {
+    const { orgId } = await createOrganization('Acme');
+    const createWebhook = (url) => handler.createWebhook(buildEvent('POST', { pathParameters: { orgId }, body: { url } }));
+
+    for (const url of ['http://93.184.216.34/hook', 'https://127.0.0.1/hook', 'https://[64:ff9b::7f00:1]/hook']) {
+        const response = await createWebhook(url);
+        assert.equal(response.statusCode, 400, url);
+        assert.equal(parseBody(response).error.field, 'url');
+    }
+
+    const response = await createWebhook('https://93.184.216.34/hook');
+    assert.equal(response.statusCode, 201);
+    assert.match(parseBody(response).webhook.secret, /^whsec_/);
+
+    const { webhooks: registered } = parseBody(await handler.getWebhooks(buildEvent('GET', { pathParameters: { orgId } })));
+    assert.equal(registered.length, 1);
+    assert.equal(registered[0].secret, undefined);
+});
+
+test('доставка на адресу, що стала внутрішньою, припиняється без повторів', async (t) => {
+    const { requests, port } = await startReceiver(t);
+    const { orgId } = await createOrganization('Globex');
+    const webhookId = '6f1c1f8e-8d8a-4a8e-9a43-3f4f0e1b7c11';
+
+    // Запис вебхука, наприклад зареєстрованого до зміни DNS, вказує на внутрішню адресу
+    await dynamoDb.put({
+        TableName: 'Webhooks',
+        Item: { orgId, webhookId, url: `http://localhost:${port}/hook`, secret: 'whsec_test', events: ['*'], createdAt: new Date().toISOString() },
+    }).promise();
+    // Офлайн-черга сама доставляє подію в deliverWebhooks, а drain() чекає і на повторні спроби
+    await handler.updateOrganization(buildEvent('PUT', { body: { orgId, description: 'Новий опис' } }));
+    await drain();
+
+    const { deliveries } = parseBody(await handler.getWebhookDeliveries(buildEvent('GET', { pathParameters: { orgId, webhookId } })));
+    assert.equal(deliveries[0].status, 'failed');
+    assert.equal(deliveries[0].attempts.length, 1);
+    assert.equal(requests.length, 0);
+});
@@ -0,0 +1,381 @@
+// validation.js
+
+// Схеми для перевірки тіл запитів, параметрів шляху та повідомлень SQS.
+// Схема - це об'єкт { properties: { поле: правило }, anyOf?: [поля] }, де правило описує тип та обмеження значення.
+// Одні й ті самі правила використовують HTTP-обробники та споживач SQS у handler.js.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Базові правила для полів
+const fields = {
+    id: { type: 'string', format: 'uuid' },
+    orgName: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', minLength: 1, maxLength: 1000 },
+    userName: { type: 'string', minLength: 1, maxLength: 100 },
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    timestamp: { type: 'string', format: 'date-time' },
+    version: { type: 'integer', minimum: 0 },
+    // Ідентифікатор викликача (claim sub токена) може бути не UUID, якщо токени видає зовнішній провайдер.
+    // userId користувача - це claim sub його токена, тому для userId діє те саме правило.
+    principalId: { type: 'string', minLength: 1, maxLength: 128 },
+    // Роль, яку можна надати через API. Роль owner отримує лише творець організації.
+    assignableRole: { type: 'string', enum: ['admin', 'member'] },
+    // Протокол і хост URL вебхука перевіряє handler.js (http дозволено лише офлайн, внутрішні адреси - заборонені)
+    webhookUrl: { type: 'string', minLength: 1, maxLength: 2048 },
+    webhookEvents: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: {
+            type: 'string',
+            enum: [
+                '*',
+                'organization.created', 'organization.updated', 'organization.deleted', 'organization.archived', 'organization.restored',
+                'user.created', 'user.updated', 'user.deleted',
+                'member.added', 'member.removed',
+            ],
+        },
+    },
+};
+
+const required = (rule) => ({ ...rule, required: true });
+
+const schemas = {
+    // Тіла HTTP-запитів
+    createOrganizationBody: {
+        properties: {
+            name: required(fields.orgName),
+            description: required(fields.description),
+        },
+    },
+    updateOrganizationBody: {
+        properties: {
+            orgId: required(fields.id),
+            name: fields.orgName,
+            description: fields.description,
+        },
+        anyOf: ['name', 'description'],
+    },
+    // userId при створенні - claim sub викликача (власний профіль). Без нього сервіс генерує UUID.
+    userBody: {
+        properties: {
+            userId: fields.principalId,
+            name: required(fields.userName),
+            email: required(fields.email),
+            role: fields.assignableRole,
+        },
+    },
+    // Додавання існуючого користувача до організації (POST /organizations/{orgId}/members)
+    membershipBody: {
+        properties: {
+            userId: required(fields.id),
+            role: fields.assignableRole,
+        },
+    },
+    // Запрошення до організації (POST /organizations/{orgId}/invitations).
+    // name необов'язкове: запрошений може вказати ім'я сам, приймаючи запрошення.
+    invitationBody: {
+        properties: {
+            email: required(fields.email),
+            name: fields.userName,
+            role: fields.assignableRole,
+        },
+    },
+    // Прийняття запрошення (POST /invitations/{invitationId}/accept)
+    acceptInvitationBody: {
+        properties: {
+            token: required({ type: 'string', minLength: 1, maxLength: 128 }),
+            name: fields.userName,
+        },
+    },
+    // Рядок масового імпорту (POST /organizations/{orgId}/users/import). userId завжди генерується сервісом.
+    importUserRow: {
+        properties: {
+            name: required(fields.userName),
+            email: required(fields.email),
+            role: fields.assignableRole,
+        },
+    },
+    // Знімок організації для імпорту (POST /organizations/import). orgId та userId зі знімка
+    // не зберігаються: сервіс генерує нові ідентифікатори і повертає відповідність старих новим.
+    snapshotOrganization: {
+        properties: {
+            orgId: fields.id,
+            name: required(fields.orgName),
+            description: required(fields.description),
+            createdAt: fields.timestamp,
+        },
+    },
+    snapshotUser: {
+        properties: {
+            userId: fields.id,
+            name: required(fields.userName),
+            email: required(fields.email),
+            role: { type: 'string', enum: ['owner', 'admin', 'member'] },
+            createdAt: fields.timestamp,
+        },
+    },
+    // Параметри імпорту знімка: name замінює назву організації зі знімка
+    organizationImportQuery: {
+        properties: {
+            name: fields.orgName,
+        },
+    },
+    webhookBody: {
+        properties: {
+            url: required(fields.webhookUrl),
+            events: fields.webhookEvents,
+            description: { type: 'string', maxLength: 200 },
+        },
+    },
+    // Параметри пошуку користувачів (GET /users/search)
+    userSearchQuery: {
+        properties: {
+            email: fields.email,
+            namePrefix: { type: 'string', minLength: 1, maxLength: 100 },
+            orgId: fields.id,
+        },
+        anyOf: ['email', 'namePrefix'],
+    },
+    redriveDeadLettersBody: {
+        properties: {
+            maxMessages: { type: 'integer', minimum: 1, maximum: 1000 },
+        },
+    },
+
+    // Параметри шляху
+    orgPath: {
+        properties: {
+            orgId: required(fields.id),
+        },
+    },
+    userPath: {
+        properties: {
+            orgId: required(fields.id),
+            userId: required(fields.principalId),
+        },
+    },
+    // Ідентифікатор у GET /users/{userId}/organizations може бути ідентифікатором викликача (claim sub)
+    userOrganizationsPath: {
+        properties: {
+            userId: required(fields.principalId),
+        },
+    },
+    importPath: {
+        properties: {
+            orgId: required(fields.id),
+            importId: required(fields.id),
+        },
+    },
+    webhookPath: {
+        properties: {
+            orgId: required(fields.id),
+            webhookId: required(fields.id),
+        },
+    },
+    invitationPath: {
+        properties: {
+            orgId: required(fields.id),
+            invitationId: required(fields.id),
+        },
+    },
+    acceptInvitationPath: {
+        properties: {
+            invitationId: required(fields.id),
+        },
+    },
+    operationPath: {
+        properties: {
+            operationId: required(fields.id),
+        },
+    },
+
+    // Поле data повідомлень SQS за типом операції
+    messages: {
+        createOrganization: {
+            properties: {
+                orgId: required(fields.id),
+                name: required(fields.orgName),
+                description: required(fields.description),
+                ownerId: fields.principalId,
+                // Організація, створена імпортом знімка: після її створення споживач відправляє користувачів знімка
+                importId: fields.id,
+                createdAt: required(fields.timestamp),
+                updatedAt: required(fields.timestamp),
+            },
+        },
+        updateOrganization: {
+            properties: {
+                orgId: required(fields.id),
+                name: fields.orgName,
+                description: fields.description,
+                expectedVersion: fields.version,
+                updatedAt: required(fields.timestamp),
+            },
+            anyOf: ['name', 'description'],
+        },
+        createUser: {
+            properties: {
+                orgId: required(fields.id),
+                userId: required(fields.principalId),
+                name: required(fields.userName),
+                email: required(fields.email),
+                role: fields.assignableRole,
+                createdAt: required(fields.timestamp),
+                updatedAt: required(fields.timestamp),
+            },
+        },
+        updateUser: {
+            properties: {
+                orgId: required(fields.id),
+                userId: required(fields.principalId),
+                name: fields.userName,
+                email: fields.email,
+                role: fields.assignableRole,
+                expectedVersion: fields.version,
+                updatedAt: required(fields.timestamp),
+            },
+            anyOf: ['name', 'email', 'role'],
+        },
+        deleteUser: {
+            properties: {
+                orgId: required(fields.id),
+                userId: required(fields.principalId),
+                requestedAt: fields.timestamp,
+            },
+        },
+        addMembership: {
+            properties: {
+                orgId: required(fields.id),
+                userId: required(fields.id),
+                role: required(fields.assignableRole),
+                requestedAt: required(fields.timestamp),
+            },
+        },
+        removeMembership: {
+            properties: {
+                orgId: required(fields.id),
+                userId: required(fields.id),
+                requestedAt: required(fields.timestamp),
+            },
+        },
+        deleteOrganization: {
+            properties: {
+                orgId: required(fields.id),
+                // Передається при остаточному видаленні архівованої організації
+                archivedAt: fields.timestamp,
+                requestedAt: fields.timestamp,
+            },
+        },
+        archiveOrganization: {
+            properties: {
+                orgId: required(fields.id),
+                updatedAt: required(fields.timestamp),
+            },
+        },
+        restoreOrganization: {
+            properties: {
+                orgId: required(fields.id),
+                updatedAt: required(fields.timestamp),
+            },
+        },
+    },
+};
+
+// Перевіряє одне значення за правилом. Повертає текст помилки або null.
+const validateValue = (rule, value) => {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return 'Значення має бути рядком.';
+            }
+            if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+                return rule.minLength === 1 ? 'Значення не може бути порожнім.' : `Мінімальна довжина - ${rule.minLength} символів.`;
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `Максимальна довжина - ${rule.maxLength} символів.`;
+            }
+            if (rule.format === 'uuid' && !UUID_PATTERN.test(value)) {
+                return 'Значення має бути UUID.';
+            }
+            if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+                return 'Некоректний формат email.';
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                return `Допустимі значення: ${rule.enum.join(', ')}.`;
+            }
+            if (rule.format === 'date-time' && (!DATE_TIME_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+                return 'Значення має бути датою у форматі ISO 8601 (UTC).';
+            }
+            return null;
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return 'Значення має бути цілим числом.';
+            }
+            if (rule.minimum !== undefined && value < rule.minimum) {
+                return `Мінімальне значення - ${rule.minimum}.`;
+            }
+            if (rule.maximum !== undefined && value > rule.maximum) {
+                return `Максимальне значення - ${rule.maximum}.`;
+            }
+            return null;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                return 'Значення має бути масивом.';
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return `Мінімальна кількість елементів - ${rule.minItems}.`;
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return `Максимальна кількість елементів - ${rule.maxItems}.`;
+            }
+            for (const item of value) {
+                const message = validateValue(rule.items, item);
+                if (message) {
+                    return message;
+                }
+            }
+            return null;
+
+        default:
+            throw new Error(`Невідомий тип правила: ${rule.type}`);
+    }
+};
+
+// Перевіряє об'єкт за схемою. Повертає першу знайдену помилку { field, message } або null.
+// Поля, не описані в схемі, ігноруються.
+const validate = (schema, value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { field: null, message: 'Очікується JSON-об\'єкт.' };
+    }
+
+    for (const [field, rule] of Object.entries(schema.properties)) {
+        if (value[field] === undefined || value[field] === null) {
+            if (rule.required) {
+                return { field, message: `Поле '${field}' є обов'язковим.` };
+            }
+            continue;
+        }
+
+        const message = validateValue(rule, value[field]);
+        if (message) {
+            return { field, message };
+        }
+    }
+
+    if (schema.anyOf && !schema.anyOf.some((field) => value[field] !== undefined && value[field] !== null)) {
+        return { field: schema.anyOf[0], message: `Потрібно передати хоча б одне з полів: ${schema.anyOf.join(', ')}.` };
+    }
+
+    return null;
+};
+
+module.exports = {
+    fields,
+    schemas,
+    validate,
+};
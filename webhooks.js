@@ -0,0 +1,187 @@
+// webhooks.js
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Підпис і доставка подій на вебхуки організацій.
+// Кожен запит містить заголовки:
+//  - X-Webhook-Id - ідентифікатор події (однаковий для всіх спроб доставки);
+//  - X-Webhook-Event - тип події, наприклад organization.updated;
+//  - X-Webhook-Timestamp - час підпису (Unix-секунди);
+//  - X-Webhook-Signature - sha256=<hex HMAC-SHA256 від "<timestamp>.<тіло запиту>"> з секретом вебхука.
+
+// Скільки чекаємо на відповідь отримувача
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Секрет вебхука, яким підписуються події. Повертається клієнту лише при створенні вебхука.
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Перевірка підпису на боці отримувача (наприклад, у локальному тестовому сервері)
+const verifySignature = (secret, timestamp, body, signatureHeader) => {
+    const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+    const actual = Buffer.from(signatureHeader || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Дозволяємо лише https. http (наприклад, http://localhost:4000) - лише для локальної розробки.
+const isAllowedUrl = (url, allowHttp) => {
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'https:' || (allowHttp && protocol === 'http:');
+    } catch (error) {
+        return false;
+    }
+};
+
+// Внутрішні адреси, на які вебхуки не доставляються: приватні мережі, loopback, link-local
+// (зокрема метадані інстансу 169.254.169.254), CGNAT, multicast, документаційні та зарезервовані діапазони,
+// а також IPv6-префікси, що вбудовують IPv4-адресу (NAT64, 6to4, Teredo, IPv4-compatible): через них можна
+// дістатися тієї ж внутрішньої IPv4-адреси. IPv4-mapped адреси (::ffff:127.0.0.1) BlockList перевіряє за правилами IPv4.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 96, 'ipv6'], // Невизначена адреса, ::1 та IPv4-compatible
+    ['64:ff9b::', 96, 'ipv6'], // NAT64
+    ['64:ff9b:1::', 48, 'ipv6'], // Локальний NAT64
+    ['100::', 64, 'ipv6'], // Discard
+    ['2001::', 32, 'ipv6'], // Teredo
+    ['2001:db8::', 32, 'ipv6'], // Документаційний
+    ['2002::', 16, 'ipv6'], // 6to4
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['fec0::', 10, 'ipv6'], // Застарілий site-local
+    ['ff00::', 8, 'ipv6'],
+].forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const getHostname = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Повертає першу внутрішню адресу, на яку вказує хост URL, або null. IP-літерал перевіряється напряму,
+// доменне ім'я - за всіма адресами з DNS. Кидає помилку, якщо ім'я не вдалося розв'язати.
+// Для швидкої відповіді при реєстрації вебхука; під час доставки адресу перевіряє pinnedLookup.
+const findBlockedAddress = async (url) => {
+    const hostname = getHostname(url);
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+
+    return addresses.find(isBlockedAddress) || null;
+};
+
+// Помилка з'єднання з внутрішньою адресою. Повторні спроби не мають сенсу.
+const createBlockedAddressError = (address) => {
+    return Object.assign(new Error(`Хост вебхука вказує на внутрішню адресу ${address}.`), { code: 'EBLOCKEDADDRESS' });
+};
+
+// lookup для з'єднання з отримувачем: розв'язує ім'я і повертає лише перевірені адреси. З'єднання
+// встановлюється саме з ними, тому DNS-запис, змінений між перевіркою та з'єднанням (DNS rebinding),
+// не дозволить дістатися внутрішньої адреси.
+const pinnedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const blockedAddress = addresses.map(({ address }) => address).find(isBlockedAddress);
+        if (blockedAddress) {
+            callback(createBlockedAddressError(blockedAddress));
+            return;
+        }
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+};
+
+// POST-запит на URL вебхука. Повертає статус відповіді; тіло відповіді не читається.
+// Перенаправлення не виконуються (http.request їх не підтримує), тож 3xx вважається невдалою доставкою.
+const postEvent = (url, headers, body, lookup) => {
+    const { request } = new URL(url).protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup,
+            agent: false, // Без пулу з'єднань: кожна доставка заново розв'язує та перевіряє адресу
+        }, (response) => {
+            clearTimeout(timer);
+            response.resume();
+            resolve(response.statusCode);
+        });
+        const timer = setTimeout(() => {
+            req.destroy(Object.assign(new Error(`Немає відповіді протягом ${DELIVERY_TIMEOUT_MS} мс.`), { code: 'ETIMEDOUT' }));
+        }, DELIVERY_TIMEOUT_MS);
+
+        req.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        req.end(body);
+    });
+};
+
+// Відправляє подію на URL вебхука. Не кидає помилок: повертає результат спроби
+// { ok, statusCode, error, durationMs, blocked } для журналу доставок.
+// Адреса хоста перевіряється при кожній доставці, бо DNS-запис могли змінити після реєстрації вебхука;
+// blocked: true означає, що повторні спроби не мають сенсу. allowPrivate - лише для локальної розробки.
+const deliverEvent = async (url, secret, event, { allowPrivate = false } = {}) => {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const buildResult = (result) => ({ ...result, durationMs: Date.now() - startedAt });
+
+    try {
+        // Для IP-літерала з'єднання встановлюється без lookup, тому перевіряємо його тут
+        const hostname = getHostname(url);
+        if (!allowPrivate && net.isIP(hostname) && isBlockedAddress(hostname)) {
+            throw createBlockedAddressError(hostname);
+        }
+
+        const statusCode = await postEvent(url, {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': event.id,
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`,
+        }, body, allowPrivate ? undefined : pinnedLookup);
+
+        const ok = statusCode >= 200 && statusCode < 300;
+        return buildResult({ ok, statusCode, error: ok ? null : `Отримувач відповів статусом ${statusCode}.` });
+    } catch (error) {
+        return buildResult({ ok: false, statusCode: null, error: error.message, ...(error.code === 'EBLOCKEDADDRESS' && { blocked: true }) });
+    }
+};
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    verifySignature,
+    isAllowedUrl,
+    findBlockedAddress,
+    deliverEvent,
+};